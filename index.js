@@ -0,0 +1,28 @@
+/**
+ * Metis MCP Tools
+ * 
+ * Runs all tools on a single MCP server, so tools that build on each other
+ * (e.g. ask_database and init_llm_model) share connections and models.
+ */
+
+const { McpServer } = require('@modelcontextprotocol/server');
+const { registerDatabaseTools } = require('./tools/database-tool');
+const { registerVectorStoreTools } = require('./tools/vector-store-tool');
+const { registerDocumentProcessingTools } = require('./tools/document-processing-tool');
+const { registerLlmInteractionTools } = require('./tools/llm-interaction-tool');
+
+// Initialize the MCP server
+const server = new McpServer({
+  name: 'metis-tools',
+  description: 'Database, vector store, document processing and LLM tools for the Metis application',
+});
+
+registerDatabaseTools(server);
+registerVectorStoreTools(server);
+registerDocumentProcessingTools(server);
+registerLlmInteractionTools(server);
+
+// Start the server
+server.start();
+
+console.log('Metis MCP server started');
@@ -0,0 +1,326 @@
+/**
+ * Chunking
+ *
+ * Splits document text into chunks that keep their provenance: character
+ * offsets in the text, the pages they fall on and the path of headings they
+ * fall under. Page numbers come from segments: { startOffset, endOffset,
+ * page } objects giving the position of each page in the text.
+ *
+ * Strategies:
+ *   recursive  paragraphs, then lines, then words, up to chunkSize characters
+ *   markdown   never crosses a heading; each section is split recursively,
+ *              and YAML/TOML front matter is left out
+ *   sentence   whole sentences packed up to chunkSize characters
+ *   code       fenced code blocks are kept whole, the prose around them is
+ *              split recursively
+ *   token      recursive, with chunkSize and chunkOverlap counted in
+ *              tokens of a tiktoken encoding
+ */
+
+const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
+const { getEncoding } = require('js-tiktoken');
+const { findFencedBlocks, findFrontMatter, findHeadings, headingPathAt, splitSections } = require('./document-structure');
+
+const CHUNKING_STRATEGIES = ['recursive', 'markdown', 'sentence', 'code', 'token'];
+
+// Separator between heading path entries in chunk metadata
+const HEADING_PATH_SEPARATOR = ' > ';
+
+const DEFAULT_ENCODING = 'cl100k_base';
+
+// Largest default overlap between chunks
+const MAX_DEFAULT_OVERLAP = 200;
+
+// Tiktoken encodings, loaded on first use
+const encodings = new Map();
+
+/**
+ * Count the tokens of a text in a tiktoken encoding
+ */
+function countTokens(text, encodingName = DEFAULT_ENCODING) {
+  if (!encodings.has(encodingName)) {
+    encodings.set(encodingName, getEncoding(encodingName));
+  }
+  return encodings.get(encodingName).encode(text).length;
+}
+
+/**
+ * Default overlap between chunks: a fifth of the chunk size, at most 200,
+ * in the same unit as chunkSize (characters, or tokens with the token strategy)
+ */
+function defaultChunkOverlap(chunkSize) {
+  return Math.min(MAX_DEFAULT_OVERLAP, Math.floor(chunkSize / 5));
+}
+
+/**
+ * Find the offsets of chunks in the text they were split from. Chunks are
+ * searched in order, and a chunk overlaps the previous one by at most
+ * chunkOverlap characters (any amount when chunkOverlap is null), so
+ * repeated passages map to the right occurrence.
+ */
+function locateChunks(text, chunkTexts, chunkOverlap = 0) {
+  let cursor = 0;
+  return chunkTexts.map(chunkText => {
+    let start = text.indexOf(chunkText, cursor);
+    if (start === -1) {
+      start = text.indexOf(chunkText);
+    }
+    if (start === -1) {
+      // The splitter changed the text (e.g. normalized whitespace); offsets are approximate
+      start = Math.min(cursor, text.length);
+    }
+    cursor = chunkOverlap === null
+      ? start + 1
+      : Math.max(start + 1, start + chunkText.length - chunkOverlap);
+    return { text: chunkText, start, end: start + chunkText.length };
+  });
+}
+
+/**
+ * Split text into chunks with their start and end offsets. With
+ * lengthFunction, chunkSize and chunkOverlap are measured with it instead
+ * of in characters.
+ */
+async function splitText(text, { chunkSize = 1000, chunkOverlap = 200, lengthFunction } = {}) {
+  const splitter = new RecursiveCharacterTextSplitter({ chunkSize, chunkOverlap, lengthFunction });
+  const chunkTexts = await splitter.splitText(text);
+  return locateChunks(text, chunkTexts, lengthFunction ? null : chunkOverlap);
+}
+
+/**
+ * Split a range of a text recursively, with offsets in the whole text
+ */
+async function splitRange(text, start, end, options) {
+  const pieces = await splitText(text.slice(start, end), options);
+  return pieces.map(piece => ({ text: piece.text, start: piece.start + start, end: piece.end + start }));
+}
+
+/**
+ * Pack consecutive units (ranges of a text that must not be split) into
+ * chunks of at most chunkSize characters. A unit longer than chunkSize is
+ * a chunk of its own. Each chunk starts with the trailing units of the
+ * previous one that fit in chunkOverlap.
+ */
+function packUnits(text, units, { chunkSize, chunkOverlap }) {
+  const chunks = [];
+  let first = 0;
+
+  while (first < units.length) {
+    let last = first;
+    while (last + 1 < units.length && units[last + 1].end - units[first].start <= chunkSize) {
+      last++;
+    }
+    const start = units[first].start;
+    const end = units[last].end;
+    chunks.push({ text: text.slice(start, end), start, end });
+
+    if (last + 1 >= units.length) {
+      break;
+    }
+    let next = last + 1;
+    while (next - 1 > first && end - units[next - 1].start <= chunkOverlap) {
+      next--;
+    }
+    first = next;
+  }
+
+  return chunks;
+}
+
+/**
+ * Trim the whitespace around a range of a text; returns null for a blank range
+ */
+function trimRange(text, start, end) {
+  const slice = text.slice(start, end);
+  const trimmedStart = start + (slice.length - slice.trimStart().length);
+  const trimmedEnd = end - (slice.length - slice.trimEnd().length);
+  return trimmedEnd > trimmedStart ? { start: trimmedStart, end: trimmedEnd } : null;
+}
+
+/**
+ * Split the sentences of a text, with Intl.Segmenter
+ */
+function findSentences(text) {
+  const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+  const sentences = [];
+  for (const { segment, index } of segmenter.segment(text)) {
+    const range = trimRange(text, index, index + segment.length);
+    if (range) {
+      sentences.push(range);
+    }
+  }
+  return sentences;
+}
+
+// Strategies: each splits a text into { text, start, end } chunks, and
+// reports its own statistics in details
+const strategies = {
+  async recursive(text, { chunkSize, chunkOverlap }) {
+    return { chunks: await splitText(text, { chunkSize, chunkOverlap }), details: {} };
+  },
+
+  async markdown(text, { chunkSize, chunkOverlap }) {
+    // Front matter is document metadata, not content
+    const frontMatter = findFrontMatter(text);
+    const bodyStart = frontMatter ? frontMatter.end : 0;
+    const sections = splitSections(text)
+      .map(section => trimRange(text, Math.max(section.startOffset, bodyStart), section.endOffset))
+      .filter(Boolean);
+    const chunks = [];
+    for (const section of sections) {
+      chunks.push(...await splitRange(text, section.start, section.end, { chunkSize, chunkOverlap }));
+    }
+    return {
+      chunks,
+      details: { sections: sections.length, ...(frontMatter ? { frontMatter: frontMatter.format } : {}) },
+    };
+  },
+
+  async sentence(text, { chunkSize, chunkOverlap }) {
+    const sentences = findSentences(text);
+    const units = [];
+    for (const sentence of sentences) {
+      if (sentence.end - sentence.start <= chunkSize) {
+        units.push(sentence);
+      } else {
+        // Sentences longer than a chunk are split at words
+        units.push(...await splitRange(text, sentence.start, sentence.end, { chunkSize, chunkOverlap: 0 }));
+      }
+    }
+    return { chunks: packUnits(text, units, { chunkSize, chunkOverlap }), details: { sentences: sentences.length } };
+  },
+
+  async code(text, { chunkSize, chunkOverlap }) {
+    const blocks = findFencedBlocks(text);
+    const units = [];
+    let position = 0;
+    for (const block of [...blocks, { start: text.length, end: text.length }]) {
+      // Prose before the block, split into pieces that fit in a chunk
+      const prose = trimRange(text, position, block.start);
+      if (prose) {
+        units.push(...await splitRange(text, prose.start, prose.end, { chunkSize, chunkOverlap: 0 }));
+      }
+      if (block.end > block.start) {
+        units.push({ start: block.start, end: block.end });
+      }
+      position = block.end;
+    }
+    return { chunks: packUnits(text, units, { chunkSize, chunkOverlap }), details: { codeBlocks: blocks.length } };
+  },
+
+  async token(text, { chunkSize, chunkOverlap, encoding = DEFAULT_ENCODING }) {
+    const lengthFunction = chunkText => countTokens(chunkText, encoding);
+    return {
+      chunks: await splitText(text, { chunkSize, chunkOverlap, lengthFunction }),
+      details: { encoding },
+    };
+  },
+};
+
+/**
+ * Statistics of the chunks of a strategy: count, sizes in the unit of the
+ * strategy, chunks over chunkSize (e.g. whole code blocks), and the
+ * strategy's own counts
+ */
+function chunkStatistics(chunks, { strategy, chunkSize, encoding, details }) {
+  const tokens = strategy === 'token';
+  const sizes = chunks.map(chunk => (tokens ? countTokens(chunk.text, encoding) : chunk.text.length));
+  const total = sizes.reduce((sum, size) => sum + size, 0);
+
+  return {
+    strategy,
+    unit: tokens ? 'tokens' : 'characters',
+    chunkCount: chunks.length,
+    minSize: sizes.length > 0 ? Math.min(...sizes) : 0,
+    maxSize: sizes.length > 0 ? Math.max(...sizes) : 0,
+    averageSize: sizes.length > 0 ? Math.round(total / sizes.length) : 0,
+    oversizedChunks: sizes.filter(size => size > chunkSize).length,
+    ...details,
+  };
+}
+
+/**
+ * Find the last segment starting at or before an offset
+ */
+function segmentAt(segments, offset) {
+  let found = null;
+  segments.forEach(segment => {
+    if (segment.startOffset <= offset && (!found || segment.startOffset >= found.startOffset)) {
+      found = segment;
+    }
+  });
+  return found;
+}
+
+/**
+ * Line numbers (1-based) of the first and last characters of a range of a text
+ */
+function lineRange(text, startOffset, endOffset) {
+  const lineAt = offset => text.slice(0, offset).split('\n').length;
+  return { from: lineAt(startOffset), to: lineAt(Math.max(startOffset, endOffset - 1)) };
+}
+
+/**
+ * Split a document into chunks with a strategy (default: recursive).
+ * Returns the chunks, whose metadata carries the given metadata plus
+ * startOffset, endOffset and headingPath, and the statistics of the
+ * strategy. With segments that have page numbers (e.g. from load_document),
+ * a chunk also gets the page it starts on, and endPage when it runs onto a
+ * later page.
+ */
+async function chunkDocument(text, {
+  strategy = 'recursive',
+  chunkSize = 1000,
+  chunkOverlap = defaultChunkOverlap(chunkSize),
+  encoding = DEFAULT_ENCODING,
+  metadata = {},
+  segments = [],
+} = {}) {
+  const split = strategies[strategy];
+  if (!split) {
+    throw new Error(`Unsupported chunking strategy: ${strategy}`);
+  }
+  if (chunkOverlap >= chunkSize) {
+    throw new Error('chunkOverlap must be smaller than chunkSize');
+  }
+
+  const { chunks, details } = await split(text, { chunkSize, chunkOverlap, encoding });
+  const headings = findHeadings(text);
+  const pages = segments.filter(segment => segment.page);
+
+  const results = chunks.map(chunk => {
+    const chunkMetadata = { ...metadata, startOffset: chunk.start, endOffset: chunk.end };
+
+    const headingPath = headingPathAt(headings, chunk.start);
+    if (headingPath.length > 0) {
+      chunkMetadata.headingPath = headingPath.join(HEADING_PATH_SEPARATOR);
+    }
+
+    const firstPage = segmentAt(pages, chunk.start);
+    const lastPage = segmentAt(pages, Math.max(chunk.start, chunk.end - 1));
+    if (firstPage) {
+      chunkMetadata.page = firstPage.page;
+      if (lastPage.page !== firstPage.page) {
+        chunkMetadata.endPage = lastPage.page;
+      }
+    }
+
+    return { text: chunk.text, metadata: chunkMetadata };
+  });
+
+  return {
+    chunks: results,
+    statistics: chunkStatistics(chunks, { strategy, chunkSize, encoding, details }),
+  };
+}
+
+module.exports = {
+  CHUNKING_STRATEGIES,
+  DEFAULT_ENCODING,
+  defaultChunkOverlap,
+  countTokens,
+  locateChunks,
+  splitText,
+  lineRange,
+  chunkDocument,
+};
@@ -0,0 +1,254 @@
+/**
+ * Code Languages
+ *
+ * Normalization of code block language tags (js -> javascript, c++ ->
+ * cpp, ...) and a heuristic guess of the language of untagged code from
+ * characteristic keywords and syntax. The guess is a weighted vote of
+ * patterns, so it is only a hint: short or unusual snippets may go
+ * unrecognized or be misread.
+ */
+
+// Language tags by alias
+const ALIASES = {
+  js: 'javascript',
+  jsx: 'javascript',
+  mjs: 'javascript',
+  cjs: 'javascript',
+  node: 'javascript',
+  ts: 'typescript',
+  tsx: 'typescript',
+  py: 'python',
+  python3: 'python',
+  rb: 'ruby',
+  sh: 'bash',
+  shell: 'bash',
+  zsh: 'bash',
+  console: 'bash',
+  'shell-session': 'bash',
+  yml: 'yaml',
+  'c++': 'cpp',
+  cc: 'cpp',
+  cxx: 'cpp',
+  hpp: 'cpp',
+  h: 'c',
+  'c#': 'csharp',
+  cs: 'csharp',
+  golang: 'go',
+  rs: 'rust',
+  kt: 'kotlin',
+  ps1: 'powershell',
+  pwsh: 'powershell',
+  psql: 'sql',
+  postgresql: 'sql',
+  postgres: 'sql',
+  htm: 'html',
+  xhtml: 'html',
+  svg: 'xml',
+  md: 'markdown',
+  docker: 'dockerfile',
+  'objective-c': 'objectivec',
+  objc: 'objectivec',
+};
+
+// Patterns voting for a language, with their weights
+const LANGUAGE_PATTERNS = {
+  python: [
+    [/^\s*def \w+\(.*\)\s*(->\s*[\w\[\], .]+)?:\s*$/m, 3],
+    [/^\s*(from [\w.]+ )?import [\w.]+(, [\w.]+)*( as \w+)?\s*$/m, 2],
+    [/^\s*class \w+(\(.*\))?:\s*$/m, 3],
+    [/^\s*(elif|except|finally)\b.*:\s*$/m, 3],
+    [/\bself\.\w+/, 2],
+    [/^\s*print\(/m, 1],
+    [/\b(None|True|False)\b/, 1],
+    [/^\s*@\w+(\(.*\))?\s*$/m, 1],
+    [/if __name__ == ['"]__main__['"]:/, 5],
+  ],
+  javascript: [
+    [/\b(const|let|var) \w+ = /, 2],
+    [/\bfunction\s*\w*\s*\(/, 2],
+    [/=>\s*[{(]?/, 2],
+    [/\bconsole\.\w+\(/, 3],
+    [/\brequire\(['"][^'"]+['"]\)/, 3],
+    [/\bmodule\.exports\b/, 4],
+    [/^\s*(import .* from ['"][^'"]+['"]|export (default|const|function|class)\b)/m, 2],
+    [/\b(document|window)\.\w+/, 2],
+    [/===|!==/, 1],
+    [/\basync\s+(function|\()/, 1],
+  ],
+  typescript: [
+    [/^\s*(export )?(interface|type) \w+(<.*>)? (=|\{)/m, 4],
+    [/\b(const|let|var) \w+: [\w<>[\]|]+ =/, 4],
+    [/\(\s*\w+: (string|number|boolean|any|unknown)\b/, 4],
+    [/^\s*import type\b/m, 4],
+    [/\): (string|number|boolean|void|Promise<.*>) \{/, 4],
+  ],
+  java: [
+    [/\bpublic (static )?(final )?(class|interface|void|int|String)\b/, 3],
+    [/\bSystem\.out\.print(ln)?\(/, 5],
+    [/^\s*package [\w.]+;\s*$/m, 3],
+    [/^\s*import [\w.]+(\.\*)?;\s*$/m, 2],
+    [/@Override\b/, 3],
+    [/\bString\[\] args\b/, 3],
+  ],
+  c: [
+    [/^\s*#include\s*<\w+\.h>/m, 4],
+    [/\bint main\s*\(/, 2],
+    [/\bprintf\s*\(/, 2],
+    [/\b(malloc|free|sizeof)\s*\(/, 2],
+    [/^\s*#define \w+/m, 1],
+  ],
+  cpp: [
+    [/^\s*#include\s*<\w+>/m, 4],
+    [/\bstd::\w+/, 4],
+    [/\b(cout|cin|endl)\b/, 3],
+    [/^\s*using namespace \w+;/m, 4],
+    [/\btemplate\s*</, 3],
+  ],
+  csharp: [
+    [/^\s*using System(\.[\w.]+)?;\s*$/m, 5],
+    [/^\s*namespace [\w.]+\s*(\{|;)?\s*$/m, 2],
+    [/\bConsole\.Write(Line)?\(/, 5],
+    [/\bpublic (async )?(static )?(void|Task|string|int) \w+\(/, 2],
+    [/\{ get; (private )?set; \}/, 4],
+  ],
+  go: [
+    [/^\s*package \w+\s*$/m, 3],
+    [/^\s*func (\(\w+ \*?\w+\) )?\w+\(/m, 4],
+    [/\w+ := /, 3],
+    [/\bfmt\.\w+\(/, 4],
+    [/^\s*import \($/m, 2],
+    [/\bif err != nil\b/, 5],
+  ],
+  rust: [
+    [/^\s*(pub )?fn \w+(<.*>)?\(/m, 4],
+    [/\blet mut \w+/, 4],
+    [/\b(println|format|vec|panic)!\(/, 5],
+    [/^\s*(use [\w:]+(::\{.*\})?;|impl\b|#\[derive\()/m, 3],
+    [/&'?\w*\s*(mut )?str\b|->\s*Result</, 2],
+  ],
+  ruby: [
+    [/^\s*def \w+[?!]?(\(.*\))?\s*$/m, 2],
+    [/^\s*end\s*$/m, 2],
+    [/\bputs\b/, 3],
+    [/^\s*require ['"][\w/]+['"]\s*$/m, 3],
+    [/\bdo \|\w+(, \w+)*\|/, 4],
+    [/@\w+ = /, 1],
+  ],
+  php: [
+    [/<\?php/, 8],
+    [/\$\w+ = /, 2],
+    [/\becho\b.*;/, 1],
+    [/->\w+\(/, 1],
+    [/\bfunction \w+\(\$\w+/, 4],
+  ],
+  sql: [
+    [/\bSELECT\b[\s\S]+\bFROM\b/i, 4],
+    [/\bINSERT INTO\b/i, 4],
+    [/\bCREATE (TABLE|INDEX|VIEW|EXTENSION)\b/i, 4],
+    [/\b(UPDATE \w+ SET|DELETE FROM|ALTER TABLE|DROP TABLE)\b/i, 4],
+    [/\b(WHERE|GROUP BY|ORDER BY|JOIN)\b/i, 1],
+  ],
+  bash: [
+    [/^#!\/(usr\/)?bin\/(env )?(ba|z)?sh\b/, 8],
+    [/^\s*\$ \w+/m, 3],
+    [/^\s*(sudo|apt(-get)?|brew|npm|npx|yarn|pip3?|git|docker|cd|mkdir|curl|wget|chmod|export)\b/m, 3],
+    [/^\s*(if|while) \[\[? .* \]\]?;? ?(then|do)?/m, 4],
+    [/^\s*(fi|done|esac)\s*$/m, 3],
+    [/\$\{?\w+\}?/, 1],
+  ],
+  powershell: [
+    [/\$\w+ = /, 1],
+    [/\b(Get|Set|New|Remove|Write|Invoke)-\w+/, 5],
+    [/-(eq|ne|lt|gt)\b/, 2],
+  ],
+  html: [
+    [/^\s*<!doctype html/i, 8],
+    [/<(html|head|body|div|span|p|a|ul|li|table|script|form)\b[^>]*>/i, 3],
+    [/<\/\w+>/, 1],
+  ],
+  xml: [
+    [/^\s*<\?xml\b/, 8],
+    [/<\w+:\w+[\s>]/, 2],
+    [/<\/\w+>/, 1],
+  ],
+  css: [
+    [/^\s*[.#]?[\w-]+(\s*[,>+~]?\s*[.#]?[\w-]+)*\s*\{\s*$/m, 2],
+    [/^\s*[\w-]+\s*:\s*[^;{}]+;\s*$/m, 2],
+    [/@media\b|@import\b|!important/, 3],
+  ],
+  yaml: [
+    [/^[\w-]+:\s*$/m, 2],
+    [/^\s*[\w-]+: [^{};]+$/m, 2],
+    [/^\s*- [\w-]+: /m, 3],
+    [/^---\s*$/m, 1],
+  ],
+  dockerfile: [
+    [/^\s*FROM [\w./:-]+(\s+AS \w+)?\s*$/im, 5],
+    [/^\s*(RUN|COPY|WORKDIR|ENTRYPOINT|CMD|EXPOSE|ENV|ARG) /m, 3],
+  ],
+};
+
+// Languages that extend another: they score their own patterns plus the
+// patterns of the language they extend
+const SUPERSETS = {
+  typescript: 'javascript',
+  cpp: 'c',
+};
+
+// Minimum score for a guess
+const MIN_SCORE = 3;
+
+/**
+ * Normalize a language tag: lower-cased, aliases resolved
+ */
+function normalizeLanguage(language) {
+  if (!language) {
+    return null;
+  }
+  const tag = language.toLowerCase();
+  return ALIASES[tag] || tag;
+}
+
+/**
+ * Guess the language of a code snippet. Returns the language and a
+ * confidence between 0 and 1, or null when no language scores high enough.
+ */
+function guessLanguage(code) {
+  const text = code.trim();
+  if (!text) {
+    return null;
+  }
+
+  if (/^[{[]/.test(text)) {
+    try {
+      JSON.parse(text);
+      return { language: 'json', confidence: 1 };
+    } catch (error) {
+      // Not JSON
+    }
+  }
+
+  const scoreOf = language => LANGUAGE_PATTERNS[language]
+    .reduce((score, [pattern, weight]) => score + (pattern.test(text) ? weight : 0), 0);
+  const scores = Object.keys(LANGUAGE_PATTERNS).map(language => {
+    const score = scoreOf(language);
+    const base = SUPERSETS[language];
+    return { language, score: score > 0 && base ? score + scoreOf(base) : score };
+  });
+  scores.sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (best.score < MIN_SCORE) {
+    return null;
+  }
+
+  // Confidence grows with the score and with the lead over the runner-up
+  const lead = (best.score - second.score) / best.score;
+  const confidence = Math.min(1, best.score / 10) * (0.5 + lead / 2);
+  return { language: best.language, confidence: Math.round(confidence * 100) / 100 };
+}
+
+module.exports = {
+  normalizeLanguage,
+  guessLanguage,
+};
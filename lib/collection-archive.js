@@ -0,0 +1,233 @@
+/**
+ * Collection Archives
+ *
+ * Portable snapshots of vector collections, for backups and for moving
+ * data between backends. An archive is a directory with:
+ *   manifest.json  collection name and metadata, embedder, dimension, count
+ *   records.jsonl  one { id, document, metadata, embedding } object per line,
+ *                  the embedding as base64 little-endian float32
+ *
+ * The manifest is written last, so an interrupted export leaves no valid
+ * archive. Imports are written in batches with upsert and record their
+ * progress in the archive directory, so a failed import can be resumed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { recordedEmbedder, checkEmbeddings } = require('./embeddings');
+
+const ARCHIVE_FORMAT = 'metis-collection';
+const ARCHIVE_VERSION = 1;
+
+const MANIFEST_FILE = 'manifest.json';
+const RECORDS_FILE = 'records.jsonl';
+
+const DEFAULT_BATCH_SIZE = 100;
+
+/**
+ * Encode a vector as base64 little-endian float32
+ */
+function encodeEmbedding(vector) {
+  const buffer = Buffer.alloc(vector.length * 4);
+  vector.forEach((value, index) => buffer.writeFloatLE(value, index * 4));
+  return buffer.toString('base64');
+}
+
+/**
+ * Decode a base64 little-endian float32 vector
+ */
+function decodeEmbedding(encoded) {
+  const buffer = Buffer.from(encoded, 'base64');
+  const vector = [];
+  for (let offset = 0; offset + 4 <= buffer.length; offset += 4) {
+    vector.push(buffer.readFloatLE(offset));
+  }
+  return vector;
+}
+
+/**
+ * Write a chunk to a stream, waiting for it to drain when its buffer is full
+ */
+async function writeChunk(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await new Promise((resolve, reject) => {
+      stream.once('drain', resolve);
+      stream.once('error', reject);
+    });
+  }
+}
+
+/**
+ * Export a collection to an archive directory
+ */
+async function exportCollection(collection, directory, { backend, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+  await fs.promises.mkdir(directory, { recursive: true });
+  // Remove the manifest of a previous export first, so a failed export is not taken for a valid one
+  await fs.promises.rm(path.join(directory, MANIFEST_FILE), { force: true });
+
+  const stream = fs.createWriteStream(path.join(directory, RECORDS_FILE));
+  let count = 0;
+  let dimension = null;
+
+  try {
+    for (;;) {
+      const batch = await collection.get({
+        limit: batchSize,
+        offset: count,
+        include: ['documents', 'metadatas', 'embeddings'],
+      });
+      if (batch.ids.length === 0) {
+        break;
+      }
+
+      for (let index = 0; index < batch.ids.length; index++) {
+        const embedding = batch.embeddings[index];
+        dimension = dimension || embedding.length;
+        await writeChunk(stream, JSON.stringify({
+          id: batch.ids[index],
+          document: batch.documents[index],
+          metadata: batch.metadatas[index] || {},
+          embedding: encodeEmbedding(embedding),
+        }) + '\n');
+      }
+      count += batch.ids.length;
+    }
+  } finally {
+    await new Promise(resolve => stream.end(resolve));
+  }
+
+  const embedder = recordedEmbedder(collection.metadata);
+  const manifest = {
+    format: ARCHIVE_FORMAT,
+    version: ARCHIVE_VERSION,
+    collection: collection.name,
+    metadata: collection.metadata || {},
+    embedder,
+    dimension: dimension || (embedder ? embedder.dimension : null),
+    count,
+    backend: backend || null,
+    exportedAt: new Date().toISOString(),
+  };
+  await fs.promises.writeFile(path.join(directory, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+
+  return manifest;
+}
+
+/**
+ * Read and check the manifest of an archive directory
+ */
+async function readManifest(directory) {
+  const manifest = JSON.parse(await fs.promises.readFile(path.join(directory, MANIFEST_FILE), 'utf8'));
+  if (manifest.format !== ARCHIVE_FORMAT) {
+    throw new Error(`Not a collection archive: ${directory}`);
+  }
+  if (manifest.version > ARCHIVE_VERSION) {
+    throw new Error(`Unsupported archive version ${manifest.version}`);
+  }
+  return manifest;
+}
+
+/**
+ * Path of the progress file of an import into a collection
+ */
+function progressPath(directory, collectionName) {
+  return path.join(directory, `import-progress-${encodeURIComponent(collectionName)}.json`);
+}
+
+/**
+ * Import an archive directory into a collection.
+ * openCollection(name, metadata) opens or creates the target collection.
+ * With resume, the import continues after the last batch recorded by a
+ * previous failed import into the same collection. Errors carry the line
+ * to resume from in error.resumeFrom.
+ */
+async function importCollection(directory, openCollection, { name, batchSize = DEFAULT_BATCH_SIZE, resume = true } = {}) {
+  const manifest = await readManifest(directory);
+  const collectionName = name || manifest.collection;
+  const progressFile = progressPath(directory, collectionName);
+
+  let startLine = 0;
+  if (resume && fs.existsSync(progressFile)) {
+    startLine = JSON.parse(await fs.promises.readFile(progressFile, 'utf8')).nextLine;
+  }
+
+  const collection = await openCollection(collectionName, manifest.metadata);
+  const recorded = recordedEmbedder(collection.metadata);
+  if (recorded && recorded.dimension && manifest.dimension && recorded.dimension !== manifest.dimension) {
+    throw new Error(
+      `Archive has dimension ${manifest.dimension}, but collection '${collectionName}' has dimension ${recorded.dimension}`
+    );
+  }
+
+  const lines = readline.createInterface({
+    input: fs.createReadStream(path.join(directory, RECORDS_FILE)),
+    crlfDelay: Infinity,
+  });
+
+  let batch = [];
+  let batchStart = startLine;
+  let lineNumber = 0;
+  let imported = 0;
+
+  // Upsert the current batch and record the progress
+  const flush = async () => {
+    if (batch.length === 0) {
+      return;
+    }
+    const embeddings = batch.map(record => decodeEmbedding(record.embedding));
+    checkEmbeddings(embeddings, batch.length, manifest.dimension);
+    await collection.upsert({
+      ids: batch.map(record => record.id),
+      documents: batch.map(record => record.document),
+      metadatas: batch.map(record => record.metadata || {}),
+      embeddings,
+    });
+
+    imported += batch.length;
+    batchStart = lineNumber;
+    batch = [];
+    await fs.promises.writeFile(progressFile, JSON.stringify({ collection: collectionName, nextLine: batchStart }));
+  };
+
+  try {
+    for await (const line of lines) {
+      lineNumber++;
+      if (lineNumber <= startLine || !line.trim()) {
+        continue;
+      }
+      try {
+        batch.push(JSON.parse(line));
+      } catch (error) {
+        throw new Error(`Invalid record on line ${lineNumber} of ${RECORDS_FILE}: ${error.message}`);
+      }
+      if (batch.length >= batchSize) {
+        await flush();
+      }
+    }
+    await flush();
+  } catch (error) {
+    // Everything before the failed batch has been imported
+    error.resumeFrom = batchStart;
+    throw error;
+  } finally {
+    lines.close();
+  }
+
+  await fs.promises.rm(progressFile, { force: true });
+
+  return {
+    collection: collectionName,
+    imported,
+    skipped: startLine,
+    total: manifest.count,
+  };
+}
+
+module.exports = {
+  encodeEmbedding,
+  decodeEmbedding,
+  exportCollection,
+  readManifest,
+  importCollection,
+};
@@ -0,0 +1,182 @@
+/**
+ * Database Connections
+ *
+ * Registry of named PostgreSQL connection pools. Credentials can be taken
+ * from server-side connection profiles, so they never travel through tool
+ * arguments.
+ */
+
+const { Pool } = require('pg'); // PostgreSQL client
+const { resultTypes } = require('./pg-types');
+
+// Connection used when a tool call does not name one
+const DEFAULT_CONNECTION_ID = 'default';
+
+// Connection profiles are read from METIS_DB_PROFILE_<NAME>_* environment
+// variables. A profile holds the host along with the credentials, so a tool
+// call can pick a profile but never send its password to another server.
+const PROFILE_PREFIX = 'METIS_DB_PROFILE_';
+const PROFILE_NAME = /^[A-Za-z0-9_]+$/;
+
+// Tool arguments that a profile replaces
+const CONNECTION_ARGUMENTS = ['host', 'port', 'database', 'user', 'password', 'connectionString'];
+
+// Milliseconds to wait for a client from a pool before failing, instead of
+// queueing forever when every client is taken
+const CONNECTION_TIMEOUT = 10000;
+
+// Connection pools by ID
+const connections = new Map();
+
+/**
+ * Build the pool configuration of a connection profile from its environment
+ * variables: _URL, or _HOST, _PORT, _DATABASE, _USER and _PASSWORD
+ */
+function profileConfig(profile, env = process.env) {
+  if (!PROFILE_NAME.test(profile)) {
+    throw new Error(`Invalid connection profile name: ${profile}`);
+  }
+  const prefix = `${PROFILE_PREFIX}${profile.toUpperCase()}_`;
+
+  if (env[`${prefix}URL`]) {
+    return { connectionString: env[`${prefix}URL`] };
+  }
+  if (!env[`${prefix}HOST`] || !env[`${prefix}DATABASE`] || !env[`${prefix}USER`]) {
+    throw new Error(`Connection profile '${profile}' is not configured (set ${prefix}URL, or ${prefix}HOST, ${prefix}DATABASE and ${prefix}USER)`);
+  }
+  return {
+    host: env[`${prefix}HOST`],
+    port: Number(env[`${prefix}PORT`]) || 5432,
+    database: env[`${prefix}DATABASE`],
+    user: env[`${prefix}USER`],
+    password: env[`${prefix}PASSWORD`],
+  };
+}
+
+/**
+ * Build the pool configuration from the tool arguments: a connection
+ * profile, a connection string, or host, database, user and password
+ */
+function buildPoolConfig(params, env = process.env) {
+  if (params.profile) {
+    const conflicting = CONNECTION_ARGUMENTS.filter(name => params[name] !== undefined);
+    if (conflicting.length > 0) {
+      throw new Error(`A connection profile cannot be combined with ${conflicting.join(', ')}`);
+    }
+    return { ...profileConfig(params.profile, env), connectionTimeoutMillis: CONNECTION_TIMEOUT };
+  }
+
+  if (params.connectionString) {
+    return { connectionString: params.connectionString, connectionTimeoutMillis: CONNECTION_TIMEOUT };
+  }
+
+  if (!params.host || !params.database || !params.user) {
+    throw new Error('Either a connection profile, a connection string or host, database and user are required');
+  }
+
+  return {
+    host: params.host,
+    port: params.port || 5432,
+    database: params.database,
+    user: params.user,
+    password: params.password,
+    connectionTimeoutMillis: CONNECTION_TIMEOUT,
+  };
+}
+
+/**
+ * Describe a pool configuration without its password
+ */
+function describeConfig(config) {
+  if (config.connectionString) {
+    try {
+      const url = new URL(config.connectionString);
+      return {
+        host: url.hostname,
+        port: Number(url.port) || 5432,
+        database: url.pathname.replace(/^\//, ''),
+        user: decodeURIComponent(url.username),
+      };
+    } catch (error) {
+      return {};
+    }
+  }
+
+  return { host: config.host, port: config.port, database: config.database, user: config.user };
+}
+
+/**
+ * Open a connection pool, test it and register it under the given ID.
+ * Returns the new connection and the one it replaced, which the caller
+ * is responsible for draining.
+ */
+async function openConnection(connectionId, params) {
+  const config = buildPoolConfig(params);
+  const pool = new Pool({ ...config, types: resultTypes });
+
+  try {
+    // Test the connection
+    const client = await pool.connect();
+    client.release();
+  } catch (error) {
+    await pool.end().catch(() => {});
+    throw error;
+  }
+
+  const connection = {
+    id: connectionId,
+    pool,
+    profile: params.profile || null,
+    ...describeConfig(config),
+    createdAt: new Date().toISOString(),
+  };
+
+  const previous = connections.get(connectionId) || null;
+  connections.set(connectionId, connection);
+
+  return { connection, previous };
+}
+
+/**
+ * Get a registered connection, or null when there is none
+ */
+function getConnection(connectionId = DEFAULT_CONNECTION_ID) {
+  return connections.get(connectionId) || null;
+}
+
+/**
+ * Unregister a connection and return it, or null when there is none
+ */
+function removeConnection(connectionId) {
+  const connection = connections.get(connectionId) || null;
+  connections.delete(connectionId);
+  return connection;
+}
+
+/**
+ * List the registered connections with their pool statistics
+ */
+function listConnections() {
+  return Array.from(connections.values()).map(connection => ({
+    connectionId: connection.id,
+    profile: connection.profile,
+    host: connection.host,
+    port: connection.port,
+    database: connection.database,
+    user: connection.user,
+    createdAt: connection.createdAt,
+    totalCount: connection.pool.totalCount,
+    idleCount: connection.pool.idleCount,
+    waitingCount: connection.pool.waitingCount,
+  }));
+}
+
+module.exports = {
+  DEFAULT_CONNECTION_ID,
+  profileConfig,
+  buildPoolConfig,
+  openConnection,
+  getConnection,
+  removeConnection,
+  listConnections,
+};
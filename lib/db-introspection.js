@@ -0,0 +1,318 @@
+/**
+ * Database Introspection
+ *
+ * Reads relational metadata from the PostgreSQL catalog: columns, keys,
+ * indexes, foreign keys, comments and row estimates, and renders the
+ * foreign-key graph of a schema in a compact, prompt-friendly form.
+ */
+
+// pg_class.relkind values we describe
+const RELATION_KINDS = {
+  r: 'table',
+  p: 'partitioned table',
+  v: 'view',
+  m: 'materialized view',
+  f: 'foreign table',
+};
+
+// pg_constraint referential action codes
+const FK_ACTIONS = {
+  a: 'NO ACTION',
+  r: 'RESTRICT',
+  c: 'CASCADE',
+  n: 'SET NULL',
+  d: 'SET DEFAULT',
+};
+
+/**
+ * Convert pg_class.reltuples to a row estimate (null when never analyzed)
+ */
+function toRowEstimate(reltuples) {
+  const estimate = Number(reltuples);
+  return estimate < 0 ? null : Math.round(estimate);
+}
+
+/**
+ * Describe a single table, view or materialized view.
+ * Returns null when the relation does not exist.
+ */
+async function describeTable(db, schema, table) {
+  const relationQuery = `
+    SELECT
+      c.oid,
+      c.relkind,
+      c.reltuples,
+      obj_description(c.oid, 'pg_class') AS comment,
+      CASE WHEN c.relkind IN ('v', 'm') THEN pg_get_viewdef(c.oid, true) END AS definition
+    FROM
+      pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE
+      n.nspname = $1 AND c.relname = $2 AND c.relkind IN ('r', 'p', 'v', 'm', 'f');
+  `;
+
+  const relationResult = await db.query(relationQuery, [schema, table]);
+  if (relationResult.rows.length === 0) {
+    return null;
+  }
+
+  const relation = relationResult.rows[0];
+
+  // Columns come from pg_attribute, since information_schema omits materialized views
+  const columnsQuery = `
+    SELECT
+      a.attname AS column_name,
+      format_type(a.atttypid, a.atttypmod) AS data_type,
+      CASE WHEN a.attnotnull THEN 'NO' ELSE 'YES' END AS is_nullable,
+      pg_get_expr(d.adbin, d.adrelid) AS column_default,
+      col_description(a.attrelid, a.attnum) AS comment
+    FROM
+      pg_attribute a
+      LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+    WHERE
+      a.attrelid = $1 AND a.attnum > 0 AND NOT a.attisdropped
+    ORDER BY
+      a.attnum;
+  `;
+
+  const constraintsQuery = `
+    SELECT
+      con.conname AS name,
+      con.contype AS type,
+      ARRAY(
+        SELECT a.attname::text
+        FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+        JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+        ORDER BY k.ord
+      ) AS columns,
+      fn.nspname AS referenced_schema,
+      fc.relname AS referenced_table,
+      ARRAY(
+        SELECT a.attname::text
+        FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, ord)
+        JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+        ORDER BY k.ord
+      ) AS referenced_columns,
+      con.confupdtype AS on_update,
+      con.confdeltype AS on_delete
+    FROM
+      pg_constraint con
+      LEFT JOIN pg_class fc ON fc.oid = con.confrelid
+      LEFT JOIN pg_namespace fn ON fn.oid = fc.relnamespace
+    WHERE
+      con.conrelid = $1 AND con.contype IN ('p', 'u', 'f')
+    ORDER BY
+      con.conname;
+  `;
+
+  const indexesQuery = `
+    SELECT
+      i.relname AS name,
+      ix.indisunique AS is_unique,
+      ix.indisprimary AS is_primary,
+      am.amname AS method,
+      pg_get_indexdef(ix.indexrelid) AS definition
+    FROM
+      pg_index ix
+      JOIN pg_class i ON i.oid = ix.indexrelid
+      JOIN pg_am am ON am.oid = i.relam
+    WHERE
+      ix.indrelid = $1
+    ORDER BY
+      i.relname;
+  `;
+
+  const [columnsResult, constraintsResult, indexesResult] = await Promise.all([
+    db.query(columnsQuery, [relation.oid]),
+    db.query(constraintsQuery, [relation.oid]),
+    db.query(indexesQuery, [relation.oid]),
+  ]);
+
+  const constraints = constraintsResult.rows;
+  const primaryKey = constraints.find(con => con.type === 'p');
+
+  return {
+    schema,
+    table,
+    tableType: RELATION_KINDS[relation.relkind],
+    comment: relation.comment,
+    rowEstimate: toRowEstimate(relation.reltuples),
+    definition: relation.definition || undefined,
+    columns: columnsResult.rows,
+    primaryKey: primaryKey ? { name: primaryKey.name, columns: primaryKey.columns } : null,
+    uniqueConstraints: constraints
+      .filter(con => con.type === 'u')
+      .map(con => ({ name: con.name, columns: con.columns })),
+    foreignKeys: constraints
+      .filter(con => con.type === 'f')
+      .map(con => ({
+        name: con.name,
+        columns: con.columns,
+        referencedSchema: con.referenced_schema,
+        referencedTable: con.referenced_table,
+        referencedColumns: con.referenced_columns,
+        onUpdate: FK_ACTIONS[con.on_update],
+        onDelete: FK_ACTIONS[con.on_delete],
+      })),
+    indexes: indexesResult.rows.map(index => ({
+      name: index.name,
+      unique: index.is_unique,
+      primary: index.is_primary,
+      method: index.method,
+      definition: index.definition,
+    })),
+  };
+}
+
+/**
+ * Describe every relation of the given schemas and the foreign keys between them.
+ * The filter callback decides which relations are visible.
+ */
+async function describeDatabase(db, schemas, filter = () => true) {
+  const relationsQuery = `
+    SELECT
+      n.nspname AS schema,
+      c.relname AS name,
+      c.relkind,
+      c.reltuples,
+      obj_description(c.oid, 'pg_class') AS comment
+    FROM
+      pg_class c
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE
+      n.nspname = ANY($1) AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+    ORDER BY
+      n.nspname, c.relname;
+  `;
+
+  const columnsQuery = `
+    SELECT
+      n.nspname AS schema,
+      c.relname AS relation,
+      a.attname AS name,
+      format_type(a.atttypid, a.atttypmod) AS data_type,
+      a.attnotnull AS not_null,
+      EXISTS (
+        SELECT 1 FROM pg_constraint con
+        WHERE con.conrelid = c.oid AND con.contype = 'p' AND a.attnum = ANY(con.conkey)
+      ) AS is_primary
+    FROM
+      pg_attribute a
+      JOIN pg_class c ON c.oid = a.attrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+    WHERE
+      n.nspname = ANY($1) AND c.relkind IN ('r', 'p', 'v', 'm', 'f')
+      AND a.attnum > 0 AND NOT a.attisdropped
+    ORDER BY
+      n.nspname, c.relname, a.attnum;
+  `;
+
+  const foreignKeysQuery = `
+    SELECT
+      n.nspname AS schema,
+      c.relname AS relation,
+      ARRAY(
+        SELECT a.attname::text
+        FROM unnest(con.conkey) WITH ORDINALITY AS k(attnum, ord)
+        JOIN pg_attribute a ON a.attrelid = con.conrelid AND a.attnum = k.attnum
+        ORDER BY k.ord
+      ) AS columns,
+      fn.nspname AS referenced_schema,
+      fc.relname AS referenced_relation,
+      ARRAY(
+        SELECT a.attname::text
+        FROM unnest(con.confkey) WITH ORDINALITY AS k(attnum, ord)
+        JOIN pg_attribute a ON a.attrelid = con.confrelid AND a.attnum = k.attnum
+        ORDER BY k.ord
+      ) AS referenced_columns
+    FROM
+      pg_constraint con
+      JOIN pg_class c ON c.oid = con.conrelid
+      JOIN pg_namespace n ON n.oid = c.relnamespace
+      JOIN pg_class fc ON fc.oid = con.confrelid
+      JOIN pg_namespace fn ON fn.oid = fc.relnamespace
+    WHERE
+      con.contype = 'f' AND n.nspname = ANY($1)
+    ORDER BY
+      n.nspname, c.relname, con.conname;
+  `;
+
+  const [relationsResult, columnsResult, foreignKeysResult] = await Promise.all([
+    db.query(relationsQuery, [schemas]),
+    db.query(columnsQuery, [schemas]),
+    db.query(foreignKeysQuery, [schemas]),
+  ]);
+
+  const relations = relationsResult.rows
+    .filter(row => filter(row.schema, row.name))
+    .map(row => ({
+      name: `${row.schema}.${row.name}`,
+      type: RELATION_KINDS[row.relkind],
+      rowEstimate: toRowEstimate(row.reltuples),
+      comment: row.comment || undefined,
+      columns: [],
+    }));
+
+  const relationsByName = new Map(relations.map(relation => [relation.name, relation]));
+
+  for (const column of columnsResult.rows) {
+    const relation = relationsByName.get(`${column.schema}.${column.relation}`);
+    if (relation) {
+      relation.columns.push({
+        name: column.name,
+        type: column.data_type,
+        notNull: column.not_null,
+        primaryKey: column.is_primary,
+      });
+    }
+  }
+
+  const foreignKeys = foreignKeysResult.rows
+    .filter(row => filter(row.schema, row.relation) && filter(row.referenced_schema, row.referenced_relation))
+    .map(row => ({
+      from: `${row.schema}.${row.relation}(${row.columns.join(', ')})`,
+      to: `${row.referenced_schema}.${row.referenced_relation}(${row.referenced_columns.join(', ')})`,
+    }));
+
+  return { relations, foreignKeys, text: formatDatabase(relations, foreignKeys) };
+}
+
+/**
+ * Render relations and foreign keys as compact text for a prompt, e.g.
+ *
+ *   public.chunks (table, ~50000 rows): id integer PK, document_id integer NOT NULL, ...
+ *   public.chunks(document_id) -> public.documents(id)
+ */
+function formatDatabase(relations, foreignKeys) {
+  const lines = relations.map(relation => {
+    const details = [relation.type];
+    if (relation.rowEstimate !== null) {
+      details.push(`~${relation.rowEstimate} rows`);
+    }
+
+    const columns = relation.columns.map(column => {
+      let text = `${column.name} ${column.type}`;
+      if (column.primaryKey) {
+        text += ' PK';
+      } else if (column.notNull) {
+        text += ' NOT NULL';
+      }
+      return text;
+    });
+
+    return `${relation.name} (${details.join(', ')}): ${columns.join(', ')}`;
+  });
+
+  if (foreignKeys.length > 0) {
+    lines.push('', 'Foreign keys:');
+    foreignKeys.forEach(fk => lines.push(`${fk.from} -> ${fk.to}`));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  describeTable,
+  describeDatabase,
+  formatDatabase,
+};
@@ -0,0 +1,170 @@
+/**
+ * Database Transactions
+ *
+ * Explicit transactions that span several tool calls. Each transaction binds
+ * a dedicated client and is addressed by an opaque handle. Transactions left
+ * idle are rolled back automatically.
+ */
+
+const crypto = require('crypto');
+
+// Idle transactions are rolled back after this many milliseconds
+const DEFAULT_IDLE_TIMEOUT = 60 * 1000;
+const MAX_IDLE_TIMEOUT = 10 * 60 * 1000;
+
+// Open transactions by handle
+const transactions = new Map();
+
+/**
+ * Restart the idle timer of a transaction
+ */
+function touch(state) {
+  clearTimeout(state.timer);
+  state.timer = setTimeout(() => {
+    endTransaction(state.id, 'ROLLBACK').catch(() => {});
+  }, state.idleTimeout);
+  state.timer.unref();
+}
+
+/**
+ * Begin a transaction on a dedicated client and return its state
+ */
+async function beginTransaction(pool, options = {}) {
+  const idleTimeout = Math.max(1000, Math.min(options.idleTimeout || DEFAULT_IDLE_TIMEOUT, MAX_IDLE_TIMEOUT));
+  const client = await pool.connect();
+
+  try {
+    await client.query(options.readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+  } catch (error) {
+    client.release(error);
+    throw error;
+  }
+
+  const state = {
+    id: crypto.randomBytes(16).toString('hex'),
+    pool,
+    client,
+    readOnly: Boolean(options.readOnly),
+    idleTimeout,
+    startedAt: new Date().toISOString(),
+    timer: null,
+  };
+
+  transactions.set(state.id, state);
+  touch(state);
+
+  return state;
+}
+
+/**
+ * Get an open transaction and restart its idle timer
+ */
+function getTransaction(id) {
+  const state = transactions.get(id);
+  if (!state) {
+    throw new Error(`Transaction '${id}' not found or timed out`);
+  }
+
+  touch(state);
+  return state;
+}
+
+/**
+ * End a transaction with COMMIT or ROLLBACK and release its client
+ */
+async function endTransaction(id, command) {
+  const state = transactions.get(id);
+  if (!state) {
+    throw new Error(`Transaction '${id}' not found or timed out`);
+  }
+
+  transactions.delete(id);
+  clearTimeout(state.timer);
+
+  try {
+    const result = await state.client.query(command);
+    state.client.release();
+    // COMMIT of an aborted transaction is reported as ROLLBACK
+    return result.command || command;
+  } catch (error) {
+    // A broken client must not go back to the pool
+    state.client.release(error);
+    throw error;
+  }
+}
+
+/**
+ * Commit a transaction
+ */
+function commitTransaction(id) {
+  return endTransaction(id, 'COMMIT');
+}
+
+/**
+ * Roll back a transaction
+ */
+function rollbackTransaction(id) {
+  return endTransaction(id, 'ROLLBACK');
+}
+
+/**
+ * Roll back every transaction opened on a pool, before the pool is shut down
+ */
+async function rollbackTransactionsForPool(pool) {
+  const ids = Array.from(transactions.values())
+    .filter(state => state.pool === pool)
+    .map(state => state.id);
+
+  await Promise.all(ids.map(id => rollbackTransaction(id).catch(() => {})));
+  return ids.length;
+}
+
+/**
+ * Run an ordered list of statements in a single transaction.
+ * On failure the transaction is rolled back and the error carries the
+ * index of the failing statement and the results of the earlier ones.
+ */
+async function runBatch(pool, statements, options = {}) {
+  const client = await pool.connect();
+  const results = [];
+
+  try {
+    await client.query(options.readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+    if (options.timeout) {
+      await client.query(`SET LOCAL statement_timeout = ${Math.floor(options.timeout)}`);
+    }
+
+    for (let index = 0; index < statements.length; index++) {
+      const statement = statements[index];
+      try {
+        results.push(await client.query(statement.query, statement.params || []));
+      } catch (error) {
+        error.statementIndex = index;
+        throw error;
+      }
+    }
+
+    await client.query('COMMIT');
+    client.release();
+    return results;
+  } catch (error) {
+    try {
+      await client.query('ROLLBACK');
+      client.release();
+    } catch (rollbackError) {
+      client.release(rollbackError);
+    }
+
+    error.results = results;
+    throw error;
+  }
+}
+
+module.exports = {
+  beginTransaction,
+  getTransaction,
+  commitTransaction,
+  rollbackTransaction,
+  rollbackTransactionsForPool,
+  runBatch,
+};
@@ -0,0 +1,129 @@
+/**
+ * Delimited Text
+ *
+ * Parsing of CSV and TSV text (RFC 4180 quoting: fields in double quotes
+ * may contain delimiters, newlines and doubled quotes), and detection of
+ * the delimiter of a text.
+ */
+
+// Delimiters tried by detectDelimiter, most common first
+const DELIMITERS = [',', '\t', ';', '|'];
+
+// Number of lines sampled by detectDelimiter
+const SAMPLE_LINES = 20;
+
+/**
+ * Parse delimited text into rows of fields. Each row records the line it
+ * starts on (1-based), since quoted fields may span lines.
+ */
+function parseDelimited(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    // Skip blank lines
+    if (row.length > 1 || row[0] !== '') {
+      rows.push({ line: rowLine, fields: row });
+    }
+    row = [];
+    field = '';
+  };
+
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  for (let i = 0; i < source.length; i++) {
+    const character = source[i];
+
+    if (quoted) {
+      if (character === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        if (character === '\n') {
+          line++;
+        }
+        field += character;
+      }
+    } else if (character === '"' && field === '') {
+      quoted = true;
+    } else if (character === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (character === '\n' || character === '\r') {
+      if (character === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+      line++;
+      rowLine = line;
+    } else {
+      field += character;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Detect the delimiter of a text: the first delimiter that splits every
+ * sampled line into the same number (at least two) of fields. Returns null
+ * when the text does not look delimited.
+ */
+function detectDelimiter(text) {
+  const sample = text.split(/\r?\n/).filter(line => line.trim()).slice(0, SAMPLE_LINES).join('\n');
+  if (!sample) {
+    return null;
+  }
+
+  for (const delimiter of DELIMITERS) {
+    const rows = parseDelimited(sample, delimiter);
+    const width = rows[0].fields.length;
+    // A final sampled row may be cut inside a quoted field
+    const complete = rows.length > 2 ? rows.slice(0, -1) : rows;
+    if (width > 1 && rows.length > 1 && complete.every(row => row.fields.length === width)) {
+      return delimiter;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Convert parsed rows to a table: the first row as headers (blank headers
+ * are named column_<n>), the others as rows padded to the header width
+ */
+function rowsToTable(rows) {
+  if (rows.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const width = Math.max(...rows.map(row => row.fields.length));
+  const headers = Array.from({ length: width }, (_, index) => {
+    const header = (rows[0].fields[index] || '').trim();
+    return header || `column_${index + 1}`;
+  });
+
+  return {
+    headers,
+    rows: rows.slice(1).map(row => ({
+      line: row.line,
+      values: headers.map((header, index) => (row.fields[index] === undefined ? '' : row.fields[index])),
+    })),
+  };
+}
+
+module.exports = {
+  parseDelimited,
+  detectDelimiter,
+  rowsToTable,
+};
@@ -0,0 +1,208 @@
+/**
+ * Directory Sync
+ *
+ * Keeps a collection in step with a directory tree. A manifest records the
+ * path, modification time, size and content hash of every file synced, so
+ * a sync only hashes files whose modification time or size changed, only
+ * re-ingests files whose content changed, and deletes the chunks of files
+ * that were removed (or no longer match the include/exclude globs).
+ *
+ * The manifest is a JSON file, by default .metis-sync/<collection>.json in
+ * the synced directory (hidden, so never synced itself). It is written
+ * after every sync; files that fail to ingest keep their previous entry,
+ * without its hash when the settings changed, so the next sync retries them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  DEFAULT_STRATEGY,
+  DEFAULT_CHUNK_SIZE,
+  sha256,
+  ingestFile,
+  listFiles,
+} = require('./ingestion');
+const { defaultChunkOverlap } = require('./chunking');
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Default manifest path of a sync of a directory into a collection
+ */
+function defaultManifestPath(directory, collectionName) {
+  return path.join(directory, '.metis-sync', `${encodeURIComponent(collectionName)}.json`);
+}
+
+/**
+ * Read a manifest, or return an empty one when there is none
+ */
+async function readManifest(manifestPath) {
+  if (!fs.existsSync(manifestPath)) {
+    return { version: MANIFEST_VERSION, files: {} };
+  }
+  const manifest = JSON.parse(await fs.promises.readFile(manifestPath, 'utf8'));
+  if (manifest.version > MANIFEST_VERSION) {
+    throw new Error(`Unsupported sync manifest version ${manifest.version}`);
+  }
+  return manifest;
+}
+
+/**
+ * Write a manifest through a temporary file, so a failed write keeps the old one
+ */
+async function writeManifest(manifestPath, manifest) {
+  await fs.promises.mkdir(path.dirname(manifestPath), { recursive: true });
+  const temporaryPath = `${manifestPath}.tmp`;
+  await fs.promises.writeFile(temporaryPath, JSON.stringify(manifest, null, 2));
+  await fs.promises.rename(temporaryPath, manifestPath);
+}
+
+/**
+ * Compare a directory with a manifest. Returns the entries of the files
+ * found, by relative path, and the relative paths that are added, changed,
+ * unchanged and removed. Files are only hashed when their modification time
+ * or size differ from the manifest, or their entry has no hash.
+ */
+async function diffDirectory(directory, manifest, { recursive, extensions, include, exclude, settingsChanged = false }) {
+  const files = await listFiles(directory, { recursive, extensions, include, exclude });
+  const entries = {};
+  const diff = { added: [], changed: [], unchanged: [], removed: [] };
+
+  for (const file of files) {
+    const relativePath = path.relative(directory, file).split(path.sep).join('/');
+    const stats = await fs.promises.stat(file);
+    const previous = manifest.files[relativePath];
+    const entry = { mtime: stats.mtimeMs, size: stats.size, hash: null };
+
+    if (previous && previous.hash && previous.mtime === entry.mtime && previous.size === entry.size) {
+      entry.hash = previous.hash;
+    } else {
+      entry.hash = sha256(await fs.promises.readFile(file));
+    }
+    entries[relativePath] = entry;
+
+    if (!previous) {
+      diff.added.push(relativePath);
+    } else if (settingsChanged || previous.hash !== entry.hash) {
+      diff.changed.push(relativePath);
+    } else {
+      diff.unchanged.push(relativePath);
+    }
+  }
+
+  diff.removed = Object.keys(manifest.files).filter(relativePath => !entries[relativePath]);
+
+  return { entries, diff };
+}
+
+/**
+ * Sync a directory into a collection. With dryRun, only the diff is
+ * returned and nothing is written. Otherwise added and changed files are
+ * ingested, the chunks of removed files are deleted, and the manifest is
+ * updated. Returns the diff, the per-file results and the manifest path.
+ */
+async function syncDirectory(collection, directory, {
+  recursive = true,
+  extensions,
+  include,
+  exclude,
+  manifestPath,
+  dryRun = false,
+  strategy = DEFAULT_STRATEGY,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  chunkOverlap = defaultChunkOverlap(chunkSize),
+  encoding,
+  metadata = {},
+  force = false,
+} = {}) {
+  const root = path.resolve(directory);
+  const manifestFile = manifestPath || defaultManifestPath(root, collection.name);
+  const manifest = await readManifest(manifestFile);
+
+  // Changed chunking settings require every file to be re-chunked
+  const settings = { strategy, chunkSize, chunkOverlap, encoding: encoding || null, metadata };
+  const settingsChanged = force || (
+    manifest.settings !== undefined && JSON.stringify(manifest.settings) !== JSON.stringify(settings)
+  );
+
+  const { entries, diff } = await diffDirectory(root, manifest, {
+    recursive,
+    extensions,
+    include,
+    exclude,
+    settingsChanged,
+  });
+
+  if (dryRun) {
+    return { dryRun: true, manifest: manifestFile, diff };
+  }
+
+  const files = {};
+  const results = [];
+
+  // Unchanged files keep their entries, with their current modification time
+  diff.unchanged.forEach(relativePath => {
+    files[relativePath] = { ...manifest.files[relativePath], ...entries[relativePath] };
+  });
+
+  for (const relativePath of [...diff.added, ...diff.changed]) {
+    try {
+      // Files listed only because the settings changed have the same content,
+      // so ingestFile must not skip them
+      const result = await ingestFile(collection, path.join(root, relativePath), {
+        strategy,
+        chunkSize,
+        chunkOverlap,
+        encoding,
+        metadata,
+        force: settingsChanged,
+      });
+      files[relativePath] = { ...entries[relativePath], chunks: result.chunks };
+      results.push({ path: relativePath, ...result });
+    } catch (error) {
+      // Failed files keep their previous entry, if any, so the next sync retries
+      // them. The new settings are saved with the manifest, so after a settings
+      // change the entry loses its hash and the file shows as changed until
+      // it is re-ingested.
+      if (manifest.files[relativePath]) {
+        files[relativePath] = settingsChanged
+          ? { ...manifest.files[relativePath], hash: null }
+          : manifest.files[relativePath];
+      }
+      results.push({ path: relativePath, file: path.join(root, relativePath), status: 'failed', error: error.message });
+    }
+  }
+
+  for (const relativePath of diff.removed) {
+    try {
+      // Backends return the deleted ids; a client that returns nothing leaves the count unknown
+      const deleted = await collection.delete({ where: { source: path.join(root, relativePath) } });
+      results.push({
+        path: relativePath,
+        file: path.join(root, relativePath),
+        status: 'removed',
+        deleted: Array.isArray(deleted) ? deleted.length : null,
+      });
+    } catch (error) {
+      files[relativePath] = manifest.files[relativePath];
+      results.push({ path: relativePath, file: path.join(root, relativePath), status: 'failed', error: error.message });
+    }
+  }
+
+  await writeManifest(manifestFile, {
+    version: MANIFEST_VERSION,
+    collection: collection.name,
+    directory: root,
+    settings,
+    syncedAt: new Date().toISOString(),
+    files,
+  });
+
+  return { dryRun: false, manifest: manifestFile, diff, files: results };
+}
+
+module.exports = {
+  defaultManifestPath,
+  diffDirectory,
+  syncDirectory,
+};
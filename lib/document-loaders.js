@@ -0,0 +1,522 @@
+/**
+ * Document Loaders
+ *
+ * Loads documents from files into text, keeping the segments (e.g. PDF
+ * pages) the loaders return with their position in the joined text, so
+ * that chunks can be cited by page.
+ *
+ * The format of a file is detected from its content (magic bytes, the
+ * entries of zip containers, JSON and HTML syntax, delimiter consistency);
+ * the extension only decides between text formats the content does not
+ * tell apart. Every format is normalized to clean text plus per-segment
+ * metadata:
+ *   pdf        one segment per page (loc.pageNumber)
+ *   docx       one segment
+ *   txt, md    one segment
+ *   html       one segment per heading section (section, anchor)
+ *   csv, tsv   one segment per row (row), as "header: value" lines
+ *   xlsx       one segment per row (sheet, row), after a heading per sheet
+ *   json       one segment per record of the main array (jsonPath), as
+ *              "path: value" lines
+ *   epub       one segment per chapter (chapter, chapterTitle)
+ *   pptx       one segment per slide (slide, title), with speaker notes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+const { PDFLoader } = require('langchain/document_loaders/fs/pdf');
+const { DocxLoader } = require('langchain/document_loaders/fs/docx');
+const { TextLoader } = require('langchain/document_loaders/fs/text');
+const { splitSections } = require('./document-structure');
+const { parseDelimited, detectDelimiter, rowsToTable } = require('./delimited');
+const { htmlToSections } = require('./html-text');
+const { readWorkbook } = require('./workbooks');
+
+// Separator between the segments of a document in its joined text
+const SEGMENT_SEPARATOR = '\n\n';
+
+// Formats by file extension
+const EXTENSION_FORMATS = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.txt': 'txt',
+  '.md': 'md',
+  '.markdown': 'md',
+  '.html': 'html',
+  '.htm': 'html',
+  '.xhtml': 'html',
+  '.csv': 'csv',
+  '.tsv': 'tsv',
+  '.xlsx': 'xlsx',
+  '.json': 'json',
+  '.epub': 'epub',
+  '.pptx': 'pptx',
+};
+
+const SUPPORTED_EXTENSIONS = Object.keys(EXTENSION_FORMATS);
+
+// Formats whose content is plain text, which the extension may pick between
+const TEXT_FORMATS = ['txt', 'md', 'csv', 'tsv', 'json', 'html'];
+
+// Start of an HTML document, after an optional XML declaration and comments
+const HTML_START = /^(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<(?:!doctype\s+html|html|head|body)[\s>]/i;
+
+// Number of bytes checked for NUL bytes to tell binary files from text
+const BINARY_SNIFF_BYTES = 8000;
+
+// Ways of splitting a document into segments
+const SEGMENTATIONS = ['page', 'section'];
+
+/**
+ * Decode UTF-8 text, without a byte order mark
+ */
+function decodeText(buffer) {
+  const text = buffer.toString('utf8');
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
+
+/**
+ * Check whether a text starts like an HTML document
+ */
+function isHtml(text) {
+  return HTML_START.test(text.trimStart());
+}
+
+/**
+ * Read a text file of a zip archive, or null when it is missing
+ */
+async function readZipText(zip, name) {
+  const file = zip.file(name);
+  return file ? file.async('string') : null;
+}
+
+/**
+ * Detect the format of a zip container from its entries
+ */
+async function detectZipFormat(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const mimetype = await readZipText(zip, 'mimetype');
+  if (mimetype && mimetype.trim() === 'application/epub+zip') {
+    return 'epub';
+  }
+  if (zip.file('word/document.xml')) {
+    return 'docx';
+  }
+  if (zip.file('ppt/presentation.xml')) {
+    return 'pptx';
+  }
+  if (zip.file('xl/workbook.xml')) {
+    return 'xlsx';
+  }
+  return null;
+}
+
+/**
+ * Detect the format of a file from its content, falling back on its
+ * extension for text formats the content does not tell apart
+ */
+async function detectFormat(buffer, extension) {
+  const declared = EXTENSION_FORMATS[extension] || null;
+
+  if (buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+    return 'pdf';
+  }
+  if (buffer.subarray(0, 4).toString('latin1') === 'PK\x03\x04') {
+    const format = await detectZipFormat(buffer);
+    if (!format) {
+      throw new Error(`Unsupported file type: zip archive${extension ? ` (${extension})` : ''}`);
+    }
+    return format;
+  }
+  if (buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0)) {
+    throw new Error(`Unsupported file type: ${extension || 'binary file'}`);
+  }
+
+  const text = decodeText(buffer).trimStart();
+  if (/^[{[]/.test(text)) {
+    try {
+      JSON.parse(text);
+      return 'json';
+    } catch (error) {
+      // Not JSON
+    }
+  }
+  if (isHtml(text)) {
+    return 'html';
+  }
+  if (TEXT_FORMATS.includes(declared) && declared !== 'json') {
+    return declared;
+  }
+
+  const delimiter = detectDelimiter(text);
+  if (delimiter) {
+    return delimiter === '\t' ? 'tsv' : 'csv';
+  }
+  return 'txt';
+}
+
+/**
+ * Render the values of a record as "name: value" lines, skipping empty values
+ */
+function recordText(entries) {
+  return entries
+    .filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+}
+
+/**
+ * Documents for the rows of a table, one per row
+ */
+function tableDocuments(table, metadata) {
+  return table.rows
+    .map(row => ({
+      pageContent: recordText(table.headers.map((header, index) => [header, row.values[index]])),
+      metadata: { ...metadata, row: row.line },
+    }))
+    .filter(doc => doc.pageContent);
+}
+
+/**
+ * Flatten a JSON value to [path, value] entries, joining arrays of
+ * primitive values with commas
+ */
+function flattenJson(value, prefix = '') {
+  if (Array.isArray(value)) {
+    if (value.every(item => item === null || typeof item !== 'object')) {
+      return [[prefix || 'value', value.join(', ')]];
+    }
+    return value.flatMap((item, index) => flattenJson(item, `${prefix}[${index}]`));
+  }
+  if (value !== null && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => flattenJson(item, prefix ? `${prefix}.${key}` : key));
+  }
+  return [[prefix || 'value', value]];
+}
+
+/**
+ * Find the records of a JSON document: the top-level array, or the largest
+ * array of objects directly under the top-level object (e.g. the "data" of
+ * an API response). Returns the JSON path of the array and its items, or
+ * null when there are no records.
+ */
+function findJsonRecords(data) {
+  if (Array.isArray(data)) {
+    return { jsonPath: '$', items: data };
+  }
+  if (data === null || typeof data !== 'object') {
+    return null;
+  }
+
+  let records = null;
+  Object.entries(data).forEach(([key, value]) => {
+    const isRecords = Array.isArray(value) && value.length > 0 && value.every(item => item !== null && typeof item === 'object');
+    if (isRecords && (!records || value.length > records.items.length)) {
+      records = { key, jsonPath: `$.${key}`, items: value };
+    }
+  });
+  return records;
+}
+
+/**
+ * Resolve the relationships of an Office Open XML part to archive paths, by ID
+ */
+async function readRelationships(zip, partPath) {
+  const relsPath = path.posix.join(path.posix.dirname(partPath), '_rels', `${path.posix.basename(partPath)}.rels`);
+  const xml = await readZipText(zip, relsPath);
+  const relationships = new Map();
+  if (!xml) {
+    return relationships;
+  }
+
+  const $ = cheerio.load(xml, { xmlMode: true });
+  $('Relationship').each((index, element) => {
+    const target = $(element).attr('Target');
+    relationships.set($(element).attr('Id'), {
+      type: $(element).attr('Type') || '',
+      path: path.posix.normalize(path.posix.join(path.posix.dirname(partPath), target)),
+    });
+  });
+  return relationships;
+}
+
+/**
+ * Text of the paragraphs of a slide or notes part, outside the placeholders
+ * whose type is in skippedTypes; the title is the text of the title
+ * placeholder
+ */
+function slideText(xml, skippedTypes = []) {
+  const $ = cheerio.load(xml, { xmlMode: true });
+  let title = null;
+  const lines = [];
+
+  $('p\\:sp, p\\:graphicFrame').each((index, shape) => {
+    const placeholder = $(shape).find('p\\:ph').first().attr('type');
+    const paragraphs = $(shape).find('a\\:p').toArray()
+      .map(paragraph => $(paragraph).find('a\\:t').toArray().map(run => $(run).text()).join('').trim())
+      .filter(paragraph => paragraph);
+
+    if (placeholder === 'title' || placeholder === 'ctrTitle') {
+      title = title || paragraphs.join(' ');
+    } else if (!skippedTypes.includes(placeholder)) {
+      lines.push(...paragraphs);
+    }
+  });
+
+  return { title, lines };
+}
+
+// Loaders by format: async (filePath, buffer) returning { pageContent, metadata } documents
+const loaders = {
+  pdf: filePath => new PDFLoader(filePath).load(),
+  docx: filePath => new DocxLoader(filePath).load(),
+  txt: filePath => new TextLoader(filePath).load(),
+  md: filePath => new TextLoader(filePath).load(),
+
+  async html(filePath, buffer) {
+    const { title, sections } = htmlToSections(decodeText(buffer));
+    return sections.map(section => ({
+      pageContent: section.text,
+      metadata: {
+        source: filePath,
+        ...(title ? { title } : {}),
+        ...(section.headingPath.length > 0 ? { section: section.headingPath.join(' > ') } : {}),
+        ...(section.anchor ? { anchor: section.anchor } : {}),
+      },
+    }));
+  },
+
+  async csv(filePath, buffer) {
+    const text = decodeText(buffer);
+    const rows = parseDelimited(text, detectDelimiter(text) || ',');
+    return tableDocuments(rowsToTable(rows), { source: filePath });
+  },
+
+  async tsv(filePath, buffer) {
+    return tableDocuments(rowsToTable(parseDelimited(decodeText(buffer), '\t')), { source: filePath });
+  },
+
+  async xlsx(filePath, buffer) {
+    const docs = [];
+
+    (await readWorkbook(buffer)).forEach(({ sheet, rows }) => {
+      const rowDocs = tableDocuments(rowsToTable(rows), { source: filePath, sheet });
+      if (rowDocs.length > 0) {
+        docs.push({ pageContent: `# ${sheet}`, metadata: { source: filePath, sheet } }, ...rowDocs);
+      }
+    });
+
+    return docs;
+  },
+
+  async json(filePath, buffer) {
+    const data = JSON.parse(decodeText(buffer));
+    const records = findJsonRecords(data);
+    const docs = [];
+
+    if (records && records.key) {
+      // The fields around the records, e.g. the paging information of an API response
+      const rest = { ...data };
+      delete rest[records.key];
+      const text = recordText(flattenJson(rest));
+      if (text) {
+        docs.push({ pageContent: text, metadata: { source: filePath, jsonPath: '$' } });
+      }
+    }
+
+    if (records) {
+      records.items.forEach((item, index) => {
+        const text = recordText(flattenJson(item));
+        if (text) {
+          docs.push({ pageContent: text, metadata: { source: filePath, jsonPath: `${records.jsonPath}[${index}]` } });
+        }
+      });
+    } else {
+      docs.push({ pageContent: recordText(flattenJson(data)), metadata: { source: filePath, jsonPath: '$' } });
+    }
+
+    return docs;
+  },
+
+  async epub(filePath, buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const container = cheerio.load(await readZipText(zip, 'META-INF/container.xml') || '', { xmlMode: true });
+    const packagePath = container('rootfile').first().attr('full-path');
+    const packageXml = packagePath ? await readZipText(zip, packagePath) : null;
+    if (!packageXml) {
+      throw new Error('Invalid EPUB: package document not found');
+    }
+
+    const $ = cheerio.load(packageXml, { xmlMode: true });
+    const bookTitle = $('dc\\:title').first().text().trim() || null;
+    const items = new Map($('manifest > item').toArray().map(item => [$(item).attr('id'), {
+      href: $(item).attr('href'),
+      mediaType: $(item).attr('media-type'),
+    }]));
+
+    const docs = [];
+    for (const itemref of $('spine > itemref').toArray()) {
+      const item = items.get($(itemref).attr('idref'));
+      if (!item || !/html/.test(item.mediaType || '')) {
+        continue;
+      }
+      const html = await readZipText(zip, path.posix.join(path.posix.dirname(packagePath), decodeURIComponent(item.href)));
+      const { title, sections } = htmlToSections(html || '');
+      const text = sections.map(section => section.text).join(SEGMENT_SEPARATOR);
+      if (!text.trim()) {
+        continue;
+      }
+
+      const heading = sections.find(section => section.level > 0);
+      const chapterTitle = heading ? heading.title : title;
+      docs.push({
+        pageContent: text,
+        metadata: {
+          source: filePath,
+          ...(bookTitle ? { title: bookTitle } : {}),
+          chapter: docs.length + 1,
+          ...(chapterTitle ? { chapterTitle } : {}),
+          href: item.href,
+        },
+      });
+    }
+
+    return docs;
+  },
+
+  async pptx(filePath, buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const presentationPath = 'ppt/presentation.xml';
+    const presentation = cheerio.load(await readZipText(zip, presentationPath), { xmlMode: true });
+    const relationships = await readRelationships(zip, presentationPath);
+
+    const docs = [];
+    const slideIds = presentation('p\\:sldId').toArray();
+    for (let index = 0; index < slideIds.length; index++) {
+      const relationship = relationships.get(presentation(slideIds[index]).attr('r:id'));
+      const xml = relationship ? await readZipText(zip, relationship.path) : null;
+      if (!xml) {
+        continue;
+      }
+
+      const slide = slideText(xml);
+      const parts = [];
+      if (slide.title) {
+        parts.push(`# ${slide.title}`);
+      }
+      if (slide.lines.length > 0) {
+        parts.push(slide.lines.join('\n'));
+      }
+
+      // Speaker notes, without the slide image and number placeholders
+      const slideRelationships = await readRelationships(zip, relationship.path);
+      const notes = Array.from(slideRelationships.values()).find(rel => rel.type.endsWith('/notesSlide'));
+      const notesXml = notes ? await readZipText(zip, notes.path) : null;
+      if (notesXml) {
+        const notesText = slideText(notesXml, ['sldImg', 'sldNum', 'hdr', 'ftr', 'dt']);
+        if (notesText.lines.length > 0) {
+          parts.push(`Notes:\n${notesText.lines.join('\n')}`);
+        }
+      }
+
+      docs.push({
+        pageContent: parts.join(SEGMENT_SEPARATOR),
+        metadata: {
+          source: filePath,
+          slide: index + 1,
+          ...(slide.title ? { title: slide.title } : {}),
+        },
+      });
+    }
+
+    return docs;
+  },
+};
+
+/**
+ * Load a document, detecting its format from its content. Returns its
+ * joined text, its format (fileType), the metadata of its first segment,
+ * and its segments with their page number (PDF page or slide, when known),
+ * their start and end offsets in the joined text and their metadata.
+ */
+async function loadDocument(filePath) {
+  const fileExtension = path.extname(filePath).toLowerCase();
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+
+  const buffer = await fs.promises.readFile(filePath);
+  const format = await detectFormat(buffer, fileExtension);
+  const docs = await loaders[format](filePath, buffer);
+
+  let offset = 0;
+  const segments = docs.map(doc => {
+    const startOffset = offset;
+    offset += doc.pageContent.length + SEGMENT_SEPARATOR.length;
+    const loc = doc.metadata.loc;
+    return {
+      text: doc.pageContent,
+      page: (loc && loc.pageNumber) || doc.metadata.slide || null,
+      startOffset,
+      endOffset: startOffset + doc.pageContent.length,
+      metadata: doc.metadata,
+    };
+  });
+
+  return {
+    pageContent: docs.map(doc => doc.pageContent).join(SEGMENT_SEPARATOR),
+    metadata: docs.length > 0 ? docs[0].metadata : {},
+    fileName: path.basename(filePath),
+    fileType: format,
+    segments,
+  };
+}
+
+/**
+ * Split a loaded document into sections at its markdown headings. Each
+ * section gets its heading path, the page it starts on and the metadata of
+ * that page.
+ */
+function sectionSegments(document) {
+  return splitSections(document.pageContent).map(section => {
+    // The loader segment the section starts in
+    const page = document.segments.filter(segment => segment.startOffset <= section.startOffset).pop();
+    return {
+      text: document.pageContent.slice(section.startOffset, section.endOffset),
+      page: page ? page.page : null,
+      startOffset: section.startOffset,
+      endOffset: section.endOffset,
+      headingPath: section.headingPath,
+      metadata: page ? page.metadata : document.metadata,
+    };
+  });
+}
+
+/**
+ * Segments of a loaded document: 'page' for the segments of the loader
+ * (pages, slides, rows, records...; the whole text for plain documents),
+ * 'section' for its sections
+ */
+function documentSegments(document, segmentBy) {
+  switch (segmentBy) {
+    case 'page':
+      return document.segments;
+    case 'section':
+      return sectionSegments(document);
+    default:
+      throw new Error(`Unsupported segmentation: ${segmentBy}`);
+  }
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  SEGMENTATIONS,
+  decodeText,
+  isHtml,
+  detectFormat,
+  loadDocument,
+  documentSegments,
+};
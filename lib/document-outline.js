@@ -0,0 +1,374 @@
+/**
+ * Document Outline
+ *
+ * Structure of a document for navigation: a tree of its sections with
+ * their character ranges and word counts, its front matter, links, images
+ * and language. Markdown is analyzed directly (ATX and setext headings);
+ * HTML and DOCX documents are converted to markdown-style text first, so
+ * their <h1>-<h6> elements and heading styles become the outline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const mammoth = require('mammoth');
+const { detectFormat, decodeText, loadDocument } = require('./document-loaders');
+const { findFrontMatter, findHeadings } = require('./document-structure');
+const { findCodeBlocks } = require('./markdown-blocks');
+const { findMarkdownTables } = require('./table-extraction');
+const { htmlToSections } = require('./html-text');
+const { detectLanguage } = require('./text-language');
+
+/**
+ * Count the words of a text, with Intl.Segmenter
+ */
+function countWords(text) {
+  const segmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+  let count = 0;
+  for (const { isWordLike } of segmenter.segment(text)) {
+    if (isWordLike) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Replace the characters of the given ranges with spaces, keeping newlines
+ * so that offsets and line numbers are unchanged
+ */
+function maskRanges(text, ranges) {
+  const parts = [];
+  let cursor = 0;
+  [...ranges].sort((a, b) => a.start - b.start).forEach(({ start, end }) => {
+    if (end <= cursor) {
+      return;
+    }
+    const from = Math.max(start, cursor);
+    parts.push(text.slice(cursor, from), text.slice(from, end).replace(/[^\n]/g, ' '));
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+  return parts.join('');
+}
+
+/**
+ * Create a function returning the line (1-based) of an offset in a text
+ */
+function lineLocator(text) {
+  const lineStarts = [0];
+  for (let index = text.indexOf('\n'); index !== -1; index = text.indexOf('\n', index + 1)) {
+    lineStarts.push(index + 1);
+  }
+  return offset => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low + 1;
+  };
+}
+
+/**
+ * Parse a front matter scalar: quoted strings, numbers, booleans and
+ * inline [a, b] lists
+ */
+function parseScalar(value) {
+  const text = value.trim();
+  if (/^\[.*\]$/.test(text)) {
+    return text.slice(1, -1).split(',').map(item => parseScalar(item)).filter(item => item !== '');
+  }
+  if (/^(["']).*\1$/.test(text)) {
+    return text.slice(1, -1);
+  }
+  if (/^(true|false)$/i.test(text)) {
+    return text.toLowerCase() === 'true';
+  }
+  if (/^[+-]?\d+(\.\d+)?$/.test(text)) {
+    return Number(text);
+  }
+  return text;
+}
+
+/**
+ * Parse the top-level keys of a front matter: "key: value" (YAML, with
+ * "- item" lists) or "key = value" (TOML). Nested maps are not parsed and
+ * read as null.
+ */
+function parseFrontMatter(frontMatter) {
+  const data = {};
+  const separator = frontMatter.format === 'yaml' ? /^([\w-]+)\s*:\s*(.*)$/ : /^([\w-]+)\s*=\s*(.*)$/;
+  let listKey = null;
+
+  frontMatter.content.split(/\r?\n/).forEach(line => {
+    const entry = line.match(separator);
+    if (entry) {
+      const value = entry[2].replace(/\s+#.*$/, '').trim();
+      data[entry[1]] = value === '' ? null : parseScalar(value);
+      listKey = value === '' ? entry[1] : null;
+      return;
+    }
+    const item = line.match(/^\s*-\s+(.*)$/);
+    if (listKey && item) {
+      data[listKey] = [...(data[listKey] || []), parseScalar(item[1])];
+    }
+  });
+
+  return data;
+}
+
+/**
+ * Kind of a link target: anchor (#id), external (with a scheme) or relative
+ */
+function linkType(url) {
+  if (url.startsWith('#')) {
+    return 'anchor';
+  }
+  return /^[a-z][a-z0-9+.-]*:/i.test(url) ? 'external' : 'relative';
+}
+
+/**
+ * Find the links and images of a markdown text: inline, reference-style
+ * and autolinks, outside code. Each records its line.
+ */
+function findMarkdownLinks(text, codeBlocks) {
+  const masked = maskRanges(text, codeBlocks).replace(/`[^`\n]*`/g, span => ' '.repeat(span.length));
+  const lineAt = lineLocator(text);
+  const links = [];
+  const images = [];
+
+  const definitions = new Map();
+  const definitionRegex = /^ {0,3}\[([^\]]+)\]:[ \t]*<?([^\s>]+)>?(?:[ \t]+["'(]([^"')]*)["')])?[ \t]*$/gm;
+  let match;
+  while ((match = definitionRegex.exec(masked)) !== null) {
+    definitions.set(match[1].toLowerCase(), { url: match[2], title: match[3] || null });
+  }
+
+  const add = (image, label, url, title, offset) => {
+    const entry = image
+      ? { alt: label, src: url, title: title || null, line: lineAt(offset) }
+      : { text: label, url, type: linkType(url), title: title || null, line: lineAt(offset) };
+    (image ? images : links).push({ ...entry, offset });
+  };
+
+  // Images are also matched inside link texts, e.g. [![badge](badge.svg)](url)
+  const destination = /\(\s*<?([^\s)>]*)>?(?:\s+["'(]([^"')]*)["')])?\s*\)/.source;
+  const imageRegex = new RegExp(`!\\[([^\\]]*)\\]${destination}`, 'g');
+  while ((match = imageRegex.exec(masked)) !== null) {
+    add(true, match[1], match[2], match[3], match.index);
+  }
+  const linkRegex = new RegExp(`(?<!!)\\[((?:[^\\[\\]]|\\[[^\\]]*\\])*)\\]${destination}`, 'g');
+  while ((match = linkRegex.exec(masked)) !== null) {
+    add(false, match[1], match[2], match[3], match.index);
+  }
+
+  const referenceRegex = /(!?)\[([^\]]+)\]\[([^\]]*)\]/g;
+  while ((match = referenceRegex.exec(masked)) !== null) {
+    const definition = definitions.get((match[3] || match[2]).toLowerCase());
+    if (definition) {
+      add(match[1] === '!', match[2], definition.url, definition.title, match.index);
+    }
+  }
+
+  const autolinkRegex = /<((?:https?|ftp|mailto):[^\s>]+)>/gi;
+  while ((match = autolinkRegex.exec(masked)) !== null) {
+    add(false, match[1], match[1], null, match.index);
+  }
+
+  const byOffset = (a, b) => a.offset - b.offset;
+  const strip = ({ offset, ...entry }) => entry;
+  return { links: links.sort(byOffset).map(strip), images: images.sort(byOffset).map(strip) };
+}
+
+/**
+ * Convert an HTML document to markdown-style text with its headings, and
+ * collect its title, links and images
+ */
+function htmlStructure(html) {
+  const $ = cheerio.load(html);
+  const { title, sections } = htmlToSections(html);
+
+  // Navigation is dropped from the text, and so are its links
+  const links = $('a[href]').toArray().filter(element => $(element).closest('nav').length === 0).map(element => {
+    const url = $(element).attr('href');
+    return { text: $(element).text().replace(/\s+/g, ' ').trim(), url, type: linkType(url), title: $(element).attr('title') || null };
+  });
+  const images = $('img').toArray().map(element => {
+    const src = $(element).attr('src') || '';
+    // Embedded images (DOCX images, data URIs) are reported without their data
+    return { alt: $(element).attr('alt') || '', src: src.startsWith('data:') ? 'embedded' : src, title: $(element).attr('title') || null };
+  });
+
+  return { text: sections.map(section => section.text).join('\n\n'), title, links, images };
+}
+
+/**
+ * Load a file as text to analyze: markdown and text as they are, HTML and
+ * DOCX converted with their headings, other formats as load_document
+ * returns them
+ */
+async function loadStructuredText(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  const buffer = await fs.promises.readFile(filePath);
+  const format = await detectFormat(buffer, path.extname(filePath).toLowerCase());
+
+  if (format === 'md' || format === 'txt') {
+    return { format, text: decodeText(buffer) };
+  }
+  if (format === 'html') {
+    return { format, ...htmlStructure(decodeText(buffer)) };
+  }
+  if (format === 'docx') {
+    const { value } = await mammoth.convertToHtml({ buffer });
+    return { format, ...htmlStructure(value) };
+  }
+
+  const document = await loadDocument(filePath);
+  return { format, text: document.pageContent };
+}
+
+/**
+ * Build the outline tree of a text from its headings. Every section has an
+ * id (its position in the tree, e.g. "2.1"), its heading level, title and
+ * line, its range (heading included, up to the next heading of the same or
+ * a higher level), the words of its own text and of its whole range, and
+ * its subsections.
+ */
+function buildOutline(text, headings) {
+  const roots = [];
+  const stack = [];
+  const lineAt = lineLocator(text);
+
+  headings.forEach((heading, index) => {
+    while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    const siblings = stack.length > 0 ? stack[stack.length - 1].children : roots;
+    const parentId = stack.length > 0 ? `${stack[stack.length - 1].id}.` : '';
+
+    // The section runs to the next heading of the same or a higher level
+    let endOffset = text.length;
+    for (let next = index + 1; next < headings.length; next++) {
+      if (headings[next].level <= heading.level) {
+        endOffset = headings[next].position;
+        break;
+      }
+    }
+
+    const node = {
+      id: `${parentId}${siblings.length + 1}`,
+      level: heading.level,
+      title: heading.text,
+      line: lineAt(heading.position),
+      startOffset: heading.position,
+      endOffset,
+      ownEndOffset: index + 1 < headings.length ? Math.min(headings[index + 1].position, endOffset) : endOffset,
+      headingEnd: heading.end,
+      children: [],
+    };
+    siblings.push(node);
+    stack.push(node);
+  });
+
+  const finish = node => {
+    const { ownEndOffset, headingEnd, children, ...rest } = node;
+    const sections = children.map(finish);
+    return {
+      ...rest,
+      wordCount: countWords(text.slice(headingEnd, ownEndOffset)),
+      totalWordCount: countWords(text.slice(headingEnd, node.endOffset)),
+      children: sections,
+    };
+  };
+
+  return roots.map(finish);
+}
+
+/**
+ * Find a section of an outline by id, with the titles leading to it
+ */
+function findSection(outline, id, headingPath = []) {
+  for (const node of outline) {
+    const nodePath = [...headingPath, node.title];
+    if (node.id === id) {
+      return { node, headingPath: nodePath };
+    }
+    if (id.startsWith(`${node.id}.`)) {
+      return findSection(node.children, id, nodePath);
+    }
+  }
+  return null;
+}
+
+/**
+ * Cut an outline below a depth
+ */
+function limitDepth(outline, maxDepth, depth = 1) {
+  return outline.map(node => ({
+    ...node,
+    children: depth < maxDepth ? limitDepth(node.children, maxDepth, depth + 1) : [],
+  }));
+}
+
+/**
+ * Analyze the structure of a text. links and images found in the source
+ * (e.g. HTML) replace the ones found in the text; title is the fallback
+ * title.
+ */
+function analyzeStructure(text, { title = null, links, images, maxDepth } = {}) {
+  const frontMatter = findFrontMatter(text);
+  const headings = findHeadings(text);
+  const codeBlocks = findCodeBlocks(text);
+  const frontMatterData = frontMatter ? parseFrontMatter(frontMatter) : null;
+
+  const bodyStart = frontMatter ? frontMatter.end : 0;
+  const firstHeading = headings.length > 0 ? headings[0].position : text.length;
+  const preamble = text.slice(bodyStart, firstHeading).trim()
+    ? { startOffset: bodyStart, endOffset: firstHeading, wordCount: countWords(text.slice(bodyStart, firstHeading)) }
+    : null;
+
+  // Counts ignore code blocks and front matter
+  const prose = maskRanges(text, [...codeBlocks, ...(frontMatter ? [{ start: 0, end: frontMatter.end }] : [])]);
+  const markdownLinks = links && images ? { links, images } : findMarkdownLinks(text, codeBlocks);
+  const firstTitle = headings.find(heading => heading.level === 1);
+  const outline = buildOutline(text, headings);
+
+  return {
+    title: (frontMatterData && typeof frontMatterData.title === 'string' && frontMatterData.title) ||
+      title || (firstTitle ? firstTitle.text : null),
+    language: detectLanguage(prose),
+    frontMatter: frontMatter ? { format: frontMatter.format, data: frontMatterData, endOffset: frontMatter.end } : null,
+    preamble,
+    outline: maxDepth ? limitDepth(outline, maxDepth) : outline,
+    headings: headings.map(({ level, text: headingText, position }) => ({ level, text: headingText, position })),
+    links: markdownLinks.links,
+    images: markdownLinks.images,
+    paragraphCount: prose.split(/\n\s*\n/).filter(paragraph => paragraph.trim().length > 0).length,
+    bulletListItemCount: (prose.match(/^\s*[-*+]\s+.+/gm) || []).length,
+    numberedListItemCount: (prose.match(/^\s*\d+[.)]\s+.+/gm) || []).length,
+    tableCount: findMarkdownTables(text).length,
+    tableRowCount: (prose.match(/^\|(.+)\|\s*$/gm) || []).length,
+    codeBlockCount: codeBlocks.length,
+    totalLength: text.length,
+    wordCount: countWords(prose),
+  };
+}
+
+module.exports = {
+  countWords,
+  parseFrontMatter,
+  findMarkdownLinks,
+  htmlStructure,
+  loadStructuredText,
+  buildOutline,
+  findSection,
+  analyzeStructure,
+};
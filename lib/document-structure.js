@@ -0,0 +1,135 @@
+/**
+ * Document Structure
+ *
+ * Heading, front matter and fenced code block detection shared by
+ * analyze_document_structure, section segmentation and chunking.
+ */
+
+const { findCodeBlocks } = require('./markdown-blocks');
+
+/**
+ * Find the fenced code blocks (``` or ~~~) of a markdown text, with their
+ * start and end offsets (fences included) and their language. A block that
+ * is never closed runs to the end of its container or of the text.
+ */
+function findFencedBlocks(text) {
+  return findCodeBlocks(text)
+    .filter(block => block.type === 'fenced')
+    .map(block => ({ start: block.start, end: block.end, language: block.language }));
+}
+
+/**
+ * Find the front matter of a markdown text: a YAML (---) or TOML (+++)
+ * block at its very start. Returns its format, its raw content and the
+ * offset where the document proper starts, or null.
+ */
+function findFrontMatter(text) {
+  const match = text.match(/^(?:---[ \t]*\r?\n([\s\S]*?)\r?\n(?:---|\.\.\.)|\+\+\+[ \t]*\r?\n([\s\S]*?)\r?\n\+\+\+)[ \t]*(?:\r?\n|$)/);
+  if (!match) {
+    return null;
+  }
+  return match[1] !== undefined
+    ? { format: 'yaml', content: match[1], end: match[0].length }
+    : { format: 'toml', content: match[2], end: match[0].length };
+}
+
+/**
+ * Find the markdown headings of a text, with their level, position and end
+ * (of the heading line, or of the underline):
+ * ATX headings (# Title, closing #s removed) and setext headings (a
+ * paragraph underlined with === or ---). Lines inside code blocks (e.g.
+ * shell comments) and front matter are not headings.
+ */
+function findHeadings(text) {
+  const codeBlocks = findCodeBlocks(text);
+  const frontMatter = findFrontMatter(text);
+  const headings = [];
+  // Lines of the paragraph a setext underline would turn into a heading
+  let paragraph = null;
+  let position = 0;
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.replace(/\r$/, '');
+    const lineStart = position;
+    position += rawLine.length + 1;
+
+    if ((frontMatter && lineStart < frontMatter.end) ||
+        codeBlocks.some(block => lineStart >= block.start && lineStart < block.end)) {
+      paragraph = null;
+      continue;
+    }
+
+    const atx = line.match(/^(#{1,6})[ \t]+(.+)$/);
+    const underline = line.match(/^ {0,3}(=+|-+)[ \t]*$/);
+    if (atx) {
+      headings.push({
+        level: atx[1].length,
+        text: atx[2].replace(/[ \t]+#+[ \t]*$/, '').trim(),
+        position: lineStart,
+        end: lineStart + line.length,
+      });
+      paragraph = null;
+    } else if (underline && paragraph) {
+      headings.push({
+        level: underline[1][0] === '=' ? 1 : 2,
+        text: paragraph.lines.join(' '),
+        position: paragraph.position,
+        end: lineStart + line.length,
+      });
+      paragraph = null;
+    } else if (!line.trim() || /^ {0,3}(?:[-+*>]|\d{1,9}[.)]|```|~~~|\|)/.test(line) || line.includes('|')) {
+      // Blank lines, list items, blockquotes, fences and table rows are not setext content
+      paragraph = null;
+    } else if (paragraph) {
+      paragraph.lines.push(line.trim());
+    } else {
+      paragraph = { position: lineStart, lines: [line.trim()] };
+    }
+  }
+
+  return headings;
+}
+
+/**
+ * Get the path of headings a position falls under, outermost first
+ */
+function headingPathAt(headings, position) {
+  const path = [];
+  for (const heading of headings) {
+    if (heading.position > position) {
+      break;
+    }
+    while (path.length > 0 && path[path.length - 1].level >= heading.level) {
+      path.pop();
+    }
+    path.push(heading);
+  }
+  return path.map(heading => heading.text);
+}
+
+/**
+ * Split a text into sections starting at its headings, with the heading
+ * path of each. Text before the first heading, when not blank, is a section
+ * with an empty path.
+ */
+function splitSections(text) {
+  const headings = findHeadings(text);
+  const starts = headings.map(heading => heading.position);
+  if (starts.length === 0 || (starts[0] > 0 && text.slice(0, starts[0]).trim())) {
+    starts.unshift(0);
+  }
+
+  return starts.map((startOffset, index) => ({
+    startOffset,
+    endOffset: index + 1 < starts.length ? starts[index + 1] : text.length,
+    headingPath: headingPathAt(headings, startOffset),
+  }));
+}
+
+module.exports = {
+  findFencedBlocks,
+  findFrontMatter,
+  findHeadings,
+  headingPathAt,
+  splitSections,
+};
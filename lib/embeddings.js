@@ -0,0 +1,282 @@
+/**
+ * Embedding Functions
+ *
+ * Registry of embedding functions for the embeddingFunction configuration of
+ * get_or_create_collection. Embedding functions follow Chroma's interface:
+ * an object with an async generate(texts) method returning one vector per
+ * text. They also carry their type, model name and dimension, which are
+ * recorded in the collection metadata.
+ */
+
+// Collection metadata keys recording the embedder
+const EMBEDDER_KEY = 'metis:embedder';
+const EMBEDDER_MODEL_KEY = 'metis:embedder_model';
+const DIMENSION_KEY = 'metis:dimension';
+
+// Default dimension of the hashing embedder
+const DEFAULT_HASH_DIMENSION = 256;
+
+// Dimensions of known models, so they need not be probed
+const MODEL_DIMENSIONS = {
+  'text-embedding-ada-002': 1536,
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'embed-english-v3.0': 1024,
+  'embed-multilingual-v3.0': 1024,
+  'embed-english-light-v3.0': 384,
+  'embed-multilingual-light-v3.0': 384,
+  'embed-english-v2.0': 4096,
+};
+
+// Default model names, as used by langchain
+const DEFAULT_MODELS = {
+  openai: 'text-embedding-ada-002',
+  cohere: 'embed-english-v2.0',
+};
+
+/**
+ * 32-bit FNV-1a hash of a string
+ */
+function fnv1a(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Embed a text by hashing its lowercased words into a fixed number of
+ * signed buckets, normalized to unit length. Deterministic and offline,
+ * for development and tests.
+ */
+function hashEmbed(text, dimension) {
+  const vector = new Array(dimension).fill(0);
+  const tokens = (text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+
+  tokens.forEach(token => {
+    const hash = fnv1a(token);
+    vector[hash % dimension] += hash & 0x80000000 ? -1 : 1;
+  });
+
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm === 0 ? vector : vector.map(value => value / norm);
+}
+
+// Embedder factories by type. A factory returns { modelName, dimension, embed(texts) };
+// dimension is null when it is only known after the first call.
+const embedders = {
+  openai: ({ apiKey, modelName }) => {
+    const { OpenAIEmbeddings } = require('langchain/embeddings/openai');
+    const model = modelName || DEFAULT_MODELS.openai;
+    const embeddings = new OpenAIEmbeddings({
+      modelName: model,
+      openAIApiKey: apiKey,
+    });
+    return {
+      modelName: model,
+      dimension: MODEL_DIMENSIONS[model] || null,
+      embed: texts => embeddings.embedDocuments(texts),
+    };
+  },
+
+  cohere: ({ apiKey, modelName }) => {
+    const { CohereEmbeddings } = require('langchain/embeddings/cohere');
+    const model = modelName || DEFAULT_MODELS.cohere;
+    const embeddings = new CohereEmbeddings({
+      modelName: model,
+      cohereApiKey: apiKey,
+    });
+    return {
+      modelName: model,
+      dimension: MODEL_DIMENSIONS[model] || null,
+      embed: texts => embeddings.embedDocuments(texts),
+    };
+  },
+
+  hash: ({ dimension }) => {
+    const size = dimension || DEFAULT_HASH_DIMENSION;
+    if (!Number.isInteger(size) || size < 1) {
+      throw new Error('The hash embedder dimension must be a positive integer');
+    }
+    return {
+      modelName: null,
+      dimension: size,
+      embed: async texts => texts.map(text => hashEmbed(text, size)),
+    };
+  },
+};
+
+/**
+ * Register an embedder factory under a type
+ */
+function registerEmbedder(type, factory) {
+  embedders[type] = factory;
+}
+
+/**
+ * Create an embedding function from its configuration
+ * ({ type, apiKey, modelName, dimension })
+ */
+function createEmbeddingFunction(config) {
+  const factory = embedders[config.type];
+  if (!factory) {
+    throw new Error(`Unsupported embedding function type: ${config.type}`);
+  }
+
+  const embedder = factory(config);
+
+  const embeddingFunction = {
+    type: config.type,
+    modelName: embedder.modelName,
+    dimension: embedder.dimension,
+
+    async generate(texts) {
+      const vectors = await embedder.embed(texts);
+      vectors.forEach(vector => {
+        if (embeddingFunction.dimension === null) {
+          embeddingFunction.dimension = vector.length;
+        } else if (vector.length !== embeddingFunction.dimension) {
+          throw new Error(
+            `Embedder '${config.type}' returned a vector of dimension ${vector.length}, expected ${embeddingFunction.dimension}`
+          );
+        }
+      });
+      return vectors;
+    },
+  };
+
+  return embeddingFunction;
+}
+
+/**
+ * Embedding function of an embedder recorded in collection metadata. The
+ * embedder is only created when text is first embedded, so opening a
+ * collection, reading its metadata or adding precomputed embeddings does not
+ * need the embedder's credentials.
+ */
+function recordedEmbeddingFunction(recorded) {
+  let embeddingFunction = null;
+
+  return {
+    type: recorded.type,
+    modelName: recorded.modelName || null,
+    dimension: recorded.dimension,
+
+    async generate(texts) {
+      if (!embeddingFunction) {
+        try {
+          embeddingFunction = createEmbeddingFunction({
+            type: recorded.type,
+            modelName: recorded.modelName,
+            dimension: recorded.dimension || undefined,
+          });
+        } catch (error) {
+          throw new Error(
+            `Embedder '${recorded.type}' of the collection could not be created (${error.message}); ` +
+            'open the collection with its embeddingFunction configuration to embed text'
+          );
+        }
+        // Vectors must keep the dimension the collection was created with
+        embeddingFunction.dimension = recorded.dimension || embeddingFunction.dimension;
+      }
+      const vectors = await embeddingFunction.generate(texts);
+      this.dimension = embeddingFunction.dimension;
+      return vectors;
+    },
+  };
+}
+
+/**
+ * Make sure the dimension of an embedding function is known, embedding a
+ * probe text when it cannot be told from the model name
+ */
+async function resolveDimension(embeddingFunction) {
+  if (embeddingFunction.dimension === null) {
+    await embeddingFunction.generate(['dimension probe']);
+  }
+  return embeddingFunction.dimension;
+}
+
+/**
+ * Collection metadata entries recording an embedding function
+ */
+function embedderMetadata(embeddingFunction) {
+  const metadata = {
+    [EMBEDDER_KEY]: embeddingFunction.type,
+    [DIMENSION_KEY]: embeddingFunction.dimension,
+  };
+  if (embeddingFunction.modelName) {
+    metadata[EMBEDDER_MODEL_KEY] = embeddingFunction.modelName;
+  }
+  return metadata;
+}
+
+/**
+ * Read the embedder recorded in collection metadata, or null when there is none
+ */
+function recordedEmbedder(metadata) {
+  if (!metadata || !metadata[EMBEDDER_KEY]) {
+    return null;
+  }
+  return {
+    type: metadata[EMBEDDER_KEY],
+    modelName: metadata[EMBEDDER_MODEL_KEY] || undefined,
+    dimension: metadata[DIMENSION_KEY] || null,
+  };
+}
+
+/**
+ * Check that an embedding function matches the embedder recorded in
+ * collection metadata
+ */
+function checkEmbedder(metadata, embeddingFunction) {
+  const recorded = recordedEmbedder(metadata);
+  if (!recorded) {
+    return;
+  }
+
+  if (recorded.type !== embeddingFunction.type || (recorded.modelName || null) !== embeddingFunction.modelName) {
+    const describe = ({ type, modelName }) => (modelName ? `${type}/${modelName}` : type);
+    throw new Error(
+      `Collection uses embedder '${describe(recorded)}', not '${describe(embeddingFunction)}'`
+    );
+  }
+  if (recorded.dimension && recorded.dimension !== embeddingFunction.dimension) {
+    throw new Error(
+      `Collection has dimension ${recorded.dimension}, but the embedder produces dimension ${embeddingFunction.dimension}`
+    );
+  }
+}
+
+/**
+ * Check precomputed embeddings: one vector of finite numbers per item, all
+ * of the given dimension (or of the dimension of the first vector)
+ */
+function checkEmbeddings(embeddings, count, dimension) {
+  if (!Array.isArray(embeddings) || embeddings.length !== count) {
+    throw new Error(`Expected ${count} embeddings, got ${Array.isArray(embeddings) ? embeddings.length : 0}`);
+  }
+
+  const expected = dimension || (embeddings[0] && embeddings[0].length);
+  embeddings.forEach((vector, index) => {
+    if (!Array.isArray(vector) || !vector.every(value => typeof value === 'number' && Number.isFinite(value))) {
+      throw new Error(`Embedding ${index} must be an array of numbers`);
+    }
+    if (vector.length !== expected) {
+      throw new Error(`Embedding ${index} has dimension ${vector.length}, expected ${expected}`);
+    }
+  });
+}
+
+module.exports = {
+  registerEmbedder,
+  createEmbeddingFunction,
+  recordedEmbeddingFunction,
+  resolveDimension,
+  embedderMetadata,
+  recordedEmbedder,
+  checkEmbedder,
+  checkEmbeddings,
+};
@@ -0,0 +1,83 @@
+/**
+ * Globs
+ *
+ * Include/exclude glob patterns for selecting files by their path relative
+ * to a directory, with '/' as separator. Patterns support:
+ *   *       any characters except '/'
+ *   **      any characters including '/' ("docs/**" matches everything under docs)
+ *   ?       one character except '/'
+ *   {a,b}   either alternative
+ * A pattern without '/' is matched against the file name in every
+ * directory, e.g. "*.md" or "draft-*".
+ */
+
+/**
+ * Escape a character for use in a regular expression
+ */
+function escapeRegExp(character) {
+  return character.replace(/[.+^$()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Convert a glob pattern to a regular expression matching relative paths
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const character = pattern[i];
+    if (character === '*' && pattern[i + 1] === '*') {
+      i++;
+      if (pattern[i + 1] === '/') {
+        // "**/" matches any number of directories, including none
+        i++;
+        source += '(?:.*/)?';
+      } else {
+        source += '.*';
+      }
+    } else if (character === '*') {
+      source += '[^/]*';
+    } else if (character === '?') {
+      source += '[^/]';
+    } else if (character === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (character === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (character === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(character);
+    }
+  }
+
+  if (braceDepth > 0) {
+    throw new Error(`Unclosed brace in glob: ${pattern}`);
+  }
+
+  const anchored = pattern.includes('/') ? `^${source}$` : `(?:^|/)${source}$`;
+  return new RegExp(anchored);
+}
+
+/**
+ * Create a filter of relative paths: a path is selected when it matches one
+ * of the include patterns (all paths when there are none) and none of the
+ * exclude patterns
+ */
+function createPathFilter({ include = [], exclude = [] } = {}) {
+  const included = include.map(globToRegExp);
+  const excluded = exclude.map(globToRegExp);
+
+  return relativePath => {
+    const normalized = relativePath.split('\\').join('/');
+    return (included.length === 0 || included.some(regex => regex.test(normalized))) &&
+      !excluded.some(regex => regex.test(normalized));
+  };
+}
+
+module.exports = {
+  globToRegExp,
+  createPathFilter,
+};
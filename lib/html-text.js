@@ -0,0 +1,179 @@
+/**
+ * HTML Text
+ *
+ * Converts HTML to clean text split into sections at its headings. The
+ * text keeps the structure that the other document tools understand:
+ * headings become markdown headings, list items "- " lines, tables
+ * markdown pipe tables and <pre> blocks fenced code blocks. Scripts,
+ * styles and navigation are dropped; when the page has a <main> or
+ * <article> element, only its content is kept.
+ */
+
+const cheerio = require('cheerio');
+
+// Elements whose content is never text
+const SKIPPED = new Set(['script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'nav', 'head']);
+
+// Elements that start a new block of text
+const BLOCKS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'header', 'hr', 'html', 'li', 'main', 'ol', 'p', 'section',
+  'summary', 'ul',
+]);
+
+const HEADINGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+// Marks a <br> in inline text, whose other whitespace is collapsed
+const LINE_BREAK = '\u0000';
+
+/**
+ * Collapse the whitespace of a text
+ */
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Render a table element as a markdown pipe table, the first row as header
+ */
+function renderTable($, table) {
+  const rows = $(table).find('tr').toArray()
+    .filter(row => $(row).closest('table')[0] === table)
+    .map(row => $(row).children('th, td').toArray().map(cell => collapse($(cell).text()).replace(/\|/g, '\\|')));
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const width = Math.max(...rows.map(cells => cells.length));
+  const line = cells => `| ${Array.from({ length: width }, (_, index) => cells[index] || '').join(' | ')} |`;
+  return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Convert an HTML document to sections of clean text. Returns the page
+ * title and the sections, each with its heading level, title, anchor (the
+ * id of the heading), heading path and text. Text before the first heading
+ * is a section with level 0.
+ */
+function htmlToSections(html) {
+  const $ = cheerio.load(html);
+  const title = collapse($('title').first().text()) || null;
+
+  let root = $('main').first();
+  if (root.length === 0) {
+    root = $('article').first();
+  }
+  if (root.length === 0) {
+    root = $.root();
+  }
+
+  const sections = [];
+  const path = [];
+  let section = { level: 0, title: null, anchor: null, headingPath: [], blocks: [] };
+  let inline = '';
+  let prefix = '';
+
+  // Close the current block of inline text; the list prefix is kept until
+  // it has been used, so that it applies to a paragraph inside a list item
+  const flush = () => {
+    const text = inline.split(LINE_BREAK).map(collapse).filter(line => line).join('\n');
+    if (text) {
+      section.blocks.push(prefix + text);
+      prefix = '';
+    }
+    inline = '';
+  };
+
+  const startSection = (level, headingTitle, anchor) => {
+    flush();
+    if (section.level > 0 || section.blocks.length > 0) {
+      sections.push(section);
+    }
+    while (path.length > 0 && path[path.length - 1].level >= level) {
+      path.pop();
+    }
+    path.push({ level, title: headingTitle });
+    section = {
+      level,
+      title: headingTitle,
+      anchor: anchor || null,
+      headingPath: path.map(entry => entry.title),
+      blocks: [`${'#'.repeat(level)} ${headingTitle}`],
+    };
+  };
+
+  const walk = node => {
+    if (node.type === 'text') {
+      inline += node.data;
+      return;
+    }
+    if (node.type !== 'tag' && node.type !== 'root') {
+      return;
+    }
+
+    const tag = node.type === 'tag' ? node.name.toLowerCase() : null;
+    if (SKIPPED.has(tag)) {
+      return;
+    }
+
+    if (HEADINGS.includes(tag)) {
+      const headingTitle = collapse($(node).text());
+      if (headingTitle) {
+        startSection(Number(tag[1]), headingTitle, $(node).attr('id'));
+      }
+      return;
+    }
+    if (tag === 'br') {
+      inline += LINE_BREAK;
+      return;
+    }
+    if (tag === 'pre') {
+      flush();
+      section.blocks.push('```\n' + $(node).text().replace(/\n+$/, '') + '\n```');
+      return;
+    }
+    if (tag === 'table') {
+      flush();
+      const table = renderTable($, node);
+      if (table) {
+        section.blocks.push(table);
+      }
+      return;
+    }
+    if (tag === 'img') {
+      const alt = collapse($(node).attr('alt') || '');
+      if (alt) {
+        inline += ` ${alt} `;
+      }
+      return;
+    }
+
+    const block = BLOCKS.has(tag);
+    if (block) {
+      flush();
+      if (tag === 'li') {
+        prefix = '- ';
+      }
+    }
+    (node.children || []).forEach(walk);
+    if (block) {
+      flush();
+      prefix = '';
+    }
+  };
+
+  root.toArray().forEach(walk);
+  flush();
+  if (section.level > 0 || section.blocks.length > 0) {
+    sections.push(section);
+  }
+
+  return {
+    title,
+    sections: sections.map(({ blocks, ...rest }) => ({ ...rest, text: blocks.join('\n\n') })),
+  };
+}
+
+module.exports = {
+  htmlToSections,
+};
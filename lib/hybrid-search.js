@@ -0,0 +1,138 @@
+/**
+ * Hybrid Search
+ *
+ * Fuses vector and BM25 keyword rankings of a collection, so that exact
+ * identifiers, error codes and function names are found as well as
+ * semantically similar text.
+ *
+ * Fusion methods:
+ *   rrf       score = sum over signals of weight / (rrfK + rank)
+ *   weighted  score = sum over signals of weight * normalized score, where
+ *             scores are min-max normalized to [0, 1] within each ranking
+ */
+
+const FUSION_METHODS = ['rrf', 'weighted'];
+
+// Rank offset of reciprocal rank fusion, as in the original paper
+const DEFAULT_RRF_K = 60;
+
+const DEFAULT_WEIGHTS = { vector: 1, keyword: 1 };
+
+/**
+ * Min-max normalize a list of scores to [0, 1]
+ */
+function normalize(scores) {
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  return scores.map(score => (max === min ? 1 : (score - min) / (max - min)));
+}
+
+/**
+ * Fuse rankings of document IDs into one ranking.
+ * rankings maps a signal name to its ranked results, best first, each with
+ * an id and a score where higher is better. Every fused result carries the
+ * rank and score of each signal that found it.
+ */
+function fuseRankings(rankings, { method = 'rrf', weights = DEFAULT_WEIGHTS, rrfK = DEFAULT_RRF_K } = {}) {
+  if (!FUSION_METHODS.includes(method)) {
+    throw new Error(`Unsupported fusion method: ${method}`);
+  }
+
+  const fused = new Map();
+
+  Object.entries(rankings).forEach(([signal, results]) => {
+    const weight = weights[signal] === undefined ? 1 : weights[signal];
+    const normalized = normalize(results.map(result => result.score));
+
+    results.forEach((result, index) => {
+      if (!fused.has(result.id)) {
+        fused.set(result.id, { id: result.id, score: 0, signals: {} });
+      }
+
+      const entry = fused.get(result.id);
+      const rank = index + 1;
+      const contribution = method === 'rrf'
+        ? weight / (rrfK + rank)
+        : weight * normalized[index];
+
+      entry.score += contribution;
+      entry.signals[signal] = { rank, score: result.score, contribution };
+    });
+  });
+
+  return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Run a hybrid query on a collection wrapped by withKeywordIndex().
+ * The vector side uses queryEmbedding when given, queryText otherwise;
+ * where filters both sides. Returns the fused results with their documents,
+ * metadata and per-signal scores (vector scores are 1 - distance).
+ */
+async function hybridSearch(collection, {
+  queryText,
+  queryEmbedding,
+  nResults = 10,
+  where,
+  method,
+  weights,
+  rrfK,
+  candidates,
+}) {
+  const candidateCount = candidates || Math.max(nResults * 5, 50);
+
+  // Vector ranking
+  const vectorResults = await collection.query({
+    ...(queryEmbedding ? { queryEmbeddings: [queryEmbedding] } : { queryTexts: [queryText] }),
+    nResults: candidateCount,
+    where,
+    include: ['distances'],
+  });
+  const vectorRanking = vectorResults.ids[0].map((id, index) => ({
+    id,
+    distance: vectorResults.distances[0][index],
+    score: 1 - vectorResults.distances[0][index],
+  }));
+
+  // Keyword ranking, restricted to the documents matching the filter
+  let allowedIds = null;
+  if (where && Object.keys(where).length > 0) {
+    const matching = await collection.get({ where, include: [] });
+    allowedIds = new Set(matching.ids);
+  }
+  const index = await collection.keywordIndex();
+  const keywordRanking = index.search(queryText, { limit: candidateCount, allowedIds });
+
+  const fused = fuseRankings(
+    { vector: vectorRanking, keyword: keywordRanking },
+    { method, weights: { ...DEFAULT_WEIGHTS, ...weights }, rrfK }
+  ).slice(0, nResults);
+
+  if (fused.length === 0) {
+    return [];
+  }
+
+  // Fetch the documents and metadata of the fused results
+  const records = await collection.get({ ids: fused.map(result => result.id), include: ['documents', 'metadatas'] });
+  const recordsById = new Map(records.ids.map((id, i) => [id, {
+    document: records.documents[i],
+    metadata: records.metadatas[i],
+  }]));
+
+  const distances = new Map(vectorRanking.map(result => [result.id, result.distance]));
+
+  return fused.map(result => ({
+    id: result.id,
+    score: result.score,
+    document: recordsById.has(result.id) ? recordsById.get(result.id).document : null,
+    metadata: recordsById.has(result.id) ? recordsById.get(result.id).metadata : null,
+    distance: distances.has(result.id) ? distances.get(result.id) : null,
+    signals: result.signals,
+  }));
+}
+
+module.exports = {
+  FUSION_METHODS,
+  fuseRankings,
+  hybridSearch,
+};
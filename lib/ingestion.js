@@ -0,0 +1,259 @@
+/**
+ * Ingestion
+ *
+ * Loads, chunks, embeds and indexes files into a collection. Chunk IDs are
+ * derived from the source path and the chunk content, so re-ingesting a file
+ * only embeds the chunks that changed and removes the ones that are gone.
+ * A file whose content, chunking settings and caller metadata are unchanged
+ * is skipped.
+ *
+ * Every chunk carries its provenance in its metadata: source (absolute
+ * path), fileName, fileType, contentHash (of the file), metadataHash (of
+ * the caller metadata), chunkIndex,
+ * chunkCount, chunkStrategy, chunkEncoding (token strategy), chunkSize,
+ * chunkOverlap, startOffset, endOffset and, when known, page, endPage and
+ * headingPath.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SUPPORTED_EXTENSIONS, loadDocument } = require('./document-loaders');
+const { DEFAULT_ENCODING, defaultChunkOverlap, chunkDocument } = require('./chunking');
+const { createPathFilter } = require('./globs');
+
+const DEFAULT_STRATEGY = 'recursive';
+const DEFAULT_CHUNK_SIZE = 1000;
+
+// Number of chunks written per call to the collection
+const WRITE_BATCH_SIZE = 100;
+
+/**
+ * SHA-256 hex digest of a string or buffer
+ */
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * JSON serialization with object keys sorted, so equal values always
+ * serialize the same way
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Stable ID of a chunk: the hash of its source, its text and the number of
+ * identical chunks before it in the same file
+ */
+function chunkId(source, text, occurrence) {
+  return sha256(`${source}\0${sha256(text)}\0${occurrence}`);
+}
+
+/**
+ * Assign stable IDs to the chunks of a file
+ */
+function assignChunkIds(source, chunks) {
+  const occurrences = new Map();
+  return chunks.map(chunk => {
+    const textHash = sha256(chunk.text);
+    const occurrence = occurrences.get(textHash) || 0;
+    occurrences.set(textHash, occurrence + 1);
+    return { ...chunk, id: chunkId(source, chunk.text, occurrence) };
+  });
+}
+
+/**
+ * Metadata patch turning old metadata into new metadata: the new values,
+ * plus null for the keys that are no longer present
+ */
+function metadataPatch(oldMetadata, newMetadata) {
+  const patch = { ...newMetadata };
+  Object.keys(oldMetadata || {}).forEach(key => {
+    if (!(key in newMetadata)) {
+      patch[key] = null;
+    }
+  });
+  return patch;
+}
+
+/**
+ * Run a write on a list of items in batches
+ */
+async function inBatches(items, write) {
+  for (let start = 0; start < items.length; start += WRITE_BATCH_SIZE) {
+    await write(items.slice(start, start + WRITE_BATCH_SIZE));
+  }
+}
+
+/**
+ * Ingest a file into a collection. Returns the file, its status ('indexed'
+ * or 'unchanged') and the number of chunks, and of chunks added, updated
+ * and deleted.
+ */
+async function ingestFile(collection, filePath, {
+  strategy = DEFAULT_STRATEGY,
+  chunkSize = DEFAULT_CHUNK_SIZE,
+  chunkOverlap = defaultChunkOverlap(chunkSize),
+  encoding,
+  metadata = {},
+  force = false,
+} = {}) {
+  const source = path.resolve(filePath);
+  if (!fs.existsSync(source)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  const contentHash = sha256(await fs.promises.readFile(source));
+  const metadataHash = sha256(stableStringify(metadata));
+  // Token sizing depends on the encoding, so it is part of the settings
+  const chunkEncoding = strategy === 'token' ? encoding || DEFAULT_ENCODING : undefined;
+
+  // Chunks indexed by a previous ingestion of the file
+  const existing = await collection.get({ where: { source }, include: ['metadatas'] });
+  const existingMetadata = new Map(existing.ids.map((id, index) => [id, existing.metadatas[index] || {}]));
+
+  const unchanged = !force && existing.ids.length > 0 && existing.metadatas.every(previous => (
+    previous &&
+    previous.contentHash === contentHash &&
+    previous.metadataHash === metadataHash &&
+    previous.chunkCount === existing.ids.length &&
+    (previous.chunkStrategy || DEFAULT_STRATEGY) === strategy &&
+    previous.chunkEncoding === chunkEncoding &&
+    previous.chunkSize === chunkSize &&
+    previous.chunkOverlap === chunkOverlap
+  ));
+  if (unchanged) {
+    return { file: source, status: 'unchanged', chunks: existing.ids.length, added: 0, updated: 0, deleted: 0 };
+  }
+
+  const document = await loadDocument(source);
+  const { chunks: documentChunks } = await chunkDocument(document.pageContent, {
+    strategy,
+    chunkSize,
+    chunkOverlap,
+    encoding,
+    segments: document.segments,
+    metadata: {
+      ...metadata,
+      source,
+      fileName: document.fileName,
+      fileType: document.fileType,
+      contentHash,
+      metadataHash,
+      chunkStrategy: strategy,
+      ...(chunkEncoding ? { chunkEncoding } : {}),
+      chunkSize,
+      chunkOverlap,
+    },
+  });
+  const chunks = assignChunkIds(source, documentChunks);
+  chunks.forEach((chunk, index) => {
+    chunk.metadata.chunkIndex = index;
+    chunk.metadata.chunkCount = chunks.length;
+  });
+
+  const added = chunks.filter(chunk => !existingMetadata.has(chunk.id));
+  const kept = chunks.filter(chunk => existingMetadata.has(chunk.id));
+  const keptIds = new Set(kept.map(chunk => chunk.id));
+  const stale = existing.ids.filter(id => !keptIds.has(id));
+
+  // Only new chunks are embedded; kept chunks get their new positions
+  await inBatches(added, batch => collection.add({
+    ids: batch.map(chunk => chunk.id),
+    documents: batch.map(chunk => chunk.text),
+    metadatas: batch.map(chunk => chunk.metadata),
+  }));
+  await inBatches(kept, batch => collection.update({
+    ids: batch.map(chunk => chunk.id),
+    metadatas: batch.map(chunk => metadataPatch(existingMetadata.get(chunk.id), chunk.metadata)),
+  }));
+  if (stale.length > 0) {
+    await collection.delete({ ids: stale });
+  }
+
+  return {
+    file: source,
+    status: 'indexed',
+    chunks: chunks.length,
+    added: added.length,
+    updated: kept.length,
+    deleted: stale.length,
+  };
+}
+
+/**
+ * List the files of a directory with the given extensions, skipping hidden
+ * files and directories. include and exclude are glob patterns matched
+ * against the paths relative to the directory.
+ */
+async function listFiles(directory, { recursive = true, extensions = SUPPORTED_EXTENSIONS, include, exclude } = {}) {
+  const wanted = extensions.map(extension => extension.toLowerCase());
+  const selected = createPathFilter({ include, exclude });
+  const files = [];
+
+  const walk = async current => {
+    const entries = await fs.promises.readdir(current, { withFileTypes: true });
+    for (const entry of entries.sort((a, b) => a.name.localeCompare(b.name))) {
+      if (entry.name.startsWith('.')) {
+        continue;
+      }
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (recursive) {
+          await walk(entryPath);
+        }
+      } else if (
+        entry.isFile() &&
+        wanted.includes(path.extname(entry.name).toLowerCase()) &&
+        selected(path.relative(directory, entryPath))
+      ) {
+        files.push(entryPath);
+      }
+    }
+  };
+  await walk(directory);
+
+  return files;
+}
+
+/**
+ * Ingest the files of a directory. A failed file is reported and does not
+ * stop the others. Returns one report per file plus totals per status.
+ */
+async function ingestDirectory(collection, directory, { recursive, extensions, include, exclude, ...options } = {}) {
+  const files = await listFiles(directory, { recursive, extensions, include, exclude });
+  const results = [];
+
+  for (const file of files) {
+    try {
+      results.push(await ingestFile(collection, file, options));
+    } catch (error) {
+      results.push({ file: path.resolve(file), status: 'failed', error: error.message });
+    }
+  }
+
+  const summary = { indexed: 0, unchanged: 0, failed: 0 };
+  results.forEach(result => {
+    summary[result.status]++;
+  });
+
+  return { files: results, summary };
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  DEFAULT_CHUNK_SIZE,
+  sha256,
+  chunkId,
+  ingestFile,
+  listFiles,
+  ingestDirectory,
+};
@@ -0,0 +1,244 @@
+/**
+ * Keyword Index
+ *
+ * In-memory BM25 index over the documents of a collection, for keyword
+ * search alongside vector search. The index is built from the collection on
+ * first use and kept up to date by the writes made through the collection
+ * handle returned by withKeywordIndex(); writes made by other processes are
+ * only seen after the index is rebuilt.
+ */
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Number of documents read per batch when building an index
+const BUILD_BATCH_SIZE = 500;
+
+/**
+ * Split a text into lowercased terms. Identifiers joined by dots, dashes or
+ * colons (e.g. "ERR-42", "db.connect") are kept whole as well as split, so
+ * exact identifiers score higher than their parts.
+ */
+function tokenize(text) {
+  const terms = [];
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}_]+(?:[.:-][\p{L}\p{N}_]+)*/gu) || [];
+
+  words.forEach(word => {
+    terms.push(word);
+    if (/[.:-]/.test(word)) {
+      terms.push(...word.split(/[.:-]/));
+    }
+  });
+
+  return terms;
+}
+
+/**
+ * Create an empty BM25 index
+ */
+function createKeywordIndex() {
+  // Term frequencies and length per document ID
+  const documents = new Map();
+  // Document IDs per term
+  const postings = new Map();
+  let totalLength = 0;
+
+  /**
+   * Remove a document from the index
+   */
+  function remove(id) {
+    const entry = documents.get(id);
+    if (!entry) {
+      return;
+    }
+
+    entry.terms.forEach((count, term) => {
+      const ids = postings.get(term);
+      ids.delete(id);
+      if (ids.size === 0) {
+        postings.delete(term);
+      }
+    });
+    totalLength -= entry.length;
+    documents.delete(id);
+  }
+
+  /**
+   * Add or replace a document; documents without text are removed
+   */
+  function set(id, text) {
+    remove(id);
+    if (text === null || text === undefined) {
+      return;
+    }
+
+    const tokens = tokenize(text);
+    const terms = new Map();
+    tokens.forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+
+    terms.forEach((count, term) => {
+      if (!postings.has(term)) {
+        postings.set(term, new Set());
+      }
+      postings.get(term).add(id);
+    });
+    documents.set(id, { terms, length: tokens.length });
+    totalLength += tokens.length;
+  }
+
+  /**
+   * Score the documents matching a query, best first.
+   * With allowedIds, only those documents are considered.
+   */
+  function search(query, { limit = 10, allowedIds = null } = {}) {
+    const count = documents.size;
+    if (count === 0) {
+      return [];
+    }
+
+    const averageLength = totalLength / count || 1;
+    const scores = new Map();
+
+    new Set(tokenize(query)).forEach(term => {
+      const ids = postings.get(term);
+      if (!ids) {
+        return;
+      }
+
+      const idf = Math.log(1 + (count - ids.size + 0.5) / (ids.size + 0.5));
+      ids.forEach(id => {
+        if (allowedIds && !allowedIds.has(id)) {
+          return;
+        }
+        const entry = documents.get(id);
+        const frequency = entry.terms.get(term);
+        const score = idf * (frequency * (K1 + 1)) /
+          (frequency + K1 * (1 - B + B * entry.length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + score);
+      });
+    });
+
+    return Array.from(scores.entries())
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  return {
+    set,
+    remove,
+    search,
+    get size() {
+      return documents.size;
+    },
+  };
+}
+
+/**
+ * Build an index from all documents of a collection
+ */
+async function buildKeywordIndex(collection) {
+  const index = createKeywordIndex();
+
+  for (let offset = 0; ; offset += BUILD_BATCH_SIZE) {
+    const batch = await collection.get({ limit: BUILD_BATCH_SIZE, offset, include: ['documents'] });
+    batch.ids.forEach((id, i) => index.set(id, batch.documents[i]));
+    if (batch.ids.length < BUILD_BATCH_SIZE) {
+      break;
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Wrap a collection so that its writes keep a keyword index up to date.
+ * The wrapper has the collection API plus keywordIndex(), which builds the
+ * index on first call.
+ */
+function withKeywordIndex(collection) {
+  let index = null;
+  let building = null;
+  // Incremented on every write, so that a build that raced a write is redone
+  let version = 0;
+
+  /**
+   * Get the index, building it from the collection when needed
+   */
+  async function keywordIndex() {
+    while (!index) {
+      if (!building) {
+        const startVersion = version;
+        building = buildKeywordIndex(collection)
+          .then(built => {
+            if (version === startVersion) {
+              index = built;
+            }
+          })
+          .finally(() => {
+            building = null;
+          });
+      }
+      await building;
+    }
+    return index;
+  }
+
+  /**
+   * Record a write of documents by ID
+   */
+  function indexDocuments(ids, documents) {
+    version++;
+    if (index) {
+      ids.forEach((id, i) => index.set(id, documents ? documents[i] : null));
+    }
+  }
+
+  return {
+    name: collection.name,
+    metadata: collection.metadata,
+
+    async add(records) {
+      await collection.add(records);
+      indexDocuments(records.ids, records.documents);
+    },
+
+    async upsert(records) {
+      await collection.upsert(records);
+      indexDocuments(records.ids, records.documents);
+    },
+
+    async update(records) {
+      await collection.update(records);
+      if (records.documents) {
+        indexDocuments(records.ids, records.documents);
+      }
+    },
+
+    // Backends return the deleted ids; without them the index is rebuilt on next use
+    async delete(filter) {
+      const deleted = await collection.delete(filter);
+      version++;
+      if (Array.isArray(deleted)) {
+        if (index) {
+          deleted.forEach(id => index.remove(id));
+        }
+      } else {
+        index = null;
+      }
+      return deleted;
+    },
+
+    query: args => collection.query(args),
+    get: args => collection.get(args),
+    count: () => collection.count(),
+    keywordIndex,
+  };
+}
+
+module.exports = {
+  tokenize,
+  createKeywordIndex,
+  withKeywordIndex,
+};
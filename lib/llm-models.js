@@ -0,0 +1,79 @@
+/**
+ * LLM Models
+ *
+ * Registry of LLM models initialized through init_llm_model, shared by every
+ * tool that needs to generate text.
+ */
+
+// LLM models
+const models = {};
+
+/**
+ * Create a model based on provider and type. The langchain classes are
+ * required on demand, so a provider whose module is missing only fails
+ * when it is used.
+ */
+function createModel({ provider, modelName, apiKey, temperature, maxTokens, isChatModel }) {
+  if (provider === 'openai') {
+    const ModelClass = isChatModel
+      ? require('langchain/chat_models/openai').ChatOpenAI
+      : require('langchain/llms/openai').OpenAI;
+    return new ModelClass({
+      modelName: modelName,
+      openAIApiKey: apiKey,
+      temperature: temperature ?? 0.7,
+      maxTokens: maxTokens || 1000,
+    });
+  }
+
+  if (provider === 'anthropic') {
+    const ModelClass = isChatModel
+      ? require('langchain/chat_models/anthropic').ChatAnthropic
+      : require('langchain/llms/anthropic').Anthropic;
+    return new ModelClass({
+      modelName: modelName,
+      anthropicApiKey: apiKey,
+      temperature: temperature ?? 0.7,
+      maxTokens: maxTokens || 1000,
+    });
+  }
+
+  throw new Error(`Unsupported provider: ${provider}`);
+}
+
+/**
+ * Store a model under the given ID
+ */
+function registerModel(modelId, modelInfo) {
+  models[modelId] = modelInfo;
+}
+
+/**
+ * Get a registered model, or null when there is none
+ */
+function getModel(modelId) {
+  return models[modelId] || null;
+}
+
+/**
+ * Generate text from a prompt with a registered model
+ */
+async function generateText(modelInfo, prompt) {
+  if (modelInfo.isChatModel) {
+    // For chat models, we need to format the prompt as a message
+    const result = await modelInfo.model.invoke([
+      { role: 'user', content: prompt }
+    ]);
+    return result.content;
+  }
+
+  // For completion models, we can use the prompt directly
+  return modelInfo.model.invoke(prompt);
+}
+
+module.exports = {
+  createModel,
+  registerModel,
+  getModel,
+  generateText,
+};
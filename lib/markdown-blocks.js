@@ -0,0 +1,271 @@
+/**
+ * Markdown Blocks
+ *
+ * A line-based markdown block parser that finds code blocks the way
+ * CommonMark does: fenced blocks (``` or ~~~, closed by a fence of the same
+ * character at least as long, so longer fences can contain shorter ones)
+ * and indented blocks (four columns past their container, never
+ * continuing a paragraph). Blockquotes and list items are tracked as
+ * containers, so code nested in them is found and the indentation of list
+ * content is not mistaken for code.
+ */
+
+// Opening code fence: indentation, fence and info string
+const FENCE_OPEN = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+
+// Closing code fence
+const FENCE_CLOSE = /^ {0,3}(`{3,}|~{3,})[ \t]*$/;
+
+// List item marker: indentation and bullet or ordinal, then a space or the end of the line
+const LIST_ITEM = /^( {0,3})([-+*]|\d{1,9}[.)])(?=[ \t]|$)/;
+
+// Blockquote marker with its optional following space
+const BLOCKQUOTE = /^ {0,3}> ?/;
+
+const ATX_HEADING = /^ {0,3}#{1,6}(?:[ \t]|$)/;
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+
+// Indentation of an indented code block, in columns
+const CODE_INDENT = 4;
+
+/**
+ * Width in columns of the leading whitespace of a line (tab stops of 4)
+ */
+function indentation(line) {
+  let columns = 0;
+  for (const character of line) {
+    if (character === ' ') {
+      columns++;
+    } else if (character === '\t') {
+      columns += 4 - (columns % 4);
+    } else {
+      break;
+    }
+  }
+  return columns;
+}
+
+/**
+ * Remove up to the given number of columns of leading whitespace. A tab
+ * that is only partly removed leaves its remaining columns as spaces.
+ */
+function stripColumns(line, columns) {
+  let column = 0;
+  let index = 0;
+  while (index < line.length && column < columns) {
+    const width = line[index] === '\t' ? 4 - (column % 4) : line[index] === ' ' ? 1 : 0;
+    if (width === 0) {
+      break;
+    }
+    if (column + width > columns) {
+      return ' '.repeat(column + width - columns) + line.slice(index + 1);
+    }
+    column += width;
+    index++;
+  }
+  return line.slice(index);
+}
+
+/**
+ * Parse the info string of a fence: the language (first word, or the
+ * first class of a {.lang key=value} attribute block), the rest of the
+ * string as meta, and its key=value attributes
+ */
+function parseInfoString(info) {
+  const text = info.trim();
+  const attributes = {};
+  const readAttributes = source => {
+    const attributeRegex = /([\w-]+)=(?:"([^"]*)"|'([^']*)'|([^\s}]+))/g;
+    let match;
+    while ((match = attributeRegex.exec(source)) !== null) {
+      attributes[match[1]] = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    }
+  };
+
+  if (text.startsWith('{')) {
+    const classMatch = text.match(/\.([^\s.}#]+)/);
+    readAttributes(text);
+    const idMatch = text.match(/#([^\s.}]+)/);
+    if (idMatch) {
+      attributes.id = idMatch[1];
+    }
+    return { language: classMatch ? classMatch[1] : null, meta: text, attributes };
+  }
+
+  const match = text.match(/^([^\s{]+)\s*([\s\S]*)$/);
+  if (!match) {
+    return { language: null, meta: '', attributes };
+  }
+  readAttributes(match[2]);
+  return { language: match[1], meta: match[2], attributes };
+}
+
+/**
+ * Find the code blocks of a markdown text. Each block records its type
+ * ('fenced' or 'indented'), its fence, info string, language, meta and
+ * attributes (fenced blocks), its code, its offsets (start of its first
+ * line to end of its last line, fences included), its lines (1-based),
+ * the containers it is nested in (outermost first) and whether it was
+ * closed. A fenced block that is never closed runs to the end of its
+ * container or of the text.
+ */
+function findCodeBlocks(text) {
+  const lines = [];
+  const lineRegex = /[^\n]*(?:\n|$)/g;
+  let lineMatch;
+  while (lineRegex.lastIndex < text.length && (lineMatch = lineRegex.exec(text)) !== null) {
+    const raw = lineMatch[0].replace(/\n$/, '');
+    lines.push({ start: lineMatch.index, end: lineMatch.index + raw.length, text: raw.replace(/\r$/, '') });
+  }
+
+  const blocks = [];
+  const containers = [];
+  let paragraph = false;
+  let open = null;
+
+  const closeBlock = (lastLine, closed) => {
+    // Indented blocks end at their last non-blank line
+    let endLine = lastLine;
+    if (open.type === 'indented') {
+      while (endLine > open.startLine && !lines[endLine].text.trim()) {
+        endLine--;
+      }
+      open.code.length = endLine - open.startLine + 1;
+    }
+    blocks.push({
+      type: open.type,
+      fence: open.fence || null,
+      info: open.info || '',
+      ...(open.type === 'fenced' ? parseInfoString(open.info) : { language: null, meta: '', attributes: {} }),
+      code: open.code.join('\n'),
+      start: lines[open.startLine].start,
+      end: lines[endLine].end,
+      startLine: open.startLine + 1,
+      endLine: endLine + 1,
+      containers: open.containers,
+      closed,
+    });
+    open = null;
+  };
+
+  const startsBlock = line => (
+    line.trim() === '' || BLOCKQUOTE.test(line) || FENCE_OPEN.test(line) || ATX_HEADING.test(line) ||
+    THEMATIC_BREAK.test(line) || LIST_ITEM.test(line)
+  );
+
+  for (let index = 0; index < lines.length; index++) {
+    let rest = lines[index].text;
+
+    // Match the line against the open containers
+    let matched = 0;
+    for (const container of containers) {
+      if (container.type === 'blockquote') {
+        const marker = rest.match(BLOCKQUOTE);
+        if (!marker) {
+          break;
+        }
+        rest = rest.slice(marker[0].length);
+      } else if (rest.trim() !== '') {
+        if (indentation(rest) < container.indent) {
+          break;
+        }
+        rest = stripColumns(rest, container.indent);
+      }
+      matched++;
+    }
+
+    if (matched < containers.length) {
+      // A paragraph continues lazily into a line of its container's parent
+      if (paragraph && !open && !startsBlock(rest)) {
+        continue;
+      }
+      if (open && open.depth > matched) {
+        closeBlock(index - 1, open.type === 'indented');
+      }
+      containers.length = matched;
+      paragraph = false;
+    }
+
+    if (open && open.type === 'fenced') {
+      const fence = rest.match(FENCE_CLOSE);
+      if (fence && fence[1][0] === open.fence[0] && fence[1].length >= open.fence.length) {
+        closeBlock(index, true);
+      } else {
+        open.code.push(stripColumns(rest, open.indent));
+      }
+      continue;
+    }
+    if (open && open.type === 'indented') {
+      if (rest.trim() === '' || indentation(rest) >= CODE_INDENT) {
+        open.code.push(stripColumns(rest, CODE_INDENT));
+        continue;
+      }
+      closeBlock(index - 1, true);
+    }
+
+    // Open new containers: blockquotes and list items, possibly several per line
+    for (;;) {
+      const quote = rest.match(BLOCKQUOTE);
+      if (quote) {
+        containers.push({ type: 'blockquote' });
+        rest = rest.slice(quote[0].length);
+        paragraph = false;
+        continue;
+      }
+      const item = THEMATIC_BREAK.test(rest) ? null : rest.match(LIST_ITEM);
+      if (item) {
+        const markerWidth = item[1].length + item[2].length;
+        const after = rest.slice(markerWidth);
+        const spacing = indentation(after);
+        // Content indented by five or more columns starts with indented code
+        const gap = after.trim() === '' || spacing > CODE_INDENT ? 1 : spacing;
+        containers.push({ type: 'list', indent: markerWidth + gap });
+        rest = stripColumns(after, gap);
+        paragraph = false;
+        continue;
+      }
+      break;
+    }
+
+    if (rest.trim() === '') {
+      paragraph = false;
+    } else if (indentation(rest) >= CODE_INDENT && !paragraph) {
+      open = {
+        type: 'indented',
+        startLine: index,
+        depth: containers.length,
+        containers: containers.map(container => container.type),
+        code: [stripColumns(rest, CODE_INDENT)],
+      };
+    } else {
+      const fence = rest.match(FENCE_OPEN);
+      // The info string of a backtick fence may not contain backticks
+      if (fence && !(fence[2][0] === '`' && fence[3].includes('`'))) {
+        open = {
+          type: 'fenced',
+          fence: fence[2],
+          info: fence[3].trim(),
+          indent: fence[1].length,
+          startLine: index,
+          depth: containers.length,
+          containers: containers.map(container => container.type),
+          code: [],
+        };
+        paragraph = false;
+      } else {
+        paragraph = !ATX_HEADING.test(rest) && !THEMATIC_BREAK.test(rest);
+      }
+    }
+  }
+
+  if (open) {
+    closeBlock(lines.length - 1, open.type === 'indented');
+  }
+
+  return blocks;
+}
+
+module.exports = {
+  parseInfoString,
+  findCodeBlocks,
+};
@@ -0,0 +1,213 @@
+/**
+ * PostgreSQL Types
+ *
+ * Typed query parameters and a consistent JSON mapping for result columns.
+ *
+ * Result mapping:
+ *   int2, int4, float4, float8, oid  -> number
+ *   int8, numeric                    -> string (exact decimal text, NaN and Infinity included)
+ *   bool                             -> boolean
+ *   json, jsonb                      -> parsed JSON value
+ *   date                             -> "YYYY-MM-DD"
+ *   timestamp                        -> "YYYY-MM-DDTHH:MM:SS[.ffffff]"
+ *   timestamptz                      -> "YYYY-MM-DDTHH:MM:SS[.ffffff]+HH:MM[:SS]"
+ *   time, timetz, interval           -> string as returned by PostgreSQL
+ *   bytea                            -> base64 string
+ *   arrays                           -> arrays of the mapped element type
+ *   everything else (text, uuid, enums, ...) -> string
+ */
+
+const { types: pgTypes } = require('pg');
+const { parse: parseArray } = require('postgres-array');
+
+// Type names of common built-in types, to avoid a catalog lookup
+const BUILTIN_TYPE_NAMES = {
+  16: 'boolean',
+  17: 'bytea',
+  20: 'bigint',
+  21: 'smallint',
+  23: 'integer',
+  25: 'text',
+  26: 'oid',
+  114: 'json',
+  700: 'real',
+  701: 'double precision',
+  1042: 'character',
+  1043: 'character varying',
+  1082: 'date',
+  1083: 'time without time zone',
+  1114: 'timestamp without time zone',
+  1184: 'timestamp with time zone',
+  1186: 'interval',
+  1266: 'time with time zone',
+  1700: 'numeric',
+  2950: 'uuid',
+  3802: 'jsonb',
+};
+
+// Type hints accepted for query parameters: a single type name, optionally
+// schema-qualified, with an optional (n) or (n,m) modifier and array brackets,
+// e.g. "uuid", "jsonb", "int[]", "numeric(10,2)", "public.mood". Multi-word
+// names have single-word aliases (float8, timestamptz, varchar).
+const TYPE_HINT_REGEX = /^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)?(\(\d+(, ?\d+)?\))?(\[\])*$/i;
+
+// Timestamp text output: date, time and an optional UTC offset of hours,
+// minutes and seconds (+01, +05:30, +0530, -03:30:45)
+const TIMESTAMP_REGEX = /^(\d{4,}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}(?:\.\d+)?)(?:([+-]\d{2}):?(\d{2})?(?::?(\d{2}))?)?$/;
+
+/**
+ * Normalize a timestamp to ISO 8601 ("2024-01-01 10:00:00+01" -> "2024-01-01T10:00:00+01:00").
+ * Values that are not plain timestamps (infinity, BC dates) are returned as they are.
+ */
+function toIsoTimestamp(text) {
+  const match = text.match(TIMESTAMP_REGEX);
+  if (!match) {
+    return text;
+  }
+  const [, date, time, hours, minutes, seconds] = match;
+  const offset = hours ? `${hours}:${minutes || '00'}${seconds ? `:${seconds}` : ''}` : '';
+  return `${date}T${time}${offset}`;
+}
+
+/**
+ * Convert bytea text output to base64
+ */
+function toBase64(text) {
+  return pgTypes.getTypeParser(17, 'text')(text).toString('base64');
+}
+
+// Parsers for scalar types whose pg default is inconsistent in JSON. int8 and
+// numeric stay decimal text whatever their size, so a column has one JSON type
+// and no value is rounded by a conversion to a double.
+const SCALAR_PARSERS = {
+  17: toBase64,
+  20: text => text,
+  1082: text => text,
+  1114: toIsoTimestamp,
+  1184: toIsoTimestamp,
+  1186: text => text,
+  1700: text => text,
+};
+
+// Array types mapped to their element types
+const ARRAY_ELEMENT_TYPES = {
+  1001: 17,
+  1016: 20,
+  1182: 1082,
+  1115: 1114,
+  1185: 1184,
+  1187: 1186,
+  1231: 1700,
+};
+
+/**
+ * Type parser overrides, used as the `types` option of the pg pool
+ */
+const resultTypes = {
+  getTypeParser(oid, format) {
+    if (format === 'text' || format === undefined) {
+      if (SCALAR_PARSERS[oid]) {
+        return SCALAR_PARSERS[oid];
+      }
+      if (ARRAY_ELEMENT_TYPES[oid]) {
+        const parseElement = SCALAR_PARSERS[ARRAY_ELEMENT_TYPES[oid]];
+        return text => parseArray(text, element => (element === null ? null : parseElement(element)));
+      }
+    }
+    return pgTypes.getTypeParser(oid, format);
+  },
+};
+
+/**
+ * Add explicit casts to the placeholders of a query, e.g. $1 -> $1::uuid.
+ * String literals (escape strings included), quoted identifiers, comments
+ * and dollar-quoted strings are skipped.
+ */
+function applyTypeHints(query, paramTypes) {
+  if (!paramTypes || paramTypes.every(type => !type)) {
+    return query;
+  }
+
+  paramTypes.forEach((type, index) => {
+    if (type && !TYPE_HINT_REGEX.test(type)) {
+      throw new Error(`Invalid type hint for parameter $${index + 1}: '${type}'`);
+    }
+  });
+
+  // E'...' escape strings allow backslash escapes such as \'
+  const tokenRegex = /\b[eE]'(?:[^'\\]|\\[\s\S]|'')*'|'(?:[^']|'')*'|"(?:[^"]|"")*"|--[^\n]*|\/\*[\s\S]*?\*\/|(\$[a-zA-Z_]*\$)[\s\S]*?\1|\$(\d+)/g;
+
+  return query.replace(tokenRegex, (token, dollarTag, placeholder) => {
+    if (!placeholder) {
+      return token;
+    }
+
+    const type = paramTypes[Number(placeholder) - 1];
+    return type ? `${token}::${type}` : token;
+  });
+}
+
+/**
+ * Prepare parameter values. JSON-typed parameters are serialized, so arrays
+ * are sent as JSON rather than as PostgreSQL arrays.
+ */
+function prepareParams(params, paramTypes) {
+  return (params || []).map((value, index) => {
+    const type = paramTypes && paramTypes[index];
+    if (type && /^jsonb?$/i.test(type) && value !== null && value !== undefined) {
+      return JSON.stringify(value);
+    }
+    return value === undefined ? null : value;
+  });
+}
+
+/**
+ * Prepare a query and its parameters from tool arguments
+ */
+function prepareQuery(query, params, paramTypes) {
+  return {
+    text: applyTypeHints(query, paramTypes),
+    values: prepareParams(params, paramTypes),
+  };
+}
+
+// Type names looked up from the catalog, per pool (user-defined types differ per database)
+const typeNameCache = new WeakMap();
+
+/**
+ * Describe result columns with their name, type OID and type name
+ */
+async function describeColumns(pool, fields) {
+  if (!fields || fields.length === 0) {
+    return [];
+  }
+
+  if (!typeNameCache.has(pool)) {
+    typeNameCache.set(pool, new Map());
+  }
+  const cache = typeNameCache.get(pool);
+
+  const unknown = [...new Set(fields.map(field => field.dataTypeID))]
+    .filter(oid => !BUILTIN_TYPE_NAMES[oid] && !cache.has(oid));
+
+  if (unknown.length > 0) {
+    const result = await pool.query(
+      'SELECT oid, format_type(oid, NULL) AS name FROM pg_type WHERE oid = ANY($1)',
+      [unknown]
+    );
+    result.rows.forEach(row => cache.set(Number(row.oid), row.name));
+  }
+
+  return fields.map(field => ({
+    name: field.name,
+    typeOid: field.dataTypeID,
+    typeName: BUILTIN_TYPE_NAMES[field.dataTypeID] || cache.get(field.dataTypeID) || null,
+  }));
+}
+
+module.exports = {
+  resultTypes,
+  applyTypeHints,
+  prepareQuery,
+  describeColumns,
+};
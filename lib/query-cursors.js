@@ -0,0 +1,265 @@
+/**
+ * Query Cursors
+ *
+ * Server-side cursors for paging through large result sets. Each open cursor
+ * holds a dedicated client inside a transaction and is addressed by an opaque
+ * token. Pages are read with FETCH, so the statement timeout applies to each
+ * page rather than to the lifetime of the cursor. Idle cursors are closed
+ * automatically.
+ */
+
+const crypto = require('crypto');
+
+// Page limits
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+const DEFAULT_MAX_BYTES = 256 * 1024;
+const MAX_MAX_BYTES = 4 * 1024 * 1024;
+
+// Idle cursors are closed after this many milliseconds
+const CURSOR_IDLE_TIMEOUT = 5 * 60 * 1000;
+
+// Share of a pool's clients that open cursors may hold, so plain queries
+// still get a client while cursors are open
+const MAX_CURSOR_SHARE = 0.5;
+
+// Open cursors by token
+const cursors = new Map();
+
+// Cursors being opened per pool, counted against the cap until they are
+// registered, so concurrent calls cannot all pass the check
+const pendingCursors = new WeakMap();
+
+/**
+ * Clamp the requested page limits to the server maxima
+ */
+function resolveLimits(params = {}) {
+  return {
+    pageSize: Math.max(1, Math.min(params.pageSize || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE)),
+    maxBytes: Math.max(1, Math.min(params.maxBytes || DEFAULT_MAX_BYTES, MAX_MAX_BYTES)),
+  };
+}
+
+/**
+ * Maximum number of cursors open at once on a pool
+ */
+function maxCursors(pool) {
+  const poolSize = (pool.options && pool.options.max) || 10;
+  return Math.max(1, Math.floor(poolSize * MAX_CURSOR_SHARE));
+}
+
+/**
+ * Count the cursors open or being opened on a pool
+ */
+function countCursors(pool) {
+  let count = pendingCursors.get(pool) || 0;
+  for (const state of cursors.values()) {
+    if (state.pool === pool) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Take a page of rows that fits within the row and byte limits.
+ * The first row is always included so paging can make progress.
+ */
+function takePage(rows, limits) {
+  const page = [];
+  let bytes = 0;
+
+  for (const row of rows) {
+    if (page.length >= limits.pageSize) {
+      break;
+    }
+
+    const rowBytes = Buffer.byteLength(JSON.stringify(row));
+    if (page.length > 0 && bytes + rowBytes > limits.maxBytes) {
+      break;
+    }
+
+    page.push(row);
+    bytes += rowBytes;
+  }
+
+  return { page, rest: rows.slice(page.length), bytes };
+}
+
+/**
+ * Restart the idle timer of a cursor
+ */
+function touch(state) {
+  clearTimeout(state.timer);
+  state.timer = setTimeout(() => {
+    closeCursor(state.token).catch(() => {});
+  }, CURSOR_IDLE_TIMEOUT);
+  state.timer.unref();
+}
+
+/**
+ * Read the next page from a cursor, reading one row ahead so we know
+ * whether the result set is exhausted
+ */
+async function readPage(state, limits) {
+  if (!state.exhausted && state.buffer.length <= limits.pageSize) {
+    const wanted = limits.pageSize + 1 - state.buffer.length;
+    const { rows, fields } = await state.client.query(`FETCH ${wanted} FROM ${state.name}`);
+    state.fields = state.fields || fields;
+    state.buffer.push(...rows);
+    if (rows.length < wanted) {
+      state.exhausted = true;
+    }
+  }
+
+  const { page, rest, bytes } = takePage(state.buffer, limits);
+  state.buffer = rest;
+
+  return {
+    data: page,
+    rowCount: page.length,
+    bytes,
+    truncated: rest.length > 0 || !state.exhausted,
+  };
+}
+
+/**
+ * Open a cursor for a read statement and return its first page, with the
+ * result fields. The cursor token is only returned when more rows remain.
+ * Fails when the pool already has its maximum number of open cursors.
+ */
+async function openCursor(pool, query, values, options = {}) {
+  const limits = resolveLimits(options);
+  const limit = maxCursors(pool);
+  if (countCursors(pool) >= limit) {
+    throw new Error(`Too many open cursors on this connection (${limit}); fetch their remaining pages or close them first`);
+  }
+
+  // Reserve a slot before the first await; it is released once the cursor
+  // is registered or has failed
+  pendingCursors.set(pool, (pendingCursors.get(pool) || 0) + 1);
+  let reserved = true;
+  const release = () => {
+    if (reserved) {
+      reserved = false;
+      pendingCursors.set(pool, pendingCursors.get(pool) - 1);
+    }
+  };
+
+  let client;
+  try {
+    client = await pool.connect();
+  } catch (error) {
+    release();
+    throw error;
+  }
+
+  const token = crypto.randomBytes(16).toString('hex');
+  const state = {
+    token,
+    name: `metis_cursor_${token}`,
+    pool,
+    client,
+    fields: null,
+    buffer: [],
+    exhausted: false,
+    timer: null,
+  };
+
+  try {
+    await client.query(options.readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+    if (options.timeout) {
+      await client.query(`SET LOCAL statement_timeout = ${Math.floor(options.timeout)}`);
+    }
+    await client.query(`DECLARE ${state.name} NO SCROLL CURSOR FOR ${query}`, values);
+    cursors.set(state.token, state);
+    release();
+
+    const page = await readPage(state, limits);
+    return { ...(await finishPage(state, page)), fields: state.fields };
+  } catch (error) {
+    release();
+    await closeState(state, false);
+    throw error;
+  }
+}
+
+/**
+ * Close the cursor once every row has been returned, otherwise keep it open
+ */
+async function finishPage(state, page) {
+  if (!page.truncated) {
+    await closeCursor(state.token);
+    return { ...page, cursor: null };
+  }
+
+  touch(state);
+  return { ...page, cursor: state.token };
+}
+
+/**
+ * Fetch the next page of an open cursor
+ */
+async function fetchNextPage(token, options = {}) {
+  const state = cursors.get(token);
+  if (!state) {
+    throw new Error('Cursor not found or expired');
+  }
+
+  try {
+    const page = await readPage(state, resolveLimits(options));
+    return await finishPage(state, page);
+  } catch (error) {
+    await closeState(state, false);
+    throw error;
+  }
+}
+
+/**
+ * Close the cursor, end its transaction and release its client
+ */
+async function closeState(state, commit) {
+  cursors.delete(state.token);
+  clearTimeout(state.timer);
+
+  try {
+    // Ending the transaction also closes the cursor
+    await state.client.query(commit ? 'COMMIT' : 'ROLLBACK');
+    state.client.release();
+  } catch (error) {
+    // A broken client must not go back to the pool
+    state.client.release(error);
+  }
+}
+
+/**
+ * Close an open cursor. Returns false when the token is unknown.
+ */
+async function closeCursor(token) {
+  const state = cursors.get(token);
+  if (!state) {
+    return false;
+  }
+
+  await closeState(state, true);
+  return true;
+}
+
+/**
+ * Close every cursor opened on a pool, before the pool is shut down
+ */
+async function closeCursorsForPool(pool) {
+  const states = Array.from(cursors.values()).filter(state => state.pool === pool);
+  await Promise.all(states.map(state => closeState(state, false)));
+  return states.length;
+}
+
+module.exports = {
+  resolveLimits,
+  maxCursors,
+  takePage,
+  openCursor,
+  fetchNextPage,
+  closeCursor,
+  closeCursorsForPool,
+};
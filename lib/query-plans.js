@@ -0,0 +1,126 @@
+/**
+ * Query Plans
+ *
+ * Turns the output of EXPLAIN (FORMAT JSON) into a compact plan tree and a
+ * short summary: sequential scans, row misestimates and the most expensive
+ * nodes.
+ */
+
+// Estimated and actual rows differing by more than this factor are reported
+const MISESTIMATE_FACTOR = 10;
+
+// Number of nodes listed as most expensive
+const EXPENSIVE_NODE_COUNT = 3;
+
+/**
+ * Convert an EXPLAIN plan node into a compact tree node
+ */
+function toPlanNode(plan) {
+  const children = (plan['Plans'] || []).map(toPlanNode);
+  const analyzed = plan['Actual Loops'] !== undefined;
+
+  const node = {
+    nodeType: plan['Node Type'],
+    relation: plan['Relation Name'] ? `${plan['Schema'] ? `${plan['Schema']}.` : ''}${plan['Relation Name']}` : undefined,
+    index: plan['Index Name'],
+    joinType: plan['Join Type'],
+    filter: plan['Filter'] || plan['Index Cond'] || plan['Hash Cond'] || plan['Merge Cond'] || undefined,
+    startupCost: plan['Startup Cost'],
+    totalCost: plan['Total Cost'],
+    planRows: plan['Plan Rows'],
+    // Actual rows are reported per loop
+    actualRows: analyzed ? plan['Actual Rows'] * plan['Actual Loops'] : undefined,
+    actualTime: analyzed ? plan['Actual Total Time'] * plan['Actual Loops'] : undefined,
+    loops: analyzed ? plan['Actual Loops'] : undefined,
+    children,
+  };
+
+  // Exclusive cost/time: what the node adds on top of its children
+  node.exclusiveCost = Math.max(0, node.totalCost - children.reduce((sum, child) => sum + child.totalCost, 0));
+  if (analyzed) {
+    node.exclusiveTime = Math.max(0, node.actualTime - children.reduce((sum, child) => sum + (child.actualTime || 0), 0));
+  }
+
+  return node;
+}
+
+/**
+ * List every node of a plan tree
+ */
+function flattenPlan(node, nodes = []) {
+  nodes.push(node);
+  node.children.forEach(child => flattenPlan(child, nodes));
+  return nodes;
+}
+
+/**
+ * Describe a node in one line for the summary
+ */
+function describeNode(node) {
+  return {
+    nodeType: node.nodeType,
+    relation: node.relation,
+    exclusiveCost: Math.round(node.exclusiveCost * 100) / 100,
+    exclusiveTime: node.exclusiveTime !== undefined ? Math.round(node.exclusiveTime * 1000) / 1000 : undefined,
+  };
+}
+
+/**
+ * Parse the JSON output of EXPLAIN into a plan tree and a summary
+ */
+function summarizePlan(explainOutput) {
+  const root = explainOutput[0];
+  const plan = toPlanNode(root['Plan']);
+  const nodes = flattenPlan(plan);
+  const analyzed = plan.actualRows !== undefined;
+
+  const sequentialScans = nodes
+    .filter(node => node.nodeType === 'Seq Scan')
+    .map(node => ({
+      relation: node.relation,
+      filter: node.filter,
+      planRows: node.planRows,
+      actualRows: node.actualRows,
+    }));
+
+  const misestimates = analyzed
+    ? nodes
+      .filter(node => {
+        const estimated = Math.max(node.planRows * (node.loops || 1), 1);
+        const actual = Math.max(node.actualRows, 1);
+        return actual / estimated > MISESTIMATE_FACTOR || estimated / actual > MISESTIMATE_FACTOR;
+      })
+      .map(node => ({
+        nodeType: node.nodeType,
+        relation: node.relation,
+        estimatedRows: node.planRows * (node.loops || 1),
+        actualRows: node.actualRows,
+      }))
+    : [];
+
+  const weight = node => (analyzed ? node.exclusiveTime : node.exclusiveCost);
+  const mostExpensive = nodes
+    .slice()
+    .sort((a, b) => weight(b) - weight(a))
+    .slice(0, EXPENSIVE_NODE_COUNT)
+    .map(describeNode);
+
+  return {
+    plan,
+    summary: {
+      totalCost: plan.totalCost,
+      estimatedRows: plan.planRows,
+      actualRows: plan.actualRows,
+      planningTime: root['Planning Time'],
+      executionTime: root['Execution Time'],
+      nodeCount: nodes.length,
+      sequentialScans,
+      misestimates,
+      mostExpensive,
+    },
+  };
+}
+
+module.exports = {
+  summarizePlan,
+};
@@ -0,0 +1,375 @@
+/**
+ * Query Policy
+ *
+ * Classifies SQL statements with a real parser and decides whether they may
+ * run under the configured policy (read-only mode, DDL/DML switches,
+ * schema/table allowlists and, in read-only mode, a function allowlist).
+ */
+
+const { parse, astVisitor } = require('pgsql-ast-parser');
+
+// Statement types that only read data
+const READ_TYPES = new Set(['select', 'union', 'union all', 'values', 'with', 'with recursive', 'show']);
+
+// Statement types that modify data
+const DML_TYPES = new Set(['insert', 'update', 'delete']);
+
+// System schemas, whose relations are denied unless allowlisted
+const CATALOG_SCHEMAS = new Set(['pg_catalog', 'information_schema', 'pg_toast']);
+
+// Functions allowed in read-only mode: built-ins that neither read other
+// relations (like query_to_xml) nor change server state (like set_config).
+// METIS_DB_ALLOWED_FUNCTIONS adds to them.
+const DEFAULT_ALLOWED_FUNCTIONS = new Set([
+  // Aggregates
+  'count', 'sum', 'avg', 'min', 'max', 'array_agg', 'string_agg', 'json_agg', 'jsonb_agg', 'json_object_agg',
+  'jsonb_object_agg', 'bool_and', 'bool_or', 'every', 'stddev', 'stddev_pop', 'stddev_samp', 'variance',
+  'var_pop', 'var_samp', 'percentile_cont', 'percentile_disc', 'mode', 'corr', 'covar_pop', 'covar_samp',
+  // Window functions
+  'row_number', 'rank', 'dense_rank', 'percent_rank', 'cume_dist', 'ntile', 'lag', 'lead', 'first_value',
+  'last_value', 'nth_value',
+  // Conditionals
+  'coalesce', 'nullif', 'greatest', 'least',
+  // Strings
+  'lower', 'upper', 'initcap', 'length', 'char_length', 'character_length', 'octet_length', 'substring',
+  'substr', 'trim', 'ltrim', 'rtrim', 'btrim', 'replace', 'translate', 'concat', 'concat_ws', 'left', 'right',
+  'lpad', 'rpad', 'repeat', 'reverse', 'split_part', 'strpos', 'position', 'starts_with', 'regexp_replace',
+  'regexp_match', 'regexp_matches', 'regexp_split_to_array', 'string_to_array', 'array_to_string', 'format',
+  'md5', 'to_char', 'to_number', 'quote_ident', 'quote_literal',
+  // Numbers
+  'abs', 'ceil', 'ceiling', 'floor', 'round', 'trunc', 'mod', 'power', 'sqrt', 'cbrt', 'exp', 'ln', 'log',
+  'log10', 'sign', 'div', 'width_bucket', 'random',
+  // Dates and times
+  'now', 'date_trunc', 'date_part', 'age', 'to_date', 'to_timestamp', 'make_date', 'make_timestamp',
+  'make_interval', 'clock_timestamp', 'statement_timestamp', 'transaction_timestamp', 'timezone', 'isfinite',
+  // JSON
+  'to_json', 'to_jsonb', 'json_build_object', 'jsonb_build_object', 'json_build_array', 'jsonb_build_array',
+  'json_array_length', 'jsonb_array_length', 'json_extract_path', 'jsonb_extract_path',
+  'json_extract_path_text', 'jsonb_extract_path_text', 'json_typeof', 'jsonb_typeof', 'json_each',
+  'jsonb_each', 'json_each_text', 'jsonb_each_text', 'json_object_keys', 'jsonb_object_keys',
+  'json_array_elements', 'jsonb_array_elements', 'json_array_elements_text', 'jsonb_array_elements_text',
+  'jsonb_set', 'jsonb_strip_nulls', 'jsonb_pretty', 'jsonb_path_query', 'jsonb_path_exists',
+  // Arrays and sets
+  'array_length', 'array_position', 'array_positions', 'array_remove', 'array_append', 'array_prepend',
+  'array_cat', 'cardinality', 'unnest', 'generate_series',
+  // Full-text search
+  'to_tsvector', 'to_tsquery', 'plainto_tsquery', 'phraseto_tsquery', 'websearch_to_tsquery', 'ts_rank',
+  'ts_rank_cd', 'ts_headline',
+  // pgvector
+  'l2_distance', 'cosine_distance', 'inner_product', 'l1_distance', 'vector_dims', 'vector_norm',
+]);
+
+/**
+ * Parse a comma-separated environment value into a trimmed, non-empty list
+ */
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+  return value.split(',').map(item => item.trim()).filter(item => item.length > 0);
+}
+
+/**
+ * Parse a boolean environment value ("true", "1", "yes")
+ */
+function parseFlag(value, defaultValue) {
+  if (value === undefined || value === '') {
+    return defaultValue;
+  }
+  return ['true', '1', 'yes'].includes(String(value).toLowerCase());
+}
+
+/**
+ * Load the query policy from the environment.
+ *
+ * The policy is deliberately not configurable through tool arguments, so an
+ * agent cannot lift its own restrictions.
+ */
+function loadQueryPolicy(env = process.env) {
+  const allowDml = parseFlag(env.METIS_DB_ALLOW_DML, false);
+  const allowDdl = parseFlag(env.METIS_DB_ALLOW_DDL, false);
+
+  return {
+    // Read-only mode stays on unless writes were explicitly enabled
+    readOnly: parseFlag(env.METIS_DB_READ_ONLY, !allowDml && !allowDdl),
+    allowDml,
+    allowDdl,
+    allowedSchemas: parseList(env.METIS_DB_ALLOWED_SCHEMAS).map(s => s.toLowerCase()),
+    allowedTables: parseList(env.METIS_DB_ALLOWED_TABLES).map(t => t.toLowerCase()),
+    // Functions allowed in read-only mode on top of the built-in allowlist
+    allowedFunctions: parseList(env.METIS_DB_ALLOWED_FUNCTIONS).map(f => f.toLowerCase()),
+    // Upper bound for the statement_timeout of every query, in milliseconds
+    statementTimeout: Number(env.METIS_DB_STATEMENT_TIMEOUT_MS) || 30000,
+  };
+}
+
+/**
+ * Classify a parsed statement as 'read', 'dml', 'ddl' or 'utility'
+ */
+function classifyStatement(statement) {
+  const type = statement.type;
+
+  if (type.startsWith('create ') || type.startsWith('alter ') || type.startsWith('drop ') ||
+      type === 'truncate table' || type === 'comment' || type === 'refresh materialized view') {
+    return 'ddl';
+  }
+
+  if (DML_TYPES.has(type) || containsDml(statement)) {
+    return 'dml';
+  }
+
+  if (READ_TYPES.has(type)) {
+    return 'read';
+  }
+
+  // SET, BEGIN, COMMIT, PREPARE, ... are never passed through
+  return 'utility';
+}
+
+/**
+ * Check whether a statement contains a nested data-modifying statement
+ * (e.g. "WITH x AS (DELETE ... RETURNING *) SELECT ...")
+ */
+function containsDml(node) {
+  if (!node || typeof node !== 'object') {
+    return false;
+  }
+  if (Array.isArray(node)) {
+    return node.some(containsDml);
+  }
+  if (DML_TYPES.has(node.type)) {
+    return true;
+  }
+  return Object.values(node).some(containsDml);
+}
+
+/**
+ * Collect the relations a statement touches, as lower-cased { schema, name } pairs.
+ * Unqualified names are resolved the way the default search_path does:
+ * pg_catalog first (whose relations are all named pg_*), then the default
+ * schema. References to CTEs defined in the statement itself are skipped.
+ */
+function collectRelations(statement, defaultSchema = 'public') {
+  const refs = [];
+  const cteNames = new Set();
+
+  const visitor = astVisitor(mapper => ({
+    with: (withStatement) => {
+      withStatement.bind.forEach(binding => cteNames.add(binding.alias.name.toLowerCase()));
+      mapper.super().with(withStatement);
+    },
+    tableRef: (ref) => {
+      refs.push(ref);
+    },
+  }));
+  visitor.statement(statement);
+
+  // DDL targets are not reported as table references by the visitor
+  [statement.name, statement.table, ...(statement.names || []), ...(statement.tables || [])]
+    .filter(ref => ref && typeof ref.name === 'string')
+    .forEach(ref => refs.push(ref));
+
+  const relations = [];
+  const seen = new Set();
+
+  for (const ref of refs) {
+    const name = ref.name.toLowerCase();
+    if (!ref.schema && cteNames.has(name)) {
+      continue;
+    }
+
+    const schema = (ref.schema || (name.startsWith('pg_') ? 'pg_catalog' : defaultSchema)).toLowerCase();
+    const key = `${schema}.${name}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      relations.push({ schema, name });
+    }
+  }
+
+  return relations;
+}
+
+/**
+ * Collect the functions a statement calls, as lower-cased { schema, name }
+ * pairs (schema is null when the call is unqualified)
+ */
+function collectFunctions(statement) {
+  const functions = [];
+
+  const visitor = astVisitor(mapper => ({
+    call: (call) => {
+      functions.push({
+        schema: call.function.schema ? call.function.schema.toLowerCase() : null,
+        name: call.function.name.toLowerCase(),
+      });
+      return mapper.super().call(call);
+    },
+  }));
+  visitor.statement(statement);
+
+  return functions;
+}
+
+/**
+ * Check whether a function may be called in read-only mode: built-ins of the
+ * default allowlist (unqualified or in pg_catalog), or functions listed in
+ * METIS_DB_ALLOWED_FUNCTIONS by name or schema-qualified name
+ */
+function isFunctionAllowed(policy, fn) {
+  const allowed = policy.allowedFunctions || [];
+  if (!fn.schema || fn.schema === 'pg_catalog') {
+    if (DEFAULT_ALLOWED_FUNCTIONS.has(fn.name) || allowed.includes(fn.name)) {
+      return true;
+    }
+  }
+  return Boolean(fn.schema) && allowed.includes(`${fn.schema}.${fn.name}`);
+}
+
+/**
+ * Build a structured rejection
+ */
+function reject(code, message, details = {}) {
+  return { allowed: false, rejection: { code, message, ...details } };
+}
+
+/**
+ * Check a relation against the catalog rule and the allowlists. Returns the
+ * code and message of the rejection, or null when the relation is allowed.
+ */
+function relationRejection(policy, relation) {
+  const qualifiedName = `${relation.schema}.${relation.name}`;
+  const listed = policy.allowedSchemas.includes(relation.schema) || policy.allowedTables.includes(qualifiedName);
+
+  if (CATALOG_SCHEMAS.has(relation.schema) && !listed) {
+    return { code: 'CATALOG_NOT_ALLOWED', message: `System relation '${qualifiedName}' is not in the allowlist` };
+  }
+  if (policy.allowedSchemas.length > 0 && !policy.allowedSchemas.includes(relation.schema)) {
+    return { code: 'SCHEMA_NOT_ALLOWED', message: `Schema '${relation.schema}' is not in the allowlist` };
+  }
+  if (policy.allowedTables.length > 0 && !policy.allowedTables.includes(qualifiedName)) {
+    return { code: 'TABLE_NOT_ALLOWED', message: `Table '${qualifiedName}' is not in the allowlist` };
+  }
+  return null;
+}
+
+/**
+ * Check a SQL string against the policy.
+ *
+ * Returns { allowed: true, statements } where statements lists the type and
+ * relations of every statement, or { allowed: false, rejection } with a
+ * machine-readable code and a human-readable message.
+ */
+function checkQuery(sql, policy) {
+  let parsed;
+
+  try {
+    parsed = parse(sql);
+  } catch (error) {
+    return reject('PARSE_ERROR', `Query could not be parsed: ${error.message.split('\n')[0]}`);
+  }
+
+  if (parsed.length === 0) {
+    return reject('EMPTY_QUERY', 'Query contains no statements');
+  }
+
+  const statements = [];
+
+  for (let index = 0; index < parsed.length; index++) {
+    const statement = parsed[index];
+    const kind = classifyStatement(statement);
+    const details = { statementIndex: index, statementType: statement.type };
+
+    if (kind === 'utility') {
+      return reject('STATEMENT_NOT_ALLOWED', `'${statement.type}' statements are not allowed`, details);
+    }
+    if (kind === 'dml' && (!policy.allowDml || policy.readOnly)) {
+      return reject('DML_NOT_ALLOWED', 'Data-modifying statements are disabled by the query policy', details);
+    }
+    if (kind === 'ddl' && (!policy.allowDdl || policy.readOnly)) {
+      return reject('DDL_NOT_ALLOWED', 'Schema-modifying statements are disabled by the query policy', details);
+    }
+
+    const relations = collectRelations(statement);
+
+    for (const relation of relations) {
+      const rejection = relationRejection(policy, relation);
+      if (rejection) {
+        return reject(rejection.code, rejection.message, {
+          ...details,
+          relation: `${relation.schema}.${relation.name}`,
+        });
+      }
+    }
+
+    // Functions can read relations (query_to_xml) or change server state
+    // (set_config, pg_terminate_backend) behind the checks above
+    if (policy.readOnly) {
+      const denied = collectFunctions(statement).find(fn => !isFunctionAllowed(policy, fn));
+      if (denied) {
+        const functionName = denied.schema ? `${denied.schema}.${denied.name}` : denied.name;
+        return reject('FUNCTION_NOT_ALLOWED', `Function '${functionName}' is not in the allowlist`, {
+          ...details,
+          function: functionName,
+        });
+      }
+    }
+
+    statements.push({ type: statement.type, kind, relations });
+  }
+
+  return { allowed: true, statements };
+}
+
+/**
+ * Resolve the statement timeout of a call: the requested timeout, capped by the policy
+ */
+function resolveStatementTimeout(policy, requested) {
+  if (!requested || requested <= 0) {
+    return policy.statementTimeout;
+  }
+  return Math.min(Math.floor(requested), policy.statementTimeout);
+}
+
+/**
+ * Check whether the text of a query recorded by the server (for example in
+ * pg_stat_statements) may be shown: it must parse and every relation it
+ * touches must pass the allowlists. Statement types are not checked, since
+ * the query is only shown, not run.
+ */
+function isQueryTextVisible(sql, policy) {
+  let parsed;
+  try {
+    parsed = parse(sql);
+  } catch (error) {
+    return false;
+  }
+  return parsed.every(statement =>
+    collectRelations(statement).every(relation => !relationRejection(policy, relation)));
+}
+
+/**
+ * Check whether a schema (and optionally a table) is visible under the allowlists
+ */
+function isRelationAllowed(policy, schema, table) {
+  const schemaName = schema.toLowerCase();
+
+  if (policy.allowedSchemas.length > 0 && !policy.allowedSchemas.includes(schemaName)) {
+    return false;
+  }
+  if (table && policy.allowedTables.length > 0 &&
+      !policy.allowedTables.includes(`${schemaName}.${table.toLowerCase()}`)) {
+    return false;
+  }
+  return true;
+}
+
+module.exports = {
+  loadQueryPolicy,
+  classifyStatement,
+  collectRelations,
+  collectFunctions,
+  checkQuery,
+  resolveStatementTimeout,
+  isRelationAllowed,
+  isQueryTextVisible,
+};
@@ -0,0 +1,260 @@
+/**
+ * Re-ranking
+ *
+ * Post-retrieval processing of query results: re-rankers that score
+ * candidates against the query, a per-group limit on a metadata key, and
+ * maximal marginal relevance (MMR) to diversify near-duplicate chunks.
+ *
+ * Candidates are { id, document, metadata, distance, embedding } objects,
+ * best first. A re-ranker is an async function (query, candidates) returning
+ * one score per candidate, higher is better.
+ */
+
+const { tokenize } = require('./keyword-index');
+
+// Number of candidates scored per LLM call
+const LLM_BATCH_SIZE = 10;
+
+// Characters of each candidate shown to the LLM
+const LLM_PASSAGE_CHARS = 1000;
+
+/**
+ * Score candidates by the share of the query terms they contain
+ */
+async function lexicalScores(query, candidates) {
+  const queryTerms = new Set(tokenize(query));
+  if (queryTerms.size === 0) {
+    return candidates.map(() => 0);
+  }
+
+  return candidates.map(candidate => {
+    const terms = new Set(tokenize(candidate.document));
+    let matched = 0;
+    queryTerms.forEach(term => {
+      if (terms.has(term)) {
+        matched++;
+      }
+    });
+    return matched / queryTerms.size;
+  });
+}
+
+/**
+ * Build the prompt asking an LLM to rate passages against a query
+ */
+function buildRatingPrompt(query, passages) {
+  const numbered = passages
+    .map((passage, index) => `[${index + 1}] ${(passage || '').slice(0, LLM_PASSAGE_CHARS)}`)
+    .join('\n\n');
+
+  return `Rate how relevant each passage is to the query, from 0 (irrelevant) to 10 (answers it fully).
+
+Query: ${query}
+
+Passages:
+${numbered}
+
+Respond with only a JSON array of ${passages.length} numbers, one per passage, in order.`;
+}
+
+/**
+ * Parse the ratings from an LLM response
+ */
+function parseRatings(response, count) {
+  const match = String(response).match(/\[[\s\S]*?\]/);
+  const ratings = match ? JSON.parse(match[0]) : null;
+  if (!Array.isArray(ratings) || ratings.length !== count || !ratings.every(value => typeof value === 'number')) {
+    throw new Error('The model did not return one numeric rating per passage');
+  }
+  return ratings;
+}
+
+/**
+ * Create an LLM re-ranker. generate(prompt) returns the model's text response.
+ */
+function createLlmReranker(generate) {
+  return async (query, candidates) => {
+    const scores = [];
+    for (let start = 0; start < candidates.length; start += LLM_BATCH_SIZE) {
+      const batch = candidates.slice(start, start + LLM_BATCH_SIZE);
+      const response = await generate(buildRatingPrompt(query, batch.map(candidate => candidate.document)));
+      scores.push(...parseRatings(response, batch.length));
+    }
+    return scores;
+  };
+}
+
+// Re-ranker factories by type; options.generate(prompt) is required by the LLM re-ranker
+const rerankers = {
+  lexical: () => lexicalScores,
+  llm: ({ generate }) => createLlmReranker(generate),
+};
+
+/**
+ * Register a re-ranker factory under a type
+ */
+function registerReranker(type, factory) {
+  rerankers[type] = factory;
+}
+
+/**
+ * Create a re-ranker of the given type
+ */
+function createReranker(type, options = {}) {
+  const factory = rerankers[type];
+  if (!factory) {
+    throw new Error(`Unsupported re-ranker: ${type}`);
+  }
+  return factory(options);
+}
+
+/**
+ * Re-order candidates by re-ranker score; each candidate gets a rerankScore
+ */
+async function rerank(query, candidates, reranker) {
+  const scores = await reranker(query, candidates);
+  return candidates
+    .map((candidate, index) => ({ ...candidate, rerankScore: scores[index] }))
+    .sort((a, b) => b.rerankScore - a.rerankScore);
+}
+
+/**
+ * Keep at most maxPerGroup candidates per value of a metadata key.
+ * Candidates without the key are kept.
+ */
+function limitPerGroup(candidates, key, maxPerGroup = 1) {
+  const counts = new Map();
+  return candidates.filter(candidate => {
+    const value = candidate.metadata ? candidate.metadata[key] : undefined;
+    if (value === undefined || value === null) {
+      return true;
+    }
+    const group = JSON.stringify(value);
+    counts.set(group, (counts.get(group) || 0) + 1);
+    return counts.get(group) <= maxPerGroup;
+  });
+}
+
+/**
+ * Cosine similarity of two vectors
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+/**
+ * Select k candidates by maximal marginal relevance:
+ * lambda * relevance - (1 - lambda) * max similarity to the selected ones.
+ * Relevance is the re-ranker score when there is one, 1 - distance otherwise,
+ * min-max normalized over the candidates.
+ */
+function maximalMarginalRelevance(candidates, { k, lambda = 0.5 }) {
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const raw = candidates.map(candidate => (
+    candidate.rerankScore !== undefined ? candidate.rerankScore : 1 - candidate.distance
+  ));
+  const min = Math.min(...raw);
+  const max = Math.max(...raw);
+  const relevance = raw.map(value => (max === min ? 1 : (value - min) / (max - min)));
+
+  const remaining = candidates.map((candidate, index) => index);
+  const selected = [];
+
+  while (selected.length < k && remaining.length > 0) {
+    let best = null;
+    remaining.forEach((index, position) => {
+      const redundancy = selected.length === 0
+        ? 0
+        : Math.max(...selected.map(chosen => cosineSimilarity(candidates[index].embedding, chosen.embedding)));
+      const score = lambda * relevance[index] - (1 - lambda) * redundancy;
+      if (!best || score > best.score) {
+        best = { index, position, score };
+      }
+    });
+
+    remaining.splice(best.position, 1);
+    selected.push({ ...candidates[best.index], mmrScore: best.score });
+  }
+
+  return selected;
+}
+
+/**
+ * Apply the post-retrieval options to the candidates of one query, in
+ * order: re-ranking, per-group limit, MMR, and the final cut to nResults
+ */
+async function postProcess(query, candidates, { nResults, reranker, groupBy, maxPerGroup, mmr }) {
+  let results = candidates;
+
+  if (reranker) {
+    results = await rerank(query, results, reranker);
+  }
+  if (groupBy) {
+    results = limitPerGroup(results, groupBy, maxPerGroup);
+  }
+  if (mmr) {
+    results = maximalMarginalRelevance(results, { k: nResults, lambda: mmr.lambda });
+  }
+
+  return results.slice(0, nResults);
+}
+
+/**
+ * Convert the results of one query in a Chroma query response to candidates
+ */
+function toCandidates(results, queryIndex) {
+  return results.ids[queryIndex].map((id, index) => ({
+    id,
+    document: results.documents ? results.documents[queryIndex][index] : null,
+    metadata: results.metadatas ? results.metadatas[queryIndex][index] : null,
+    distance: results.distances ? results.distances[queryIndex][index] : null,
+    embedding: results.embeddings ? results.embeddings[queryIndex][index] : null,
+  }));
+}
+
+/**
+ * Convert candidate lists, one per query, back to a Chroma query response
+ * with the included fields, plus the re-ranker and MMR scores when present
+ */
+function fromCandidates(lists, include) {
+  const field = (name, key) => (include.includes(name)
+    ? lists.map(candidates => candidates.map(candidate => candidate[key]))
+    : null);
+  const scores = key => (lists.some(candidates => candidates.some(candidate => candidate[key] !== undefined))
+    ? lists.map(candidates => candidates.map(candidate => candidate[key]))
+    : undefined);
+
+  return {
+    ids: lists.map(candidates => candidates.map(candidate => candidate.id)),
+    documents: field('documents', 'document'),
+    metadatas: field('metadatas', 'metadata'),
+    distances: field('distances', 'distance'),
+    embeddings: field('embeddings', 'embedding'),
+    rerankScores: scores('rerankScore'),
+    mmrScores: scores('mmrScore'),
+  };
+}
+
+module.exports = {
+  lexicalScores,
+  createLlmReranker,
+  registerReranker,
+  createReranker,
+  rerank,
+  limitPerGroup,
+  maximalMarginalRelevance,
+  postProcess,
+  toCandidates,
+  fromCandidates,
+};
@@ -0,0 +1,178 @@
+/**
+ * SQL Assistant
+ *
+ * Answers natural-language questions against a database: picks the relevant
+ * tables, asks an LLM for SQL, validates it, retries with the database error
+ * when it fails, runs it and summarizes the result.
+ *
+ * All I/O is passed in as functions, so the loop can run against a stubbed
+ * model and database.
+ */
+
+// Number of result rows shown to the model when writing the answer
+const ANSWER_SAMPLE_ROWS = 20;
+
+/**
+ * Split text into lower-cased words, dropping a plural "s"
+ */
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1)
+    .map(word => (word.length > 3 && word.endsWith('s') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Get the relation name ("schema.table") a foreign-key endpoint refers to
+ */
+function fkRelation(endpoint) {
+  return endpoint.split('(')[0];
+}
+
+/**
+ * Pick the relations most relevant to a question. Relations are scored by
+ * word overlap with their name, columns and comment; foreign-key neighbours
+ * of the picked relations are added so joins can be written.
+ */
+function selectRelevantRelations(question, relations, foreignKeys, maxTables = 8) {
+  if (relations.length <= maxTables) {
+    return relations;
+  }
+
+  const questionWords = new Set(tokenize(question));
+  const countMatches = words => words.filter(word => questionWords.has(word)).length;
+
+  const scored = relations
+    .map(relation => ({
+      relation,
+      score: 3 * countMatches(tokenize(relation.name.split('.').pop())) +
+        countMatches(relation.columns.flatMap(column => tokenize(column.name))) +
+        countMatches(tokenize(relation.comment)),
+    }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score);
+
+  if (scored.length === 0) {
+    return relations.slice(0, maxTables);
+  }
+
+  const selected = new Set(scored.slice(0, maxTables).map(entry => entry.relation.name));
+
+  for (const fk of foreignKeys) {
+    if (selected.size >= maxTables) {
+      break;
+    }
+    const from = fkRelation(fk.from);
+    const to = fkRelation(fk.to);
+    if (selected.has(from) && !selected.has(to)) {
+      selected.add(to);
+    } else if (selected.has(to) && !selected.has(from)) {
+      selected.add(from);
+    }
+  }
+
+  return relations.filter(relation => selected.has(relation.name));
+}
+
+/**
+ * Extract the SQL statement from a model response
+ */
+function extractSql(text) {
+  const fenced = /```(?:sql)?\s*\n([\s\S]*?)```/i.exec(text);
+  const sql = fenced ? fenced[1] : text;
+  return sql.trim().replace(/;\s*$/, '');
+}
+
+/**
+ * Build the prompt asking the model for SQL, including earlier failures
+ */
+function buildSqlPrompt(question, schemaText, attempts) {
+  const lines = [
+    'You are a PostgreSQL expert. Write a single read-only SQL query that answers the question.',
+    '',
+    'Database schema:',
+    schemaText,
+    '',
+    `Question: ${question}`,
+  ];
+
+  if (attempts.length > 0) {
+    lines.push('', 'Previous attempts failed:');
+    attempts.forEach(attempt => {
+      lines.push(`SQL: ${attempt.sql}`, `Error: ${attempt.error}`);
+    });
+  }
+
+  lines.push('', 'Return only the SQL query, without explanation.');
+  return lines.join('\n');
+}
+
+/**
+ * Build the prompt asking the model to answer the question from the result
+ */
+function buildAnswerPrompt(question, sql, rows) {
+  const sample = rows.slice(0, ANSWER_SAMPLE_ROWS);
+
+  return [
+    'Answer the question in one or two sentences using the query result.',
+    '',
+    `Question: ${question}`,
+    `SQL: ${sql}`,
+    `Result (${sample.length} of ${rows.length} rows shown):`,
+    JSON.stringify(sample),
+  ].join('\n');
+}
+
+/**
+ * Answer a question against the database.
+ *
+ * @param {object} options
+ * @param {string} options.question - Natural-language question
+ * @param {Function} options.generate - async (prompt) => text
+ * @param {Function} options.describe - async () => { relations, foreignKeys }
+ * @param {Function} options.formatSchema - (relations, foreignKeys) => prompt text
+ * @param {Function} options.validate - async (sql) => void, throws when the SQL is invalid
+ * @param {Function} options.execute - async (sql) => { data, ... }
+ * @param {number} [options.maxAttempts] - Number of SQL generation attempts
+ * @param {number} [options.maxTables] - Maximum number of tables shown to the model
+ * @returns {Promise<object>} { answered, sql, result, answer, tables, attempts }
+ */
+async function askDatabase(options) {
+  const { question, generate, describe, formatSchema, validate, execute } = options;
+  const maxAttempts = options.maxAttempts || 3;
+
+  const { relations, foreignKeys } = await describe();
+  const selected = selectRelevantRelations(question, relations, foreignKeys, options.maxTables);
+  const selectedNames = new Set(selected.map(relation => relation.name));
+  const selectedForeignKeys = foreignKeys.filter(fk =>
+    selectedNames.has(fkRelation(fk.from)) && selectedNames.has(fkRelation(fk.to)));
+  const schemaText = formatSchema(selected, selectedForeignKeys);
+
+  const attempts = [];
+  const tables = selected.map(relation => relation.name);
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const sql = extractSql(await generate(buildSqlPrompt(question, schemaText, attempts)));
+
+    let result;
+    try {
+      await validate(sql);
+      result = await execute(sql);
+    } catch (error) {
+      attempts.push({ sql, error: error.message });
+      continue;
+    }
+
+    const answer = await generate(buildAnswerPrompt(question, sql, result.data));
+    return { answered: true, sql, result, answer: answer.trim(), tables, attempts };
+  }
+
+  return { answered: false, tables, attempts };
+}
+
+module.exports = {
+  selectRelevantRelations,
+  extractSql,
+  askDatabase,
+};
@@ -0,0 +1,272 @@
+/**
+ * Table Extraction
+ *
+ * Finds the tables of a document and returns each of them as a header
+ * array plus row arrays of strings. Tables come from markdown pipe tables,
+ * HTML <table> elements (also the ones of DOCX files, converted to HTML),
+ * CSV/TSV files (one table) and XLSX files (one table per sheet).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const mammoth = require('mammoth');
+const { detectFormat, decodeText } = require('./document-loaders');
+const { findFencedBlocks, findHeadings, headingPathAt } = require('./document-structure');
+const { parseDelimited, rowsToTable } = require('./delimited');
+const { readWorkbook } = require('./workbooks');
+
+// Delimiter row of a markdown table, e.g. "| --- | :---: |"
+const DELIMITER_CELL = /^:?-+:?$/;
+
+/**
+ * Collapse the whitespace of a text
+ */
+function collapse(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Build a table from its header and body rows: blank headers are named
+ * column_<n> and every row is padded or cut to the header width
+ */
+function makeTable(headerCells, bodyRows, details = {}) {
+  const width = Math.max(headerCells.length, ...bodyRows.map(row => row.length));
+  const headers = Array.from({ length: width }, (_, index) => (headerCells[index] || '').trim() || `column_${index + 1}`);
+
+  return {
+    ...details,
+    headers,
+    rows: bodyRows.map(row => headers.map((header, index) => (row[index] === undefined ? '' : row[index]))),
+  };
+}
+
+/**
+ * Split a markdown table row into cells. Escaped pipes (\|) stay in the cell.
+ */
+function splitPipeRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) {
+    row = row.slice(1);
+  }
+  if (row.endsWith('|') && !row.endsWith('\\|')) {
+    row = row.slice(0, -1);
+  }
+
+  return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Check whether a line is the delimiter row of a table with the given width
+ */
+function isDelimiterRow(line, width) {
+  if (!line || !line.includes('-')) {
+    return false;
+  }
+  const cells = splitPipeRow(line);
+  return cells.length === width && cells.every(cell => DELIMITER_CELL.test(cell));
+}
+
+/**
+ * Find the markdown pipe tables of a text. Each table records the lines it
+ * spans (1-based) and the headings it falls under; tables inside fenced
+ * code blocks are skipped.
+ */
+function findMarkdownTables(text) {
+  const lines = text.split('\n');
+  const fencedBlocks = findFencedBlocks(text);
+  const headings = findHeadings(text);
+  const tables = [];
+
+  const offsets = [];
+  let offset = 0;
+  lines.forEach(line => {
+    offsets.push(offset);
+    offset += line.length + 1;
+  });
+  const inFence = index => fencedBlocks.some(block => offsets[index] >= block.start && offsets[index] < block.end);
+
+  for (let index = 0; index < lines.length - 1; index++) {
+    const line = lines[index];
+    if (!line.includes('|') || inFence(index)) {
+      continue;
+    }
+    const headerCells = splitPipeRow(line);
+    if (!isDelimiterRow(lines[index + 1], headerCells.length)) {
+      continue;
+    }
+
+    // The body runs until a blank line or a line without a pipe
+    let end = index + 2;
+    while (end < lines.length && lines[end].trim() && lines[end].includes('|') && !inFence(end)) {
+      end++;
+    }
+
+    const bodyRows = lines.slice(index + 2, end).map(row => splitPipeRow(row).slice(0, headerCells.length));
+    tables.push(makeTable(headerCells, bodyRows, {
+      format: 'markdown',
+      startLine: index + 1,
+      endLine: end,
+      headingPath: headingPathAt(headings, offsets[index]),
+    }));
+    index = end - 1;
+  }
+
+  return tables;
+}
+
+/**
+ * Lay out the rows of a table element as a grid, repeating the value of a
+ * cell in every position its colspan and rowspan cover
+ */
+function tableGrid($, table) {
+  const rows = $(table).find('tr').toArray().filter(row => $(row).closest('table')[0] === table);
+  const grid = [];
+  const headerRows = [];
+
+  rows.forEach((row, rowIndex) => {
+    grid[rowIndex] = grid[rowIndex] || [];
+    const cells = $(row).children('th, td').toArray();
+    let column = 0;
+
+    cells.forEach(cell => {
+      while (grid[rowIndex][column] !== undefined) {
+        column++;
+      }
+      const value = collapse($(cell).text());
+      const colspan = Math.max(1, parseInt($(cell).attr('colspan'), 10) || 1);
+      const rowspan = Math.max(1, parseInt($(cell).attr('rowspan'), 10) || 1);
+      for (let r = rowIndex; r < Math.min(rows.length, rowIndex + rowspan); r++) {
+        grid[r] = grid[r] || [];
+        for (let c = column; c < column + colspan; c++) {
+          grid[r][c] = value;
+        }
+      }
+      column += colspan;
+    });
+
+    const header = $(row).parent().is('thead') || (cells.length > 0 && cells.every(cell => cell.name === 'th'));
+    headerRows.push(header);
+  });
+
+  return { grid: grid.map(cells => Array.from(cells, value => value || '')), headerRows };
+}
+
+/**
+ * Find the <table> elements of an HTML document. The leading rows in
+ * <thead> or made of <th> cells are the headers (several of them are joined
+ * per column); without any, the first row is.
+ */
+function findHtmlTables(html, format = 'html') {
+  const $ = cheerio.load(html);
+  const tables = [];
+
+  $('table').toArray().forEach(table => {
+    const { grid, headerRows } = tableGrid($, table);
+    if (grid.length === 0) {
+      return;
+    }
+
+    let headerCount = 0;
+    while (headerCount < grid.length - 1 && headerRows[headerCount]) {
+      headerCount++;
+    }
+    headerCount = Math.max(1, headerCount);
+
+    const width = Math.max(...grid.map(cells => cells.length));
+    const headerCells = Array.from({ length: width }, (_, column) => {
+      const parts = [];
+      grid.slice(0, headerCount).forEach(cells => {
+        const part = cells[column] || '';
+        if (part && parts[parts.length - 1] !== part) {
+          parts.push(part);
+        }
+      });
+      return parts.join(' ');
+    });
+
+    const caption = collapse($(table).children('caption').first().text()) || null;
+    tables.push(makeTable(headerCells, grid.slice(headerCount), { format, caption }));
+  });
+
+  return tables;
+}
+
+/**
+ * Find the tables of a markdown or HTML text: pipe tables plus <table>
+ * elements, which markdown allows as raw HTML
+ */
+function findTextTables(text) {
+  const tables = findMarkdownTables(text);
+  if (/<table[\s>]/i.test(text)) {
+    tables.push(...findHtmlTables(text));
+  }
+  return tables;
+}
+
+/**
+ * Read the sheets of a workbook as tables, the first non-blank row of each
+ * sheet as its headers
+ */
+async function workbookTables(buffer) {
+  return (await readWorkbook(buffer))
+    .filter(({ rows }) => rows.length > 0)
+    .map(({ sheet, rows }) => makeTable(rows[0].fields, rows.slice(1).map(row => row.fields), { format: 'xlsx', sheet }));
+}
+
+/**
+ * Extract the tables of a file, its format detected from its content
+ */
+async function extractFileTables(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`File not found: ${filePath}`);
+  }
+  const buffer = await fs.promises.readFile(filePath);
+  const format = await detectFormat(buffer, path.extname(filePath).toLowerCase());
+
+  switch (format) {
+    case 'md':
+    case 'txt':
+      return findTextTables(decodeText(buffer));
+    case 'html':
+      return findHtmlTables(decodeText(buffer));
+    case 'docx': {
+      const { value } = await mammoth.convertToHtml({ buffer });
+      return findHtmlTables(value, 'docx');
+    }
+    case 'csv':
+    case 'tsv': {
+      const table = rowsToTable(parseDelimited(decodeText(buffer), format === 'tsv' ? '\t' : ','));
+      return table.headers.length > 0
+        ? [makeTable(table.headers, table.rows.map(row => row.values), { format })]
+        : [];
+    }
+    case 'xlsx':
+      return workbookTables(buffer);
+    default:
+      throw new Error(`Table extraction is not supported for ${format} files`);
+  }
+}
+
+/**
+ * Extract the tables of a text or a file. Each table is numbered and
+ * carries its source format, headers and rows.
+ */
+async function extractTables({ text, filePath }) {
+  let tables;
+  if (typeof text === 'string') {
+    tables = findTextTables(text);
+  } else if (filePath) {
+    tables = await extractFileTables(filePath);
+  } else {
+    throw new Error('Either text or filePath is required');
+  }
+
+  return tables.map((table, index) => ({ index, ...table }));
+}
+
+module.exports = {
+  findMarkdownTables,
+  findHtmlTables,
+  extractTables,
+};
@@ -0,0 +1,180 @@
+/**
+ * Table Import
+ *
+ * Builds the SQL that loads an extracted table into Postgres: a CREATE
+ * TABLE with a column per header (names made SQL-safe, types inferred from
+ * the values) and batched, parameterized INSERT statements. Empty cells
+ * are stored as NULL.
+ */
+
+// Maximum length of a Postgres identifier
+const MAX_IDENTIFIER_LENGTH = 63;
+
+// Upper bound of bind parameters per INSERT statement (Postgres allows 65535)
+const MAX_PARAMETERS = 10000;
+
+// Ways of handling a table that already exists
+const IF_EXISTS_MODES = ['fail', 'replace', 'append'];
+
+const INTEGER = /^[+-]?\d+$/;
+const DECIMAL = /^[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?$/;
+// Numbers with thousands separators, e.g. 1,234,567.89
+const GROUPED_DECIMAL = /^[+-]?\d{1,3}(?:,\d{3})+(?:\.\d+)?$/;
+const DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Quote an SQL identifier
+ */
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Turn a label into a lower-case SQL identifier (letters, digits and
+ * underscores, not starting with a digit), or null when nothing is left
+ */
+function toIdentifier(label) {
+  const name = String(label)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+  if (!name) {
+    return null;
+  }
+  return (/^\d/.test(name) ? `c_${name}` : name).slice(0, MAX_IDENTIFIER_LENGTH);
+}
+
+/**
+ * Column names for the headers of a table: SQL-safe and unique
+ */
+function columnNames(headers) {
+  const used = new Set();
+  return headers.map((header, index) => {
+    const base = toIdentifier(header) || `column_${index + 1}`;
+    let name = base;
+    for (let suffix = 2; used.has(name); suffix++) {
+      name = `${base.slice(0, MAX_IDENTIFIER_LENGTH - String(suffix).length - 1)}_${suffix}`;
+    }
+    used.add(name);
+    return name;
+  });
+}
+
+/**
+ * Check whether a value is a valid calendar date (YYYY-MM-DD)
+ */
+function isDate(value) {
+  if (!DATE.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Infer the type of a column from its non-empty values: integer, bigint,
+ * numeric, boolean, date or text
+ */
+function inferColumnType(values) {
+  const present = values.map(value => value.trim()).filter(value => value !== '');
+  if (present.length === 0) {
+    return 'text';
+  }
+
+  if (present.every(value => INTEGER.test(value))) {
+    const fits = limit => present.every(value => Math.abs(Number(value)) <= limit);
+    if (fits(2147483647)) {
+      return 'integer';
+    }
+    return fits(Number.MAX_SAFE_INTEGER) ? 'bigint' : 'numeric';
+  }
+  if (present.every(value => DECIMAL.test(value) || GROUPED_DECIMAL.test(value))) {
+    return 'numeric';
+  }
+  if (present.every(value => /^(?:true|false)$/i.test(value))) {
+    return 'boolean';
+  }
+  if (present.every(isDate)) {
+    return 'date';
+  }
+  return 'text';
+}
+
+/**
+ * Convert a cell to the parameter value of its column: null when empty,
+ * numbers without thousands separators
+ */
+function cellValue(value, type) {
+  const trimmed = value.trim();
+  if (trimmed === '') {
+    return null;
+  }
+  if (type === 'numeric' && GROUPED_DECIMAL.test(trimmed)) {
+    return trimmed.replace(/,/g, '');
+  }
+  return type === 'text' ? value : trimmed;
+}
+
+/**
+ * Build the statements that load a table into schema.tableName. ifExists
+ * decides what happens when the table exists: 'fail' (the CREATE fails),
+ * 'replace' (it is dropped first) or 'append' (rows are added to it).
+ * Returns the qualified table name, the columns and the statements.
+ */
+function tableImportStatements(table, { schema = 'public', tableName, ifExists = 'fail' }) {
+  if (!IF_EXISTS_MODES.includes(ifExists)) {
+    throw new Error(`Unsupported ifExists mode: ${ifExists}`);
+  }
+  const name = toIdentifier(tableName);
+  if (!name) {
+    throw new Error(`Invalid table name: ${tableName}`);
+  }
+
+  const names = columnNames(table.headers);
+  const columns = names.map((column, index) => ({
+    name: column,
+    header: table.headers[index],
+    type: inferColumnType(table.rows.map(row => row[index])),
+  }));
+  const qualifiedName = `${quoteIdentifier(schema)}.${quoteIdentifier(name)}`;
+  const columnList = columns.map(column => quoteIdentifier(column.name)).join(', ');
+
+  const statements = [];
+  if (ifExists === 'replace') {
+    statements.push({ query: `DROP TABLE IF EXISTS ${qualifiedName}`, params: [] });
+  }
+  statements.push({
+    query: `CREATE TABLE ${ifExists === 'append' ? 'IF NOT EXISTS ' : ''}${qualifiedName} (` +
+      `${columns.map(column => `${quoteIdentifier(column.name)} ${column.type}`).join(', ')})`,
+    params: [],
+  });
+
+  const rowsPerStatement = Math.max(1, Math.floor(MAX_PARAMETERS / columns.length));
+  for (let start = 0; start < table.rows.length; start += rowsPerStatement) {
+    const batch = table.rows.slice(start, start + rowsPerStatement);
+    const params = [];
+    const tuples = batch.map(row => {
+      const placeholders = columns.map((column, index) => {
+        params.push(cellValue(row[index], column.type));
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+    statements.push({
+      query: `INSERT INTO ${qualifiedName} (${columnList}) VALUES ${tuples.join(', ')}`,
+      params,
+    });
+  }
+
+  return { table: `${schema}.${name}`, columns, statements };
+}
+
+module.exports = {
+  IF_EXISTS_MODES,
+  toIdentifier,
+  columnNames,
+  inferColumnType,
+  tableImportStatements,
+};
@@ -0,0 +1,133 @@
+/**
+ * Text Language
+ *
+ * Detection of the natural language of a text. Texts in a non-Latin script
+ * are told by their script (Han, kana, Hangul, Cyrillic, ...); texts in the
+ * Latin script by the share of their words that are common function words
+ * of each language. Only prose is scored: front matter, code blocks, inline
+ * code and URLs are left out. Codes are ISO 639-1.
+ */
+
+const { findFrontMatter } = require('./document-structure');
+const { findCodeBlocks } = require('./markdown-blocks');
+
+// Common function words of the languages written in the Latin script
+const STOPWORDS = {
+  en: [
+    'the', 'a', 'an', 'and', 'of', 'to', 'is', 'in', 'that', 'it', 'for', 'with', 'as', 'was', 'on', 'are', 'this',
+    'be', 'by', 'not', 'you', 'have', 'or', 'which', 'from', 'at', 'can', 'will', 'if', 'then', 'your', 'we', 'they',
+    'but', 'there', 'has', 'its', 'when', 'into', 'all', 'do', 'should', 'would', 'these',
+  ],
+  fr: ['le', 'la', 'les', 'et', 'des', 'est', 'une', 'un', 'du', 'en', 'que', 'qui', 'dans', 'pour', 'pas', 'sur', 'au', 'avec', 'ce', 'sont', 'il', 'nous'],
+  de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'ein', 'eine', 'zu', 'den', 'mit', 'von', 'sich', 'des', 'auf', 'für', 'im', 'dem', 'auch', 'es', 'wird', 'werden'],
+  es: ['el', 'la', 'los', 'las', 'y', 'de', 'que', 'en', 'un', 'una', 'es', 'por', 'con', 'para', 'del', 'se', 'no', 'al', 'como', 'está', 'su', 'lo'],
+  it: ['il', 'la', 'di', 'che', 'e', 'è', 'un', 'una', 'per', 'non', 'sono', 'del', 'della', 'con', 'gli', 'le', 'nel', 'anche', 'come', 'si', 'dei', 'alla'],
+  pt: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'do', 'da', 'em', 'um', 'uma', 'para', 'com', 'não', 'no', 'na', 'se', 'por', 'é', 'são', 'dos'],
+  nl: ['de', 'het', 'een', 'en', 'van', 'is', 'dat', 'op', 'te', 'niet', 'met', 'voor', 'zijn', 'die', 'er', 'aan', 'ook', 'als', 'wordt', 'bij', 'naar', 'om'],
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+  Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+// Scripts that identify a language, checked in order
+const SCRIPTS = [
+  ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+  ['ko', /\p{Script=Hangul}/u],
+  ['zh', /\p{Script=Han}/u],
+  ['ru', /\p{Script=Cyrillic}/u],
+  ['ar', /\p{Script=Arabic}/u],
+  ['he', /\p{Script=Hebrew}/u],
+  ['el', /\p{Script=Greek}/u],
+  ['hi', /\p{Script=Devanagari}/u],
+  ['th', /\p{Script=Thai}/u],
+];
+
+// Letters specific to Ukrainian among the Cyrillic languages
+const UKRAINIAN_LETTERS = /[іїєґ]/iu;
+
+// Number of characters sampled from the start of a text
+const SAMPLE_LENGTH = 20000;
+
+// Minimum number of words to detect the language of a Latin-script text
+const MIN_WORDS = 5;
+
+// Minimum lead of the best language over the runner-up, as a share of its score
+const MIN_LEAD = 0.25;
+
+/**
+ * The prose of a markdown text: front matter, code blocks, inline code and
+ * URLs are replaced with blank lines or spaces
+ */
+function proseText(text) {
+  const frontMatter = findFrontMatter(text);
+  const start = frontMatter ? frontMatter.end : 0;
+  const parts = [];
+  let cursor = start;
+  findCodeBlocks(text).filter(block => block.end > start).forEach(block => {
+    parts.push(text.slice(cursor, Math.max(cursor, block.start)));
+    cursor = Math.max(cursor, block.end);
+  });
+  parts.push(text.slice(cursor));
+  return parts.join('\n\n')
+    .replace(/`[^`\n]+`/g, ' ')
+    .replace(/\b[a-z][a-z0-9+.-]*:\/\/\S+/gi, ' ');
+}
+
+/**
+ * Detect the language of the prose of a text. Returns the language code
+ * and a confidence between 0 and 1, or null when the prose is too short,
+ * matches no language or is as close to another language.
+ */
+function detectLanguage(text) {
+  const sampleText = proseText(text).slice(0, SAMPLE_LENGTH);
+  const letters = sampleText.match(/\p{L}/gu) || [];
+  if (letters.length === 0) {
+    return null;
+  }
+
+  // A non-Latin script used by most letters decides the language; kana
+  // marks Japanese even among Han characters
+  const latin = letters.filter(letter => /\p{Script=Latin}/u.test(letter)).length;
+  if (latin < letters.length / 2) {
+    const sample = letters.join('');
+    for (const [language, script] of SCRIPTS) {
+      const count = (sample.match(new RegExp(script.source, 'gu')) || []).length;
+      if (count > 0 && (language !== 'zh' || count >= (letters.length - latin) / 2)) {
+        if (language === 'ru' && UKRAINIAN_LETTERS.test(sample)) {
+          return { language: 'uk', confidence: 0.9 };
+        }
+        return { language, confidence: Math.round((count / letters.length) * 100) / 100 };
+      }
+    }
+    return null;
+  }
+
+  const words = sampleText.toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < MIN_WORDS) {
+    return null;
+  }
+
+  const scores = Object.entries(STOPWORD_SETS).map(([language, stopwords]) => ({
+    language,
+    score: words.filter(word => stopwords.has(word)).length / words.length,
+  }));
+  scores.sort((a, b) => b.score - a.score);
+
+  const [best, second] = scores;
+  if (best.score === 0) {
+    return null;
+  }
+
+  // Confidence grows with the share of function words and the lead over the runner-up
+  const lead = (best.score - second.score) / best.score;
+  if (lead < MIN_LEAD) {
+    return null;
+  }
+  const confidence = Math.min(1, best.score * 4) * (0.5 + lead / 2);
+  return { language: best.language, confidence: Math.round(confidence * 100) / 100 };
+}
+
+module.exports = {
+  detectLanguage,
+};
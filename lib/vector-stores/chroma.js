@@ -0,0 +1,89 @@
+/**
+ * Chroma Backend
+ *
+ * Thin wrapper around ChromaClient. Chroma collections are used as they are,
+ * except delete(), which returns the deleted ids like the other backends.
+ */
+
+const { ChromaClient } = require('chromadb');
+
+/**
+ * List the collections of a client with their metadata. listCollections()
+ * returns only names since chromadb 1.9; listCollectionsAndMetadata()
+ * returns both.
+ */
+async function listClientCollections(client) {
+  const collections = client.listCollectionsAndMetadata
+    ? await client.listCollectionsAndMetadata()
+    : await client.listCollections();
+  return collections.map(collection => (
+    typeof collection === 'string'
+      ? { name: collection, metadata: {} }
+      : { name: collection.name, metadata: collection.metadata || {} }
+  ));
+}
+
+/**
+ * Wrap a Chroma collection so that delete() returns the ids it deleted;
+ * Chroma's own delete() returns nothing. The matching ids are read first
+ * and exactly those are deleted.
+ */
+function wrapCollection(collection) {
+  const wrapped = Object.create(collection);
+  wrapped.delete = async ({ ids, where, whereDocument } = {}) => {
+    const matched = await collection.get({ ids, where, whereDocument, include: [] });
+    if (matched.ids.length === 0) {
+      return [];
+    }
+    await collection.delete({ ids: matched.ids });
+    return matched.ids;
+  };
+  return wrapped;
+}
+
+/**
+ * Create a store on a ChromaClient
+ */
+function chromaStore(client) {
+  return {
+    type: 'chroma',
+
+    heartbeat: () => client.heartbeat(),
+
+    getOrCreateCollection: async ({ name, metadata, embeddingFunction }) => wrapCollection(
+      await client.getOrCreateCollection({ name, metadata: metadata || {}, embeddingFunction })
+    ),
+
+    getCollection: async ({ name, embeddingFunction }) => wrapCollection(
+      await client.getCollection({ name, embeddingFunction })
+    ),
+
+    listCollections: async () => {
+      const collections = await listClientCollections(client);
+      return collections.sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    deleteCollection: name => client.deleteCollection({ name }),
+
+    renameCollection: async (name, newName) => {
+      const collection = await client.getCollection({ name });
+      await collection.modify({ name: newName });
+    },
+
+    close: async () => {},
+  };
+}
+
+/**
+ * Create a Chroma store from host and port
+ */
+function createChromaStore(params) {
+  return chromaStore(new ChromaClient({
+    path: `http://${params.host}:${params.port || 8000}`,
+  }));
+}
+
+module.exports = {
+  chromaStore,
+  createChromaStore,
+};
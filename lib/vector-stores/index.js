@@ -0,0 +1,64 @@
+/**
+ * Vector Stores
+ *
+ * Backends for the vector store tool. Every backend returns a store with
+ * heartbeat(), getOrCreateCollection(), getCollection(), listCollections(),
+ * deleteCollection(), renameCollection() and close(); its collections expose
+ * the Chroma collection API (add, upsert, update, query, get, delete, count),
+ * with delete() returning the ids it deleted.
+ */
+
+// Number of records copied per batch
+const COPY_BATCH_SIZE = 500;
+
+// Store factories by backend name; backends are loaded on first use
+const backends = {
+  chroma: params => require('./chroma').createChromaStore(params),
+  pgvector: params => require('./pgvector').createPgvectorStore(params),
+  local: params => require('./local').createLocalStore(params),
+};
+
+/**
+ * Create a store for the given backend
+ */
+function createVectorStore(backend, params) {
+  const factory = backends[backend];
+  if (!factory) {
+    throw new Error(`Unsupported vector store backend: ${backend}`);
+  }
+  return factory(params);
+}
+
+/**
+ * Copy every record of a collection into another, with its embeddings
+ */
+async function copyCollection(source, target, batchSize = COPY_BATCH_SIZE) {
+  let copied = 0;
+
+  for (;;) {
+    const batch = await source.get({
+      limit: batchSize,
+      offset: copied,
+      include: ['documents', 'metadatas', 'embeddings'],
+    });
+    if (batch.ids.length === 0) {
+      break;
+    }
+
+    await target.add({
+      ids: batch.ids,
+      embeddings: batch.embeddings,
+      metadatas: batch.metadatas,
+      documents: batch.documents,
+    });
+    copied += batch.ids.length;
+  }
+
+  return copied;
+}
+
+module.exports = {
+  backends: Object.keys(backends),
+  createVectorStore,
+  copyCollection,
+};
@@ -0,0 +1,464 @@
+/**
+ * Local Backend
+ *
+ * Embedded vector store for offline development and tests. Collections are
+ * held in memory and searched by brute force; when a path is given they are
+ * persisted to a JSON or binary file after every change.
+ *
+ * Binary file layout:
+ *   "MVS1" | uint32 LE header length | JSON header | float32 LE embeddings
+ * The header lists the collections and their records without embeddings;
+ * the embeddings follow in the same order.
+ *
+ * Collections expose the same API as Chroma collections.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { matchesWhere, matchesWhereDocument } = require('./where-filter');
+
+const BINARY_MAGIC = 'MVS1';
+
+const FORMATS = ['json', 'binary'];
+
+// Fields returned by query() and get() when include is not given, as in Chroma
+const DEFAULT_QUERY_INCLUDE = ['documents', 'metadatas', 'distances'];
+const DEFAULT_GET_INCLUDE = ['documents', 'metadatas'];
+
+/**
+ * Dot product of two vectors
+ */
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+}
+
+// Chroma-compatible distance per distance function
+const DISTANCES = {
+  cosine: (a, b) => {
+    const norms = Math.sqrt(dot(a, a)) * Math.sqrt(dot(b, b));
+    return norms === 0 ? 1 : 1 - dot(a, b) / norms;
+  },
+  // Chroma reports squared L2 distances
+  l2: (a, b) => {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+      sum += (a[i] - b[i]) ** 2;
+    }
+    return sum;
+  },
+  ip: (a, b) => 1 - dot(a, b),
+};
+
+/**
+ * Merge a metadata patch into a metadata object; keys set to null are removed
+ */
+function mergeMetadata(metadata, patch) {
+  const merged = { ...metadata };
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) {
+      delete merged[key];
+    } else {
+      merged[key] = value;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Serialize collections to the JSON file format
+ */
+function toJson(collections) {
+  return JSON.stringify({
+    collections: Array.from(collections.values()).map(state => ({
+      name: state.name,
+      metadata: state.metadata,
+      dimension: state.dimension,
+      records: Array.from(state.records.entries()).map(([id, record]) => ({ id, ...record })),
+    })),
+  });
+}
+
+/**
+ * Serialize collections to the binary file format
+ */
+function toBinary(collections) {
+  const embeddings = [];
+  const header = {
+    collections: Array.from(collections.values()).map(state => ({
+      name: state.name,
+      metadata: state.metadata,
+      dimension: state.dimension,
+      records: Array.from(state.records.entries()).map(([id, record]) => {
+        embeddings.push(record.embedding);
+        return { id, document: record.document, metadata: record.metadata };
+      }),
+    })),
+  };
+
+  const headerBuffer = Buffer.from(JSON.stringify(header), 'utf8');
+  const totalValues = embeddings.reduce((total, embedding) => total + embedding.length, 0);
+  const buffer = Buffer.alloc(8 + headerBuffer.length + totalValues * 4);
+
+  buffer.write(BINARY_MAGIC, 0, 'ascii');
+  buffer.writeUInt32LE(headerBuffer.length, 4);
+  headerBuffer.copy(buffer, 8);
+
+  let offset = 8 + headerBuffer.length;
+  embeddings.forEach(embedding => {
+    embedding.forEach(value => {
+      buffer.writeFloatLE(value, offset);
+      offset += 4;
+    });
+  });
+
+  return buffer;
+}
+
+/**
+ * Parse the binary file format into the JSON file structure
+ */
+function fromBinary(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== BINARY_MAGIC) {
+    throw new Error('Not a local vector store file');
+  }
+
+  const headerLength = buffer.readUInt32LE(4);
+  const header = JSON.parse(buffer.toString('utf8', 8, 8 + headerLength));
+
+  let offset = 8 + headerLength;
+  header.collections.forEach(saved => {
+    saved.records.forEach(record => {
+      record.embedding = [];
+      for (let i = 0; i < saved.dimension; i++) {
+        record.embedding.push(buffer.readFloatLE(offset));
+        offset += 4;
+      }
+    });
+  });
+
+  return header;
+}
+
+/**
+ * Create a collection handle for a collection's in-memory state
+ */
+function createCollection(state, embeddingFunction, save) {
+  /**
+   * Embed documents with the collection's embedding function
+   */
+  async function embed(texts) {
+    if (!embeddingFunction) {
+      throw new Error(`Collection '${state.name}' has no embedding function; pass embeddings or configure one`);
+    }
+    return embeddingFunction.generate(texts);
+  }
+
+  /**
+   * Check a vector against the collection dimension
+   */
+  function checkDimension(vector, label) {
+    if (state.dimension && vector.length !== state.dimension) {
+      throw new Error(`${label} dimension ${vector.length} does not match collection dimension ${state.dimension}`);
+    }
+  }
+
+  /**
+   * Check that there is one vector per id, all with the collection dimension
+   */
+  function checkVectors(ids, vectors) {
+    if (vectors.length !== ids.length) {
+      throw new Error('The number of embeddings must match the number of ids');
+    }
+    vectors.forEach(vector => {
+      if (vector.length !== vectors[0].length) {
+        throw new Error('All embeddings must have the same dimension');
+      }
+    });
+    checkDimension(vectors[0], 'Embedding');
+  }
+
+  /**
+   * Store records, embedding their documents when no embeddings are given.
+   * Without metadatas, replaced records keep their metadata.
+   */
+  async function write({ ids, embeddings, metadatas, documents }) {
+    if (ids.length === 0) {
+      return;
+    }
+    const vectors = embeddings || await embed(documents);
+    checkVectors(ids, vectors);
+
+    state.dimension = vectors[0].length;
+    ids.forEach((id, index) => {
+      const existing = state.records.get(id);
+      state.records.set(id, {
+        document: documents ? documents[index] : null,
+        metadata: metadatas ? metadatas[index] || {} : (existing && existing.metadata) || {},
+        embedding: Array.from(vectors[index]),
+      });
+    });
+
+    await save();
+  }
+
+  /**
+   * List the records matching ids, metadata and document filters
+   */
+  function filterRecords({ ids, where, whereDocument }) {
+    const entries = ids
+      ? ids.filter(id => state.records.has(id)).map(id => [id, state.records.get(id)])
+      : Array.from(state.records.entries());
+
+    return entries.filter(([, record]) =>
+      matchesWhere(where, record.metadata) && matchesWhereDocument(whereDocument, record.document)
+    );
+  }
+
+  return {
+    name: state.name,
+    metadata: state.metadata,
+
+    async add({ ids, embeddings, metadatas, documents }) {
+      const seen = new Set();
+      ids.forEach(id => {
+        if (state.records.has(id) || seen.has(id)) {
+          throw new Error(`Document ID '${id}' already exists in collection '${state.name}'`);
+        }
+        seen.add(id);
+      });
+
+      await write({ ids, embeddings, metadatas, documents });
+    },
+
+    // Insert new records and replace existing ones (keeping their metadata when none is given)
+    async upsert({ ids, embeddings, metadatas, documents }) {
+      await write({ ids, embeddings, metadatas, documents });
+    },
+
+    // Update existing records; metadata is merged, and keys set to null are removed
+    async update({ ids, embeddings, metadatas, documents }) {
+      if (ids.length === 0) {
+        return;
+      }
+      let vectors = embeddings;
+      if (!vectors && documents) {
+        vectors = await embed(documents);
+      }
+      if (vectors) {
+        checkVectors(ids, vectors);
+      }
+
+      ids.forEach((id, index) => {
+        const record = state.records.get(id);
+        if (!record) {
+          return;
+        }
+        if (documents) {
+          record.document = documents[index];
+        }
+        if (vectors) {
+          record.embedding = Array.from(vectors[index]);
+        }
+        if (metadatas && metadatas[index]) {
+          record.metadata = mergeMetadata(record.metadata, metadatas[index]);
+        }
+      });
+      if (vectors) {
+        state.dimension = vectors[0].length;
+      }
+
+      await save();
+    },
+
+    async query({ queryTexts, queryEmbeddings, nResults = 10, where, whereDocument, include }) {
+      const vectors = queryEmbeddings || await embed(queryTexts);
+      const fields = include || DEFAULT_QUERY_INCLUDE;
+      const distanceFn = DISTANCES[state.metadata['hnsw:space'] || 'cosine'];
+      const candidates = filterRecords({ where, whereDocument });
+      const results = { ids: [], documents: [], metadatas: [], distances: [], embeddings: [] };
+
+      for (const vector of vectors) {
+        checkDimension(vector, 'Query embedding');
+
+        const nearest = candidates
+          .map(([id, record]) => ({ id, record, distance: distanceFn(vector, record.embedding) }))
+          .sort((a, b) => a.distance - b.distance)
+          .slice(0, nResults);
+
+        results.ids.push(nearest.map(r => r.id));
+        results.documents.push(nearest.map(r => r.record.document));
+        results.metadatas.push(nearest.map(r => r.record.metadata));
+        results.distances.push(nearest.map(r => r.distance));
+        results.embeddings.push(nearest.map(r => r.record.embedding));
+      }
+
+      // Fields not requested are null, as in Chroma
+      ['documents', 'metadatas', 'distances', 'embeddings'].forEach(field => {
+        if (!fields.includes(field)) {
+          results[field] = null;
+        }
+      });
+
+      return results;
+    },
+
+    async get({ ids, where, whereDocument, limit, offset = 0, include } = {}) {
+      const fields = include || DEFAULT_GET_INCLUDE;
+      const records = filterRecords({ ids, where, whereDocument })
+        .slice(offset, limit !== undefined ? offset + limit : undefined);
+
+      return {
+        ids: records.map(([id]) => id),
+        documents: fields.includes('documents') ? records.map(([, record]) => record.document) : null,
+        metadatas: fields.includes('metadatas') ? records.map(([, record]) => record.metadata) : null,
+        embeddings: fields.includes('embeddings') ? records.map(([, record]) => record.embedding) : null,
+      };
+    },
+
+    async delete({ ids, where, whereDocument } = {}) {
+      const deleted = filterRecords({ ids, where, whereDocument }).map(([id]) => id);
+      deleted.forEach(id => state.records.delete(id));
+      if (deleted.length > 0) {
+        await save();
+      }
+      return deleted;
+    },
+
+    async count() {
+      return state.records.size;
+    },
+  };
+}
+
+/**
+ * Create a local store. Collections are persisted to params.path when given,
+ * in params.format ('json' or 'binary', default: json).
+ */
+function createLocalStore(params = {}) {
+  const filePath = params.path ? path.resolve(params.path) : null;
+  const format = params.format || 'json';
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Unsupported local store format: ${format}`);
+  }
+
+  // Collection state by name: { name, metadata, dimension, records: Map(id -> record) }.
+  // Records keep their insertion order, which get() returns them in.
+  const collections = new Map();
+  let loaded = false;
+  // Saves are chained so that files are written in order
+  let saving = Promise.resolve();
+
+  /**
+   * Load the collections from disk on first use
+   */
+  async function load() {
+    if (loaded) {
+      return;
+    }
+
+    if (filePath && fs.existsSync(filePath)) {
+      const content = await fs.promises.readFile(filePath);
+      const saved = format === 'binary' ? fromBinary(content) : JSON.parse(content.toString('utf8'));
+      saved.collections.forEach(collection => {
+        collections.set(collection.name, {
+          name: collection.name,
+          metadata: collection.metadata || {},
+          dimension: collection.dimension || null,
+          records: new Map(collection.records.map(({ id, ...record }) => [id, record])),
+        });
+      });
+    }
+
+    loaded = true;
+  }
+
+  /**
+   * Write the collections to disk, through a temporary file so that a
+   * failed write does not corrupt the previous snapshot
+   */
+  function save() {
+    if (!filePath) {
+      return Promise.resolve();
+    }
+
+    saving = saving.catch(() => {}).then(async () => {
+      const content = format === 'binary' ? toBinary(collections) : toJson(collections);
+      const tempPath = `${filePath}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempPath, content);
+      await fs.promises.rename(tempPath, filePath);
+    });
+    return saving;
+  }
+
+  return {
+    type: 'local',
+
+    // Load the persisted collections, failing early on an unreadable file
+    heartbeat: load,
+
+    async getOrCreateCollection({ name, metadata = {}, embeddingFunction }) {
+      await load();
+
+      if (!collections.has(name)) {
+        const distanceName = metadata['hnsw:space'] || 'cosine';
+        if (!DISTANCES[distanceName]) {
+          throw new Error(`Unsupported distance function: ${distanceName}`);
+        }
+
+        collections.set(name, { name, metadata, dimension: null, records: new Map() });
+        await save();
+      }
+
+      return createCollection(collections.get(name), embeddingFunction, save);
+    },
+
+    async getCollection({ name, embeddingFunction }) {
+      await load();
+      if (!collections.has(name)) {
+        throw new Error(`Collection '${name}' does not exist`);
+      }
+      return createCollection(collections.get(name), embeddingFunction, save);
+    },
+
+    async listCollections() {
+      await load();
+      return Array.from(collections.values())
+        .map(state => ({ name: state.name, metadata: state.metadata }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    },
+
+    async deleteCollection(name) {
+      await load();
+      if (!collections.delete(name)) {
+        throw new Error(`Collection '${name}' does not exist`);
+      }
+      await save();
+    },
+
+    async renameCollection(name, newName) {
+      await load();
+      const state = collections.get(name);
+      if (!state) {
+        throw new Error(`Collection '${name}' does not exist`);
+      }
+      if (collections.has(newName)) {
+        throw new Error(`Collection '${newName}' already exists`);
+      }
+      collections.delete(name);
+      state.name = newName;
+      collections.set(newName, state);
+      await save();
+    },
+
+    close: () => saving.catch(() => {}),
+  };
+}
+
+module.exports = {
+  createLocalStore,
+};
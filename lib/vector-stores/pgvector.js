@@ -0,0 +1,507 @@
+/**
+ * pgvector Backend
+ *
+ * Stores collections in PostgreSQL with the pgvector extension. Each
+ * collection gets its own table, registered in metis_collections; the vector
+ * column gets its dimension and an HNSW index when the first embeddings are
+ * added. An IVFFlat index is only built once the table holds enough rows to
+ * train its lists on.
+ *
+ * Collections expose the same API as Chroma collections.
+ */
+
+const crypto = require('crypto');
+const { Pool } = require('pg'); // PostgreSQL client
+const { buildPoolConfig } = require('../db-connections');
+const { whereToSql, whereDocumentToSql } = require('./where-filter');
+
+// Operator, operator class and Chroma-compatible distance expression per distance function
+const DISTANCES = {
+  cosine: { operator: '<=>', opclass: 'vector_cosine_ops', expression: d => d },
+  // Chroma reports squared L2 distances
+  l2: { operator: '<->', opclass: 'vector_l2_ops', expression: d => `power(${d}, 2)` },
+  // Chroma reports 1 - inner product; <#> returns the negative inner product
+  ip: { operator: '<#>', opclass: 'vector_ip_ops', expression: d => `1 + ${d}` },
+};
+
+const INDEX_TYPES = ['hnsw', 'ivfflat', 'none'];
+
+// Maximum length in bytes of a Postgres identifier
+const MAX_IDENTIFIER_LENGTH = 63;
+
+const INDEX_SUFFIX = '_embedding_idx';
+
+// Rows a collection needs before its IVFFlat index is built
+const IVFFLAT_MIN_ROWS = 10000;
+
+// Fields returned by query() and get() when include is not given, as in Chroma
+const DEFAULT_QUERY_INCLUDE = ['documents', 'metadatas', 'distances'];
+const DEFAULT_GET_INCLUDE = ['documents', 'metadatas'];
+
+/**
+ * Quote an SQL identifier
+ */
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Derive a unique table name from a collection name, short enough for its
+ * index name to fit in an identifier too
+ */
+function tableNameFor(collectionName) {
+  const hash = crypto.createHash('md5').update(collectionName).digest('hex').slice(0, 8);
+  const prefix = 'metis_vectors_';
+  const maxBase = MAX_IDENTIFIER_LENGTH - INDEX_SUFFIX.length - prefix.length - hash.length - 1;
+  const base = collectionName.toLowerCase().replace(/[^a-z0-9_]/g, '_').slice(0, maxBase);
+  return `${prefix}${base}_${hash}`;
+}
+
+/**
+ * Name of the vector index of a collection table
+ */
+function indexNameFor(tableName) {
+  return `${tableName}${INDEX_SUFFIX}`;
+}
+
+/**
+ * Number of IVFFlat lists for a row count, as recommended by pgvector:
+ * rows / 1000 up to a million rows, the square root above
+ */
+function ivfflatLists(rows) {
+  return rows <= 1000000 ? Math.max(1, Math.floor(rows / 1000)) : Math.floor(Math.sqrt(rows));
+}
+
+/**
+ * Format a vector as pgvector input
+ */
+function toVector(values) {
+  return `[${values.join(',')}]`;
+}
+
+/**
+ * Create a parameter list whose addParam(value) returns the next placeholder
+ */
+function createParams(initial = []) {
+  const values = [...initial];
+  return {
+    values,
+    addParam: value => {
+      values.push(value);
+      return `$${values.length}`;
+    },
+  };
+}
+
+/**
+ * Run a function in a transaction on a dedicated client
+ */
+async function inTransaction(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Create a collection handle for a metis_collections row
+ */
+function createCollection(pool, schema, row, embeddingFunction) {
+  const table = `${quoteIdentifier(schema)}.${quoteIdentifier(row.table_name)}`;
+  const distance = DISTANCES[row.distance];
+
+  /**
+   * Embed documents with the collection's embedding function
+   */
+  async function embed(texts) {
+    if (!embeddingFunction) {
+      throw new Error(`Collection '${row.name}' has no embedding function; pass embeddings or configure one`);
+    }
+    return embeddingFunction.generate(texts);
+  }
+
+  /**
+   * Fix the vector dimension on first use and create the vector index
+   */
+  async function ensureDimension(dimension) {
+    if (row.dimension) {
+      if (row.dimension !== dimension) {
+        throw new Error(`Embedding dimension ${dimension} does not match collection dimension ${row.dimension}`);
+      }
+      return;
+    }
+
+    await inTransaction(pool, async client => {
+      const claimed = await client.query(
+        `UPDATE ${quoteIdentifier(schema)}.metis_collections SET dimension = $1
+         WHERE name = $2 AND dimension IS NULL RETURNING dimension`,
+        [dimension, row.name]
+      );
+
+      if (claimed.rows.length > 0) {
+        await client.query(`ALTER TABLE ${table} ALTER COLUMN embedding TYPE vector(${Number(dimension)})`);
+        if (row.index_type === 'hnsw') {
+          await client.query(
+            `CREATE INDEX ${quoteIdentifier(indexNameFor(row.table_name))} ON ${table} USING hnsw (embedding ${distance.opclass})`
+          );
+        }
+      }
+    });
+
+    // Another caller may have fixed a different dimension first
+    const current = await pool.query(
+      `SELECT dimension FROM ${quoteIdentifier(schema)}.metis_collections WHERE name = $1`,
+      [row.name]
+    );
+    row.dimension = current.rows[0].dimension;
+    if (row.dimension !== dimension) {
+      throw new Error(`Embedding dimension ${dimension} does not match collection dimension ${row.dimension}`);
+    }
+  }
+
+  /**
+   * Build the IVFFlat index once the table has IVFFLAT_MIN_ROWS rows. Its
+   * lists are trained on the rows present when it is built, so built on the
+   * first, near-empty batch it would be useless.
+   */
+  async function ensureIvfflatIndex() {
+    if (row.index_type !== 'ivfflat' || row.indexed) {
+      return;
+    }
+
+    const indexName = indexNameFor(row.table_name);
+    const existing = await pool.query('SELECT to_regclass($1) IS NOT NULL AS exists', [
+      `${quoteIdentifier(schema)}.${quoteIdentifier(indexName)}`,
+    ]);
+    if (existing.rows[0].exists) {
+      row.indexed = true;
+      return;
+    }
+
+    const count = (await pool.query(`SELECT count(*)::int AS count FROM ${table}`)).rows[0].count;
+    if (count < IVFFLAT_MIN_ROWS) {
+      return;
+    }
+    await pool.query(
+      `CREATE INDEX IF NOT EXISTS ${quoteIdentifier(indexName)} ON ${table} ` +
+      `USING ivfflat (embedding ${distance.opclass}) WITH (lists = ${ivfflatLists(count)})`
+    );
+    row.indexed = true;
+  }
+
+  /**
+   * Check that there is one vector per id and that all have the same dimension
+   */
+  function checkVectors(ids, vectors) {
+    if (vectors.length !== ids.length) {
+      throw new Error('The number of embeddings must match the number of ids');
+    }
+    vectors.forEach(vector => {
+      if (vector.length !== vectors[0].length) {
+        throw new Error('All embeddings must have the same dimension');
+      }
+    });
+  }
+
+  /**
+   * Insert records, embedding their documents when no embeddings are given.
+   * onConflict is appended to the INSERT statement.
+   */
+  async function write({ ids, embeddings, metadatas, documents }, onConflict) {
+    const vectors = embeddings || await embed(documents);
+    checkVectors(ids, vectors);
+    await ensureDimension(vectors[0].length);
+
+    await pool.query(
+      `INSERT INTO ${table} (id, document, metadata, embedding)
+       SELECT * FROM unnest($1::text[], $2::text[], $3::jsonb[], $4::vector[])${onConflict}`,
+      [
+        ids,
+        documents || ids.map(() => null),
+        (metadatas || ids.map(() => ({}))).map(metadata => JSON.stringify(metadata || {})),
+        vectors.map(toVector),
+      ]
+    );
+    await ensureIvfflatIndex();
+  }
+
+  /**
+   * Build the WHERE clause for ids, metadata and document filters
+   */
+  function buildFilters({ ids, where, whereDocument }, addParam) {
+    const conditions = [
+      whereToSql(where, 'metadata', addParam),
+      whereDocumentToSql(whereDocument, 'document', addParam),
+    ];
+    if (ids) {
+      conditions.push(`id = ANY(${addParam(ids)}::text[])`);
+    }
+    return conditions.filter(condition => condition !== 'TRUE').join(' AND ') || 'TRUE';
+  }
+
+  return {
+    name: row.name,
+    metadata: row.metadata,
+
+    async add({ ids, embeddings, metadatas, documents }) {
+      await write({ ids, embeddings, metadatas, documents }, '');
+    },
+
+    // Insert new records and replace existing ones (keeping their metadata when none is given)
+    async upsert({ ids, embeddings, metadatas, documents }) {
+      await write(
+        { ids, embeddings, metadatas, documents },
+        ` ON CONFLICT (id) DO UPDATE
+          SET document = EXCLUDED.document, embedding = EXCLUDED.embedding${metadatas ? ', metadata = EXCLUDED.metadata' : ''}`
+      );
+    },
+
+    // Update existing records; metadata is merged, and keys set to null are removed
+    async update({ ids, embeddings, metadatas, documents }) {
+      let vectors = embeddings;
+      if (!vectors && documents) {
+        vectors = await embed(documents);
+      }
+      if (vectors) {
+        checkVectors(ids, vectors);
+        await ensureDimension(vectors[0].length);
+      }
+
+      await inTransaction(pool, async client => {
+        for (let index = 0; index < ids.length; index++) {
+          const { values, addParam } = createParams([ids[index]]);
+          const assignments = [];
+
+          if (documents) {
+            assignments.push(`document = ${addParam(documents[index])}`);
+          }
+          if (vectors) {
+            assignments.push(`embedding = ${addParam(toVector(vectors[index]))}::vector`);
+          }
+          if (metadatas && metadatas[index]) {
+            const patch = metadatas[index];
+            const removed = Object.keys(patch).filter(key => patch[key] === null);
+            assignments.push(
+              `metadata = (metadata || ${addParam(JSON.stringify(patch))}::jsonb) - ${addParam(removed)}::text[]`
+            );
+          }
+
+          if (assignments.length > 0) {
+            await client.query(`UPDATE ${table} SET ${assignments.join(', ')} WHERE id = $1`, values);
+          }
+        }
+      });
+    },
+
+    async query({ queryTexts, queryEmbeddings, nResults = 10, where, whereDocument, include }) {
+      const vectors = queryEmbeddings || await embed(queryTexts);
+      const fields = include || DEFAULT_QUERY_INCLUDE;
+      const results = { ids: [], documents: [], metadatas: [], distances: [], embeddings: [] };
+
+      for (const vector of vectors) {
+        if (row.dimension && vector.length !== row.dimension) {
+          throw new Error(`Query embedding dimension ${vector.length} does not match collection dimension ${row.dimension}`);
+        }
+
+        const { values, addParam } = createParams([toVector(vector), nResults]);
+        const filters = buildFilters({ where, whereDocument }, addParam);
+        const distanceSql = `embedding ${distance.operator} $1::vector`;
+
+        const result = await pool.query(
+          `SELECT id, document, metadata, embedding::text AS embedding, ${distance.expression(distanceSql)} AS distance
+           FROM ${table}
+           WHERE embedding IS NOT NULL AND ${filters}
+           ORDER BY ${distanceSql}
+           LIMIT $2`,
+          values
+        );
+
+        results.ids.push(result.rows.map(r => r.id));
+        results.documents.push(result.rows.map(r => r.document));
+        results.metadatas.push(result.rows.map(r => r.metadata));
+        results.distances.push(result.rows.map(r => Number(r.distance)));
+        results.embeddings.push(result.rows.map(r => JSON.parse(r.embedding)));
+      }
+
+      // Fields not requested are null, as in Chroma
+      ['documents', 'metadatas', 'distances', 'embeddings'].forEach(field => {
+        if (!fields.includes(field)) {
+          results[field] = null;
+        }
+      });
+
+      return results;
+    },
+
+    async get({ ids, where, whereDocument, limit, offset, include } = {}) {
+      const fields = include || DEFAULT_GET_INCLUDE;
+      const { values, addParam } = createParams();
+      const filters = buildFilters({ ids, where, whereDocument }, addParam);
+      const limitSql = limit !== undefined ? ` LIMIT ${addParam(limit)}` : '';
+      const offsetSql = offset ? ` OFFSET ${addParam(offset)}` : '';
+
+      const result = await pool.query(
+        `SELECT id, document, metadata, embedding::text AS embedding
+         FROM ${table}
+         WHERE ${filters}
+         ORDER BY id${limitSql}${offsetSql}`,
+        values
+      );
+
+      return {
+        ids: result.rows.map(r => r.id),
+        documents: fields.includes('documents') ? result.rows.map(r => r.document) : null,
+        metadatas: fields.includes('metadatas') ? result.rows.map(r => r.metadata) : null,
+        embeddings: fields.includes('embeddings')
+          ? result.rows.map(r => (r.embedding ? JSON.parse(r.embedding) : null))
+          : null,
+      };
+    },
+
+    async delete({ ids, where, whereDocument } = {}) {
+      const { values, addParam } = createParams();
+      const filters = buildFilters({ ids, where, whereDocument }, addParam);
+      const result = await pool.query(`DELETE FROM ${table} WHERE ${filters} RETURNING id`, values);
+      return result.rows.map(r => r.id);
+    },
+
+    async count() {
+      const result = await pool.query(`SELECT count(*)::int AS count FROM ${table}`);
+      return result.rows[0].count;
+    },
+  };
+}
+
+/**
+ * Create a pgvector store from connection parameters
+ * (profile, connectionString, or host/database/user/password)
+ */
+function createPgvectorStore(params) {
+  const pool = new Pool(buildPoolConfig(params));
+  const schema = params.schema || 'public';
+  const registry = `${quoteIdentifier(schema)}.metis_collections`;
+
+  /**
+   * Read the registry row of a collection, failing when there is none
+   */
+  async function getRow(name) {
+    const result = await pool.query(`SELECT * FROM ${registry} WHERE name = $1`, [name]);
+    if (result.rows.length === 0) {
+      throw new Error(`Collection '${name}' does not exist`);
+    }
+    return result.rows[0];
+  }
+
+  return {
+    type: 'pgvector',
+
+    // Test the connection and create the extension and collection registry
+    async heartbeat() {
+      await pool.query('CREATE EXTENSION IF NOT EXISTS vector');
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS ${registry} (
+          name text PRIMARY KEY,
+          table_name text NOT NULL UNIQUE,
+          metadata jsonb NOT NULL DEFAULT '{}',
+          dimension integer,
+          distance text NOT NULL DEFAULT 'cosine',
+          index_type text NOT NULL DEFAULT 'hnsw',
+          created_at timestamptz NOT NULL DEFAULT now()
+        )
+      `);
+    },
+
+    async getOrCreateCollection({ name, metadata = {}, embeddingFunction, indexType = 'hnsw' }) {
+      const distanceName = metadata['hnsw:space'] || 'cosine';
+      if (!DISTANCES[distanceName]) {
+        throw new Error(`Unsupported distance function: ${distanceName}`);
+      }
+      if (!INDEX_TYPES.includes(indexType)) {
+        throw new Error(`Unsupported index type: ${indexType}`);
+      }
+
+      const tableName = tableNameFor(name);
+      await pool.query(
+        `INSERT INTO ${registry} (name, table_name, metadata, distance, index_type)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (name) DO NOTHING`,
+        [name, tableName, JSON.stringify(metadata), distanceName, indexType]
+      );
+
+      const result = await pool.query(`SELECT * FROM ${registry} WHERE name = $1`, [name]);
+      const row = result.rows[0];
+
+      await pool.query(`
+        CREATE TABLE IF NOT EXISTS ${quoteIdentifier(schema)}.${quoteIdentifier(row.table_name)} (
+          id text PRIMARY KEY,
+          document text,
+          metadata jsonb NOT NULL DEFAULT '{}',
+          embedding vector
+        )
+      `);
+
+      return createCollection(pool, schema, row, embeddingFunction);
+    },
+
+    async getCollection({ name, embeddingFunction }) {
+      return createCollection(pool, schema, await getRow(name), embeddingFunction);
+    },
+
+    async listCollections() {
+      const result = await pool.query(`SELECT name, metadata FROM ${registry} ORDER BY name`);
+      return result.rows.map(row => ({ name: row.name, metadata: row.metadata }));
+    },
+
+    async deleteCollection(name) {
+      await inTransaction(pool, async client => {
+        const result = await client.query(`DELETE FROM ${registry} WHERE name = $1 RETURNING table_name`, [name]);
+        if (result.rows.length === 0) {
+          throw new Error(`Collection '${name}' does not exist`);
+        }
+        await client.query(
+          `DROP TABLE IF EXISTS ${quoteIdentifier(schema)}.${quoteIdentifier(result.rows[0].table_name)}`
+        );
+      });
+    },
+
+    // The table is renamed too, so that the old name can be reused
+    async renameCollection(name, newName) {
+      await inTransaction(pool, async client => {
+        const row = (await client.query(`SELECT * FROM ${registry} WHERE name = $1 FOR UPDATE`, [name])).rows[0];
+        if (!row) {
+          throw new Error(`Collection '${name}' does not exist`);
+        }
+
+        const tableName = tableNameFor(newName);
+        await client.query(
+          `UPDATE ${registry} SET name = $1, table_name = $2 WHERE name = $3`,
+          [newName, tableName, name]
+        );
+        await client.query(
+          `ALTER TABLE ${quoteIdentifier(schema)}.${quoteIdentifier(row.table_name)} RENAME TO ${quoteIdentifier(tableName)}`
+        );
+        await client.query(
+          `ALTER INDEX IF EXISTS ${quoteIdentifier(schema)}.${quoteIdentifier(indexNameFor(row.table_name))} ` +
+          `RENAME TO ${quoteIdentifier(indexNameFor(tableName))}`
+        );
+      });
+    },
+
+    close: () => pool.end(),
+  };
+}
+
+module.exports = {
+  tableNameFor,
+  indexNameFor,
+  ivfflatLists,
+  createPgvectorStore,
+};
@@ -0,0 +1,224 @@
+/**
+ * Where Filters
+ *
+ * Translates Chroma-style metadata filters into SQL, or evaluates them
+ * against records held in memory.
+ *
+ * Supported syntax (same as Chroma):
+ *   { field: value }                        -> field equals value
+ *   { field: { $eq | $ne: value } }
+ *   { field: { $gt | $gte | $lt | $lte: number } }
+ *   { field: { $in | $nin: [values] } }
+ *   { $and: [filters] }, { $or: [filters] }
+ *
+ * Document filters:
+ *   { $contains: text }, { $not_contains: text }, { $and: [...] }, { $or: [...] }
+ *
+ * A condition on a field only matches documents that have the field.
+ */
+
+const { isDeepStrictEqual } = require('util');
+
+const COMPARISON_OPERATORS = {
+  $gt: '>',
+  $gte: '>=',
+  $lt: '<',
+  $lte: '<=',
+};
+
+/**
+ * Combine a list of conditions with a logical operator
+ */
+function combine(conditions, operator) {
+  if (conditions.length === 0) {
+    return 'TRUE';
+  }
+  return conditions.length === 1 ? conditions[0] : `(${conditions.join(` ${operator} `)})`;
+}
+
+/**
+ * Build the SQL condition for one field and operator
+ */
+function fieldCondition(field, operator, value, column, addParam) {
+  const key = addParam(field);
+  const fieldValue = `${column} -> ${key}`;
+
+  switch (operator) {
+    case '$eq':
+      return `${fieldValue} = ${addParam(JSON.stringify(value))}::jsonb`;
+    case '$ne':
+      return `(${column} ? ${key} AND ${fieldValue} <> ${addParam(JSON.stringify(value))}::jsonb)`;
+    case '$in':
+      return `${addParam(JSON.stringify(value))}::jsonb @> jsonb_build_array(${fieldValue})`;
+    case '$nin':
+      return `(${column} ? ${key} AND NOT ${addParam(JSON.stringify(value))}::jsonb @> jsonb_build_array(${fieldValue}))`;
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte':
+      if (typeof value !== 'number') {
+        throw new Error(`Operator ${operator} requires a number for field '${field}'`);
+      }
+      // Only numeric values can be compared; the CASE keeps the cast from failing on other types
+      return `(CASE WHEN jsonb_typeof(${fieldValue}) = 'number' ` +
+        `THEN (${column} ->> ${key})::numeric ${COMPARISON_OPERATORS[operator]} ${addParam(value)} ELSE FALSE END)`;
+    default:
+      throw new Error(`Unsupported where operator: ${operator}`);
+  }
+}
+
+/**
+ * Translate a metadata filter into a SQL condition.
+ * addParam(value) registers a query parameter and returns its placeholder.
+ */
+function whereToSql(where, column, addParam) {
+  if (!where || Object.keys(where).length === 0) {
+    return 'TRUE';
+  }
+
+  const conditions = Object.entries(where).map(([key, value]) => {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(value)) {
+        throw new Error(`${key} requires an array of filters`);
+      }
+      const nested = value.map(filter => whereToSql(filter, column, addParam));
+      return combine(nested, key === '$and' ? 'AND' : 'OR');
+    }
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      const operators = Object.entries(value);
+      return combine(
+        operators.map(([operator, operand]) => fieldCondition(key, operator, operand, column, addParam)),
+        'AND'
+      );
+    }
+
+    return fieldCondition(key, '$eq', value, column, addParam);
+  });
+
+  return combine(conditions, 'AND');
+}
+
+/**
+ * Translate a document filter into a SQL condition
+ */
+function whereDocumentToSql(whereDocument, column, addParam) {
+  if (!whereDocument || Object.keys(whereDocument).length === 0) {
+    return 'TRUE';
+  }
+
+  const conditions = Object.entries(whereDocument).map(([operator, value]) => {
+    switch (operator) {
+      case '$contains':
+        return `strpos(${column}, ${addParam(value)}) > 0`;
+      case '$not_contains':
+        return `strpos(${column}, ${addParam(value)}) = 0`;
+      case '$and':
+      case '$or':
+        return combine(
+          value.map(filter => whereDocumentToSql(filter, column, addParam)),
+          operator === '$and' ? 'AND' : 'OR'
+        );
+      default:
+        throw new Error(`Unsupported document filter operator: ${operator}`);
+    }
+  });
+
+  return combine(conditions, 'AND');
+}
+
+/**
+ * Evaluate one field operator against a metadata object
+ */
+function fieldMatches(metadata, field, operator, value) {
+  const present = Object.prototype.hasOwnProperty.call(metadata, field);
+  const fieldValue = metadata[field];
+
+  switch (operator) {
+    case '$eq':
+      return present && isDeepStrictEqual(fieldValue, value);
+    case '$ne':
+      return present && !isDeepStrictEqual(fieldValue, value);
+    case '$in':
+      return present && value.some(item => isDeepStrictEqual(fieldValue, item));
+    case '$nin':
+      return present && !value.some(item => isDeepStrictEqual(fieldValue, item));
+    case '$gt':
+    case '$gte':
+    case '$lt':
+    case '$lte':
+      if (typeof value !== 'number') {
+        throw new Error(`Operator ${operator} requires a number for field '${field}'`);
+      }
+      if (typeof fieldValue !== 'number') {
+        return false;
+      }
+      return {
+        $gt: fieldValue > value,
+        $gte: fieldValue >= value,
+        $lt: fieldValue < value,
+        $lte: fieldValue <= value,
+      }[operator];
+    default:
+      throw new Error(`Unsupported where operator: ${operator}`);
+  }
+}
+
+/**
+ * Check whether a metadata object matches a metadata filter
+ */
+function matchesWhere(where, metadata) {
+  if (!where || Object.keys(where).length === 0) {
+    return true;
+  }
+
+  const values = metadata || {};
+  return Object.entries(where).every(([key, value]) => {
+    if (key === '$and' || key === '$or') {
+      if (!Array.isArray(value)) {
+        throw new Error(`${key} requires an array of filters`);
+      }
+      return key === '$and'
+        ? value.every(filter => matchesWhere(filter, values))
+        : value.length === 0 || value.some(filter => matchesWhere(filter, values));
+    }
+
+    if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+      return Object.entries(value).every(([operator, operand]) => fieldMatches(values, key, operator, operand));
+    }
+
+    return fieldMatches(values, key, '$eq', value);
+  });
+}
+
+/**
+ * Check whether a document matches a document filter.
+ * As in SQL, documents without text match neither $contains nor $not_contains.
+ */
+function matchesWhereDocument(whereDocument, document) {
+  if (!whereDocument || Object.keys(whereDocument).length === 0) {
+    return true;
+  }
+
+  return Object.entries(whereDocument).every(([operator, value]) => {
+    switch (operator) {
+      case '$contains':
+        return typeof document === 'string' && document.includes(value);
+      case '$not_contains':
+        return typeof document === 'string' && !document.includes(value);
+      case '$and':
+        return value.every(filter => matchesWhereDocument(filter, document));
+      case '$or':
+        return value.length === 0 || value.some(filter => matchesWhereDocument(filter, document));
+      default:
+        throw new Error(`Unsupported document filter operator: ${operator}`);
+    }
+  });
+}
+
+module.exports = {
+  whereToSql,
+  whereDocumentToSql,
+  matchesWhere,
+  matchesWhereDocument,
+};
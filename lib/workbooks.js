@@ -0,0 +1,65 @@
+/**
+ * Workbooks
+ *
+ * Reads the sheets of XLSX workbooks as rows of cell text, for the loader
+ * and table extraction. Workbooks are usually uploads, so their size is
+ * checked before they are unzipped and parsed.
+ */
+
+const ExcelJS = require('exceljs');
+
+// Largest workbook read, in bytes
+const MAX_WORKBOOK_BYTES = 20 * 1024 * 1024;
+
+/**
+ * Text of a cell: the result of formulas, dates as ISO 8601 (without the
+ * time at midnight), anything else as exceljs renders it
+ */
+function cellText(cell) {
+  const value = cell.type === ExcelJS.ValueType.Formula ? cell.result : cell.value;
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+  }
+  return cell.text;
+}
+
+/**
+ * Read the sheets of a workbook. Returns their name and their non-blank
+ * rows, each with its row number as shown in the spreadsheet (line) and
+ * its fields from the first to the last used column of the sheet.
+ */
+async function readWorkbook(buffer, { maxBytes = MAX_WORKBOOK_BYTES } = {}) {
+  if (buffer.length > maxBytes) {
+    throw new Error(`Workbook too large: ${buffer.length} bytes, the limit is ${maxBytes}`);
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  return workbook.worksheets.map(worksheet => {
+    const cells = [];
+    worksheet.eachRow((row, line) => {
+      const texts = new Map();
+      row.eachCell((cell, column) => texts.set(column, cellText(cell)));
+      if (Array.from(texts.values()).some(text => text.trim())) {
+        cells.push({ line, texts });
+      }
+    });
+
+    const columns = cells.flatMap(row => Array.from(row.texts.keys()));
+    const firstColumn = Math.min(...columns);
+    const lastColumn = Math.max(...columns);
+    const rows = cells.map(({ line, texts }) => ({
+      line,
+      fields: Array.from({ length: lastColumn - firstColumn + 1 }, (_, index) => texts.get(firstColumn + index) || ''),
+    }));
+
+    return { sheet: worksheet.name, rows };
+  });
+}
+
+module.exports = {
+  MAX_WORKBOOK_BYTES,
+  readWorkbook,
+};
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { chromaStore } = require('../lib/vector-stores/chroma');
+
+test('listCollections reads names and metadata, sorted by name', async () => {
+  const store = chromaStore({
+    listCollectionsAndMetadata: async () => [
+      { name: 'notes', id: '2', metadata: { 'metis:embedder': 'hash' } },
+      { name: 'docs', id: '1', metadata: null },
+    ],
+  });
+  assert.deepStrictEqual(await store.listCollections(), [
+    { name: 'docs', metadata: {} },
+    { name: 'notes', metadata: { 'metis:embedder': 'hash' } },
+  ]);
+});
+
+test('listCollections accepts clients that only return names', async () => {
+  const store = chromaStore({ listCollections: async () => ['notes', 'docs'] });
+  assert.deepStrictEqual(await store.listCollections(), [
+    { name: 'docs', metadata: {} },
+    { name: 'notes', metadata: {} },
+  ]);
+});
+
+/**
+ * A Chroma collection whose delete() returns nothing, as in chromadb 1.10
+ */
+function fakeCollection(records) {
+  return {
+    name: 'docs',
+    metadata: { 'metis:embedder': 'hash' },
+    deleteCalls: [],
+    async get({ ids, where }) {
+      const matching = Object.keys(records).filter(id => (!ids || ids.includes(id)) &&
+        (!where || Object.entries(where).every(([key, value]) => records[id][key] === value)));
+      return { ids: matching, documents: null, metadatas: null, embeddings: null };
+    },
+    async delete({ ids }) {
+      this.deleteCalls.push(ids);
+      ids.forEach(id => delete records[id]);
+    },
+    async count() {
+      return Object.keys(records).length;
+    },
+  };
+}
+
+test('delete returns the ids of the deleted records', async () => {
+  const raw = fakeCollection({ a: { source: 'a.md' }, b: { source: 'b.md' }, c: { source: 'a.md' } });
+  const store = chromaStore({ getOrCreateCollection: async () => raw, getCollection: async () => raw });
+  const collection = await store.getOrCreateCollection({ name: 'docs' });
+
+  assert.deepStrictEqual(await collection.delete({ where: { source: 'a.md' } }), ['a', 'c']);
+  assert.deepStrictEqual(await collection.delete({ ids: ['b', 'missing'] }), ['b']);
+  assert.deepStrictEqual(await (await store.getCollection({ name: 'docs' })).delete({ ids: ['a'] }), []);
+  assert.deepStrictEqual(raw.deleteCalls, [['a', 'c'], ['b']]);
+
+  // Everything else is Chroma's own collection
+  assert.strictEqual(collection.name, 'docs');
+  assert.strictEqual(await collection.count(), 0);
+});
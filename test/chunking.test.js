@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { defaultChunkOverlap, lineRange, chunkDocument } = require('../lib/chunking');
+
+const guide = '---\ntitle: Guide\ntags: [setup]\n---\n\n# Install\n\nRun the installer.\n\n## Configure\n\nEdit the file.\n';
+
+test('the default overlap scales with the chunk size', () => {
+  assert.strictEqual(defaultChunkOverlap(1000), 200);
+  assert.strictEqual(defaultChunkOverlap(4000), 200);
+  assert.strictEqual(defaultChunkOverlap(128), 25);
+});
+
+test('small token chunks work without an explicit overlap', async () => {
+  const { chunks, statistics } = await chunkDocument('word '.repeat(400), { strategy: 'token', chunkSize: 128 });
+  assert.ok(chunks.length > 1);
+  assert.strictEqual(statistics.unit, 'tokens');
+  assert.strictEqual(statistics.oversizedChunks, 0);
+});
+
+test('an overlap of 0 gives adjacent chunks', async () => {
+  const text = Array.from({ length: 30 }, (_, index) => `Paragraph ${index} of the text.`).join('\n\n');
+  const { chunks } = await chunkDocument(text, { chunkSize: 100, chunkOverlap: 0 });
+  for (let index = 1; index < chunks.length; index++) {
+    assert.ok(chunks[index].metadata.startOffset >= chunks[index - 1].metadata.endOffset);
+  }
+  await assert.rejects(chunkDocument(text, { chunkSize: 100, chunkOverlap: 100 }), /must be smaller than chunkSize/);
+});
+
+test('the markdown strategy leaves front matter out and keeps heading paths', async () => {
+  const { chunks, statistics } = await chunkDocument(guide, { strategy: 'markdown', chunkSize: 200 });
+  assert.deepStrictEqual(chunks.map(chunk => chunk.text), ['# Install\n\nRun the installer.', '## Configure\n\nEdit the file.']);
+  assert.deepStrictEqual(chunks.map(chunk => chunk.metadata.headingPath), ['Install', 'Install > Configure']);
+  assert.strictEqual(statistics.sections, 2);
+  assert.strictEqual(statistics.frontMatter, 'yaml');
+});
+
+test('chunks carry the page they start and end on', async () => {
+  const text = 'First page text.\n\nSecond page text.';
+  const segments = [{ page: 1, startOffset: 0 }, { page: 2, startOffset: 18 }];
+  const { chunks } = await chunkDocument(text, { chunkSize: 100, metadata: { source: 'a.pdf' }, segments });
+  assert.deepStrictEqual(chunks[0].metadata, { source: 'a.pdf', startOffset: 0, endOffset: 35, page: 1, endPage: 2 });
+  assert.deepStrictEqual(lineRange(text, 18, 35), { from: 3, to: 3 });
+});
+
+test('unknown strategies are rejected', async () => {
+  await assert.rejects(chunkDocument('text', { strategy: 'semantic' }), /Unsupported chunking strategy: semantic/);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  encodeEmbedding,
+  decodeEmbedding,
+  exportCollection,
+  readManifest,
+  importCollection,
+} = require('../lib/collection-archive');
+const { createLocalStore } = require('../lib/vector-stores/local');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metis-archive-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * A local collection with five records of dimension 2
+ */
+async function sourceCollection() {
+  const store = createLocalStore();
+  const collection = await store.getOrCreateCollection({
+    name: 'docs',
+    metadata: { 'metis:embedder': 'hash', 'metis:dimension': 2 },
+  });
+  await collection.add({
+    ids: ['1', '2', '3', '4', '5'],
+    embeddings: [[0.5, 1], [1, 0], [0, 1], [0.25, 0.75], [1, 1]],
+    documents: ['one', 'two', 'three', 'four', null],
+    metadatas: [{ n: 1 }, { n: 2 }, { n: 3 }, { n: 4 }, {}],
+  });
+  return collection;
+}
+
+test('embeddings round-trip through base64 float32', () => {
+  assert.deepStrictEqual(decodeEmbedding(encodeEmbedding([0.5, -2, 0])), [0.5, -2, 0]);
+});
+
+test('an exported collection imports into another store', async () => {
+  const archive = path.join(directory, 'roundtrip');
+  const manifest = await exportCollection(await sourceCollection(), archive, { backend: 'local', batchSize: 2 });
+  assert.strictEqual(manifest.count, 5);
+  assert.strictEqual(manifest.dimension, 2);
+  assert.deepStrictEqual(manifest.embedder, { type: 'hash', modelName: undefined, dimension: 2 });
+  assert.strictEqual((await readManifest(archive)).collection, 'docs');
+
+  const target = createLocalStore();
+  const result = await importCollection(archive, (name, metadata) => target.getOrCreateCollection({ name, metadata }), {
+    name: 'copy',
+    batchSize: 2,
+  });
+  assert.deepStrictEqual(result, { collection: 'copy', imported: 5, skipped: 0, total: 5 });
+
+  const copy = await target.getCollection({ name: 'copy' });
+  const records = await copy.get({ include: ['documents', 'metadatas', 'embeddings'] });
+  assert.deepStrictEqual(records.ids, ['1', '2', '3', '4', '5']);
+  assert.deepStrictEqual(records.documents, ['one', 'two', 'three', 'four', null]);
+  assert.deepStrictEqual(records.metadatas[3], { n: 4 });
+  assert.deepStrictEqual(records.embeddings[3], [0.25, 0.75]);
+});
+
+test('a failed import resumes after the last imported batch', async () => {
+  const archive = path.join(directory, 'resume');
+  await exportCollection(await sourceCollection(), archive);
+
+  const target = createLocalStore();
+  const real = await target.getOrCreateCollection({ name: 'docs' });
+  let upserts = 0;
+  const failing = { ...real, upsert: async (records) => {
+    if (++upserts === 2) {
+      throw new Error('connection lost');
+    }
+    return real.upsert(records);
+  } };
+
+  await assert.rejects(
+    importCollection(archive, async () => failing, { batchSize: 2 }),
+    error => error.message === 'connection lost' && error.resumeFrom === 2
+  );
+  assert.strictEqual(await real.count(), 2);
+
+  const result = await importCollection(archive, async () => real, { batchSize: 2 });
+  assert.deepStrictEqual(result, { collection: 'docs', imported: 3, skipped: 2, total: 5 });
+  assert.strictEqual(await real.count(), 5);
+  assert.strictEqual(fs.readdirSync(archive).some(file => file.startsWith('import-progress')), false);
+});
+
+test('imports reject archives of another dimension', async () => {
+  const archive = path.join(directory, 'dimension');
+  await exportCollection(await sourceCollection(), archive);
+
+  const target = createLocalStore();
+  const other = await target.getOrCreateCollection({ name: 'docs', metadata: { 'metis:embedder': 'hash', 'metis:dimension': 3 } });
+  await assert.rejects(importCollection(archive, async () => other), /Archive has dimension 2/);
+  await assert.rejects(readManifest(directory), /ENOENT/);
+});
@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { describeTable, describeDatabase, formatDatabase } = require('../lib/db-introspection');
+
+/**
+ * A database whose catalog queries return canned rows, picked by the
+ * catalog table each query reads
+ */
+function fakeDb(results) {
+  return {
+    async query(sql) {
+      const match = Object.keys(results).find(key => sql.includes(key));
+      return { rows: match ? results[match] : [] };
+    },
+  };
+}
+
+test('describeTable maps keys, foreign key actions and indexes', async () => {
+  const db = fakeDb({
+    'c.relkind IN': [{ oid: 42, relkind: 'r', reltuples: '1234.4', comment: 'Orders', definition: null }],
+    'col_description': [
+      { column_name: 'id', data_type: 'integer', is_nullable: 'NO', column_default: null, comment: null },
+    ],
+    'pg_constraint con': [
+      { name: 'orders_pkey', type: 'p', columns: ['id'] },
+      { name: 'orders_number_key', type: 'u', columns: ['number'] },
+      {
+        name: 'orders_customer_fkey',
+        type: 'f',
+        columns: ['customer_id'],
+        referenced_schema: 'public',
+        referenced_table: 'customers',
+        referenced_columns: ['id'],
+        on_update: 'a',
+        on_delete: 'c',
+      },
+    ],
+    'pg_index ix': [
+      { name: 'orders_pkey', is_unique: true, is_primary: true, method: 'btree', definition: 'CREATE UNIQUE INDEX ...' },
+    ],
+  });
+
+  const table = await describeTable(db, 'public', 'orders');
+  assert.strictEqual(table.tableType, 'table');
+  assert.strictEqual(table.rowEstimate, 1234);
+  assert.strictEqual(table.definition, undefined);
+  assert.deepStrictEqual(table.primaryKey, { name: 'orders_pkey', columns: ['id'] });
+  assert.deepStrictEqual(table.uniqueConstraints, [{ name: 'orders_number_key', columns: ['number'] }]);
+  assert.deepStrictEqual(table.foreignKeys, [{
+    name: 'orders_customer_fkey',
+    columns: ['customer_id'],
+    referencedSchema: 'public',
+    referencedTable: 'customers',
+    referencedColumns: ['id'],
+    onUpdate: 'NO ACTION',
+    onDelete: 'CASCADE',
+  }]);
+  assert.deepStrictEqual(table.indexes[0], {
+    name: 'orders_pkey', unique: true, primary: true, method: 'btree', definition: 'CREATE UNIQUE INDEX ...',
+  });
+});
+
+test('describeTable returns null for unknown relations and no estimate before ANALYZE', async () => {
+  assert.strictEqual(await describeTable(fakeDb({}), 'public', 'missing'), null);
+
+  const view = await describeTable(fakeDb({
+    'c.relkind IN': [{ oid: 7, relkind: 'v', reltuples: '-1', comment: null, definition: ' SELECT 1;' }],
+  }), 'public', 'v');
+  assert.strictEqual(view.tableType, 'view');
+  assert.strictEqual(view.rowEstimate, null);
+  assert.strictEqual(view.definition, ' SELECT 1;');
+  assert.strictEqual(view.primaryKey, null);
+});
+
+test('describeDatabase groups columns and hides filtered relations and their foreign keys', async () => {
+  const db = fakeDb({
+    'obj_description': [
+      { schema: 'public', name: 'customers', relkind: 'r', reltuples: '10', comment: null },
+      { schema: 'public', name: 'orders', relkind: 'r', reltuples: '-1', comment: 'Orders' },
+      { schema: 'public', name: 'secrets', relkind: 'r', reltuples: '1', comment: null },
+    ],
+    'is_primary': [
+      { schema: 'public', relation: 'customers', name: 'id', data_type: 'integer', not_null: true, is_primary: true },
+      { schema: 'public', relation: 'orders', name: 'customer_id', data_type: 'integer', not_null: true, is_primary: false },
+      { schema: 'public', relation: 'secrets', name: 'value', data_type: 'text', not_null: false, is_primary: false },
+    ],
+    'referenced_relation': [
+      {
+        schema: 'public', relation: 'orders', columns: ['customer_id'],
+        referenced_schema: 'public', referenced_relation: 'customers', referenced_columns: ['id'],
+      },
+      {
+        schema: 'public', relation: 'secrets', columns: ['customer_id'],
+        referenced_schema: 'public', referenced_relation: 'customers', referenced_columns: ['id'],
+      },
+    ],
+  });
+
+  const { relations, foreignKeys, text } = await describeDatabase(db, ['public'], (schema, name) => name !== 'secrets');
+  assert.deepStrictEqual(relations.map(relation => relation.name), ['public.customers', 'public.orders']);
+  assert.deepStrictEqual(foreignKeys, [{ from: 'public.orders(customer_id)', to: 'public.customers(id)' }]);
+  assert.strictEqual(text, [
+    'public.customers (table, ~10 rows): id integer PK',
+    'public.orders (table): customer_id integer NOT NULL',
+    '',
+    'Foreign keys:',
+    'public.orders(customer_id) -> public.customers(id)',
+  ].join('\n'));
+});
+
+test('formatDatabase omits the foreign key section when there are none', () => {
+  const text = formatDatabase([{ name: 'public.t', type: 'view', rowEstimate: null, columns: [] }], []);
+  assert.strictEqual(text, 'public.t (view): ');
+});
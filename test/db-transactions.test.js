@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  beginTransaction,
+  getTransaction,
+  commitTransaction,
+  rollbackTransaction,
+  rollbackTransactionsForPool,
+  runBatch,
+} = require('../lib/db-transactions');
+
+/**
+ * A pool of one recording client; statements containing "fail" throw
+ */
+function fakePool() {
+  const client = {
+    queries: [],
+    released: [],
+    async query(sql) {
+      client.queries.push(sql);
+      if (sql.includes('fail')) {
+        throw new Error(`syntax error in "${sql}"`);
+      }
+      return { command: sql.split(' ')[0], rows: [] };
+    },
+    release(error) {
+      client.released.push(error || null);
+    },
+  };
+  return { client, connect: async () => client };
+}
+
+test('runBatch commits every statement in one transaction', async () => {
+  const pool = fakePool();
+  const results = await runBatch(pool, [{ query: 'INSERT 1' }, { query: 'UPDATE 2' }], { timeout: 500 });
+  assert.deepStrictEqual(results.map(result => result.command), ['INSERT', 'UPDATE']);
+  assert.deepStrictEqual(pool.client.queries, ['BEGIN', 'SET LOCAL statement_timeout = 500', 'INSERT 1', 'UPDATE 2', 'COMMIT']);
+  assert.deepStrictEqual(pool.client.released, [null]);
+});
+
+test('a failed batch rolls back and reports the failing statement and earlier results', async () => {
+  const pool = fakePool();
+  await assert.rejects(
+    runBatch(pool, [{ query: 'INSERT 1' }, { query: 'fail 2' }, { query: 'INSERT 3' }], { readOnly: true }),
+    error => {
+      assert.strictEqual(error.statementIndex, 1);
+      assert.deepStrictEqual(error.results.map(result => result.command), ['INSERT']);
+      return true;
+    }
+  );
+  assert.deepStrictEqual(pool.client.queries, ['BEGIN READ ONLY', 'INSERT 1', 'fail 2', 'ROLLBACK']);
+  assert.deepStrictEqual(pool.client.released, [null]);
+});
+
+test('transactions commit and roll back by handle; unknown handles are rejected', async () => {
+  const pool = fakePool();
+  const first = await beginTransaction(pool);
+  assert.strictEqual(getTransaction(first.id), first);
+  assert.strictEqual(await commitTransaction(first.id), 'COMMIT');
+
+  await assert.rejects(commitTransaction(first.id), /not found or timed out/);
+  await assert.rejects(rollbackTransaction('unknown'), /Transaction 'unknown' not found or timed out/);
+  assert.throws(() => getTransaction('unknown'), /not found or timed out/);
+
+  const second = await beginTransaction(pool, { readOnly: true });
+  assert.strictEqual(second.readOnly, true);
+  assert.strictEqual(await rollbackTransactionsForPool(pool), 1);
+  assert.deepStrictEqual(pool.client.queries, ['BEGIN', 'COMMIT', 'BEGIN READ ONLY', 'ROLLBACK']);
+});
+
+test('idle transactions are rolled back', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const pool = fakePool();
+  const state = await beginTransaction(pool, { idleTimeout: 5000 });
+
+  t.mock.timers.tick(4000);
+  getTransaction(state.id);
+  t.mock.timers.tick(4000);
+  assert.strictEqual(getTransaction(state.id), state);
+
+  t.mock.timers.tick(5000);
+  await new Promise(resolve => setImmediate(resolve));
+  assert.throws(() => getTransaction(state.id), /not found or timed out/);
+  assert.deepStrictEqual(pool.client.queries, ['BEGIN', 'ROLLBACK']);
+  assert.deepStrictEqual(pool.client.released, [null]);
+});
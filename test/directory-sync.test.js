@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { syncDirectory } = require('../lib/directory-sync');
+const { createLocalStore } = require('../lib/vector-stores/local');
+const { createEmbeddingFunction } = require('../lib/embeddings');
+
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'metis-sync-'));
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('syncDirectory ingests changes and re-ingests every file when the settings change', async () => {
+  const directory = path.join(root, 'docs');
+  fs.mkdirSync(directory);
+  fs.writeFileSync(path.join(directory, 'a.md'), '# A\n\nAlpha text.\n');
+  fs.writeFileSync(path.join(directory, 'b.txt'), 'Beta text.\n');
+  const manifestPath = path.join(root, 'manifest.json');
+
+  const store = createLocalStore();
+  const collection = await store.getOrCreateCollection({
+    name: 'docs',
+    embeddingFunction: createEmbeddingFunction({ type: 'hash', dimension: 16 }),
+  });
+
+  const first = await syncDirectory(collection, directory, { manifestPath });
+  assert.deepStrictEqual(first.diff.added, ['a.md', 'b.txt']);
+  assert.ok(first.files.every(file => file.status === 'indexed'));
+
+  fs.writeFileSync(path.join(directory, 'b.txt'), 'Beta text, revised.\n');
+  fs.rmSync(path.join(directory, 'a.md'));
+  const second = await syncDirectory(collection, directory, { manifestPath });
+  assert.deepStrictEqual(second.diff.changed, ['b.txt']);
+  assert.deepStrictEqual(second.diff.removed, ['a.md']);
+
+  const third = await syncDirectory(collection, directory, { manifestPath, chunkSize: 500 });
+  assert.deepStrictEqual(third.diff.changed, ['b.txt']);
+  assert.strictEqual(third.files[0].status, 'indexed');
+
+  const { metadatas } = await collection.get({ include: ['metadatas'] });
+  assert.ok(metadatas.every(metadata => metadata.chunkSize === 500 && metadata.fileName === 'b.txt'));
+
+  // Settings that do not change the chunks still re-ingest rather than skip
+  const fourth = await syncDirectory(collection, directory, { manifestPath, chunkSize: 500, encoding: 'o200k_base' });
+  assert.deepStrictEqual(fourth.diff.changed, ['b.txt']);
+  assert.strictEqual(fourth.files[0].status, 'indexed');
+});
+
+test('syncDirectory removes the chunks of deleted files whatever the backend delete returns', async () => {
+  const directory = path.join(root, 'removed');
+  fs.mkdirSync(directory);
+  fs.writeFileSync(path.join(directory, 'a.txt'), 'Alpha text.\n');
+  fs.writeFileSync(path.join(directory, 'b.txt'), 'Beta text.\n');
+  const manifestPath = path.join(root, 'removed.json');
+
+  const store = createLocalStore();
+  const collection = await store.getOrCreateCollection({
+    name: 'removed',
+    embeddingFunction: createEmbeddingFunction({ type: 'hash', dimension: 16 }),
+  });
+  await syncDirectory(collection, directory, { manifestPath });
+
+  fs.rmSync(path.join(directory, 'a.txt'));
+  const sync = await syncDirectory(collection, directory, { manifestPath });
+  assert.deepStrictEqual(sync.files, [
+    { path: 'a.txt', file: path.join(directory, 'a.txt'), status: 'removed', deleted: 1 },
+  ]);
+
+  // A collection whose delete() returns nothing, like a bare chromadb client
+  const bare = Object.create(collection);
+  bare.delete = async filter => { await collection.delete(filter); };
+  fs.rmSync(path.join(directory, 'b.txt'));
+  const bareSync = await syncDirectory(bare, directory, { manifestPath });
+  assert.deepStrictEqual(bareSync.files.map(file => [file.path, file.status, file.deleted]), [['b.txt', 'removed', null]]);
+  assert.strictEqual(await collection.count(), 0);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(manifestPath, 'utf8')).files, {});
+});
+
+test('a file that fails while the settings change is re-ingested by the next sync', async () => {
+  const directory = path.join(root, 'retry');
+  fs.mkdirSync(directory);
+  fs.writeFileSync(path.join(directory, 'a.txt'), 'Alpha text.\n');
+  fs.writeFileSync(path.join(directory, 'b.txt'), 'Beta text.\n');
+  const manifestPath = path.join(root, 'retry.json');
+
+  const store = createLocalStore();
+  const collection = await store.getOrCreateCollection({
+    name: 'retry',
+    embeddingFunction: createEmbeddingFunction({ type: 'hash', dimension: 16 }),
+  });
+  await syncDirectory(collection, directory, { manifestPath });
+
+  // Ingesting b.txt fails once
+  let failing = true;
+  const flaky = Object.create(collection);
+  flaky.get = async options => {
+    if (failing && options.where && options.where.source === path.join(directory, 'b.txt')) {
+      throw new Error('backend unavailable');
+    }
+    return collection.get(options);
+  };
+
+  const changed = await syncDirectory(flaky, directory, { manifestPath, chunkSize: 500 });
+  assert.deepStrictEqual(changed.files.map(file => [file.path, file.status]), [['a.txt', 'indexed'], ['b.txt', 'failed']]);
+
+  failing = false;
+  const retried = await syncDirectory(flaky, directory, { manifestPath, chunkSize: 500 });
+  assert.deepStrictEqual(retried.diff.changed, ['b.txt']);
+  assert.deepStrictEqual(retried.diff.unchanged, ['a.txt']);
+  assert.strictEqual(retried.files[0].status, 'indexed');
+
+  const { metadatas } = await collection.get({ include: ['metadatas'] });
+  assert.ok(metadatas.every(metadata => metadata.chunkSize === 500));
+  const settled = await syncDirectory(flaky, directory, { manifestPath, chunkSize: 500 });
+  assert.deepStrictEqual(settled.diff.unchanged, ['a.txt', 'b.txt']);
+});
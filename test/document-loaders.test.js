@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JSZip = require('jszip');
+const { loadDocument, documentSegments } = require('../lib/document-loaders');
+const { chunkDocument } = require('../lib/chunking');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metis-loaders-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * Write a presentation with one slide per { title, lines } and return its path
+ */
+async function writePresentation(name, slides) {
+  const zip = new JSZip();
+  const ids = slides.map((slide, index) => `<p:sldId id="${256 + index}" r:id="rId${index + 1}"/>`).join('');
+  zip.file('ppt/presentation.xml', `<p:presentation xmlns:p="p" xmlns:r="r"><p:sldIdLst>${ids}</p:sldIdLst></p:presentation>`);
+  const relationships = slides.map((slide, index) => (
+    `<Relationship Id="rId${index + 1}" Type="slide" Target="slides/slide${index + 1}.xml"/>`
+  )).join('');
+  zip.file('ppt/_rels/presentation.xml.rels', `<Relationships>${relationships}</Relationships>`);
+
+  slides.forEach((slide, index) => {
+    const paragraphs = slide.lines.map(line => `<a:p><a:r><a:t>${line}</a:t></a:r></a:p>`).join('');
+    zip.file(`ppt/slides/slide${index + 1}.xml`, [
+      '<p:sld xmlns:p="p" xmlns:a="a"><p:cSld><p:spTree>',
+      `<p:sp><p:nvSpPr><p:nvPr><p:ph type="title"/></p:nvPr></p:nvSpPr><p:txBody><a:p><a:r><a:t>${slide.title}</a:t></a:r></a:p></p:txBody></p:sp>`,
+      `<p:sp><p:txBody>${paragraphs}</p:txBody></p:sp>`,
+      '</p:spTree></p:cSld></p:sld>',
+    ].join(''));
+  });
+
+  const filePath = path.join(directory, name);
+  fs.writeFileSync(filePath, await zip.generateAsync({ type: 'nodebuffer' }));
+  return filePath;
+}
+
+test('loadDocument returns the segments of a presentation with their slide and offsets', async () => {
+  const filePath = await writePresentation('deck.pptx', [
+    { title: 'Intro', lines: ['Why vectors'] },
+    { title: 'Setup', lines: ['Install pgvector', 'Create the table'] },
+  ]);
+
+  const document = await loadDocument(filePath);
+  assert.strictEqual(document.fileType, 'pptx');
+  assert.strictEqual(document.pageContent, '# Intro\n\nWhy vectors\n\n# Setup\n\nInstall pgvector\nCreate the table');
+  assert.deepStrictEqual(document.segments.map(segment => [segment.page, segment.startOffset, segment.endOffset]), [
+    [1, 0, 20],
+    [2, 22, 64],
+  ]);
+  document.segments.forEach(segment => {
+    assert.strictEqual(document.pageContent.slice(segment.startOffset, segment.endOffset), segment.text);
+  });
+  assert.strictEqual(document.segments[1].metadata.title, 'Setup');
+});
+
+test('section segments keep the page they start on', async () => {
+  const filePath = await writePresentation('sections.pptx', [
+    { title: 'Intro', lines: ['Why vectors'] },
+    { title: 'Setup', lines: ['Install pgvector'] },
+  ]);
+  const document = await loadDocument(filePath);
+
+  const sections = documentSegments(document, 'section');
+  assert.deepStrictEqual(sections.map(section => [section.headingPath, section.page, section.metadata.slide]), [
+    [['Intro'], 1, 1],
+    [['Setup'], 2, 2],
+  ]);
+  assert.strictEqual(sections[1].text, '# Setup\n\nInstall pgvector');
+  assert.strictEqual(documentSegments(document, 'page'), document.segments);
+  assert.throws(() => documentSegments(document, 'paragraph'), /Unsupported segmentation: paragraph/);
+});
+
+test('chunks of a loaded document carry the slides they start and end on', async () => {
+  const filePath = await writePresentation('chunks.pptx', [
+    { title: 'One', lines: ['First slide text that is long enough to share a chunk'] },
+    { title: 'Two', lines: ['Second slide text'] },
+    { title: 'Three', lines: ['Third slide text'] },
+  ]);
+  const document = await loadDocument(filePath);
+
+  const { chunks } = await chunkDocument(document.pageContent, {
+    strategy: 'recursive',
+    chunkSize: 80,
+    chunkOverlap: 0,
+    segments: document.segments,
+  });
+  assert.deepStrictEqual(chunks.map(chunk => [chunk.metadata.page, chunk.metadata.endPage]), [
+    [1, 2],
+    [2, 3],
+  ]);
+});
+
+test('rows of a CSV file are segments without a page', async () => {
+  const filePath = path.join(directory, 'people.csv');
+  fs.writeFileSync(filePath, 'name,city\nAda,London\nGrace,New York\n');
+
+  const document = await loadDocument(filePath);
+  assert.strictEqual(document.fileType, 'csv');
+  assert.deepStrictEqual(document.segments.map(segment => [segment.text, segment.page, segment.metadata.row]), [
+    ['name: Ada\ncity: London', null, 2],
+    ['name: Grace\ncity: New York', null, 3],
+  ]);
+
+  const { chunks } = await chunkDocument(document.pageContent, { chunkSize: 100, segments: document.segments });
+  assert.strictEqual(chunks[0].metadata.page, undefined);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  registerEmbedder,
+  createEmbeddingFunction,
+  recordedEmbeddingFunction,
+  embedderMetadata,
+  recordedEmbedder,
+  checkEmbedder,
+  checkEmbeddings,
+} = require('../lib/embeddings');
+
+let created = 0;
+registerEmbedder('keyed', ({ apiKey }) => {
+  created++;
+  if (!apiKey) {
+    throw new Error('missing API key');
+  }
+  return { modelName: 'k1', dimension: 3, embed: async texts => texts.map(() => [1, 0, 0]) };
+});
+
+test('the hash embedder is deterministic and normalized', async () => {
+  const embeddingFunction = createEmbeddingFunction({ type: 'hash', dimension: 8 });
+  const [a, b] = await embeddingFunction.generate(['same text', 'same text']);
+  assert.deepStrictEqual(a, b);
+  assert.strictEqual(a.length, 8);
+  assert.ok(Math.abs(Math.hypot(...a) - 1) < 1e-9);
+});
+
+test('embedder metadata round-trips and is checked', () => {
+  const embeddingFunction = createEmbeddingFunction({ type: 'hash', dimension: 8 });
+  const metadata = embedderMetadata(embeddingFunction);
+  assert.deepStrictEqual(recordedEmbedder(metadata), { type: 'hash', modelName: undefined, dimension: 8 });
+  assert.doesNotThrow(() => checkEmbedder(metadata, embeddingFunction));
+  assert.throws(
+    () => checkEmbedder(metadata, createEmbeddingFunction({ type: 'hash', dimension: 4 })),
+    /dimension 8/
+  );
+  assert.throws(() => checkEmbeddings([[1, 2]], 1, 3), /dimension 2, expected 3/);
+});
+
+test('a recorded embedder is only created when text is embedded', async () => {
+  created = 0;
+  const embeddingFunction = recordedEmbeddingFunction({ type: 'keyed', modelName: 'k1', dimension: 3 });
+  assert.strictEqual(embeddingFunction.type, 'keyed');
+  assert.strictEqual(embeddingFunction.dimension, 3);
+  assert.strictEqual(created, 0);
+
+  await assert.rejects(embeddingFunction.generate(['text']), /Embedder 'keyed' of the collection could not be created \(missing API key\)/);
+  assert.strictEqual(created, 1);
+});
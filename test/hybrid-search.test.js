@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fuseRankings, hybridSearch } = require('../lib/hybrid-search');
+const { withKeywordIndex } = require('../lib/keyword-index');
+const { createLocalStore } = require('../lib/vector-stores/local');
+const { createEmbeddingFunction } = require('../lib/embeddings');
+
+test('reciprocal rank fusion rewards results found by both signals', () => {
+  const fused = fuseRankings({
+    vector: [{ id: 'a', score: 0.9 }, { id: 'b', score: 0.8 }],
+    keyword: [{ id: 'b', score: 7 }, { id: 'c', score: 3 }],
+  });
+  assert.deepStrictEqual(fused.map(result => result.id), ['b', 'a', 'c']);
+  assert.strictEqual(fused[0].score, 1 / 62 + 1 / 61);
+  assert.deepStrictEqual(Object.keys(fused[0].signals), ['vector', 'keyword']);
+});
+
+test('weighted fusion uses normalized scores and weights', () => {
+  const fused = fuseRankings({
+    vector: [{ id: 'a', score: 0.9 }, { id: 'b', score: 0.5 }],
+    keyword: [{ id: 'b', score: 10 }, { id: 'a', score: 2 }],
+  }, { method: 'weighted', weights: { vector: 1, keyword: 3 } });
+  assert.deepStrictEqual(fused.map(result => [result.id, result.score]), [['b', 3], ['a', 1]]);
+  assert.throws(() => fuseRankings({}, { method: 'max' }), /Unsupported fusion method/);
+});
+
+test('hybridSearch finds exact identifiers and applies the where filter to both sides', async () => {
+  const store = createLocalStore();
+  const collection = withKeywordIndex(await store.getOrCreateCollection({
+    name: 'docs',
+    embeddingFunction: createEmbeddingFunction({ type: 'hash', dimension: 32 }),
+  }));
+  await collection.add({
+    ids: ['1', '2', '3'],
+    documents: ['Connection failed with ERR-42', 'How to configure the pool', 'ERR-42 in the archive'],
+    metadatas: [{ source: 'a' }, { source: 'a' }, { source: 'b' }],
+  });
+
+  const results = await hybridSearch(collection, { queryText: 'ERR-42', nResults: 2 });
+  assert.deepStrictEqual(results.map(result => result.id).sort(), ['1', '3']);
+  assert.ok(results.every(result => result.signals.keyword));
+
+  const filtered = await hybridSearch(collection, { queryText: 'ERR-42', where: { source: 'a' } });
+  assert.deepStrictEqual(filtered.map(result => result.id).sort(), ['1', '2']);
+  assert.strictEqual(filtered[0].id, '1');
+  assert.deepStrictEqual(filtered[0].metadata, { source: 'a' });
+  assert.strictEqual(typeof filtered[0].distance, 'number');
+});
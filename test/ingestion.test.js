@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ingestFile } = require('../lib/ingestion');
+const { createLocalStore } = require('../lib/vector-stores/local');
+const { createEmbeddingFunction } = require('../lib/embeddings');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metis-ingest-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * A local collection embedding with the hash embedder
+ */
+async function hashCollection() {
+  const store = createLocalStore();
+  return store.getOrCreateCollection({
+    name: 'docs',
+    embeddingFunction: createEmbeddingFunction({ type: 'hash', dimension: 16 }),
+  });
+}
+
+test('re-ingesting an unchanged file is skipped', async () => {
+  const file = path.join(directory, 'guide.md');
+  fs.writeFileSync(file, '# Guide\n\nInstall the package.\n\n## Usage\n\nRun the tool.\n');
+  const collection = await hashCollection();
+
+  const first = await ingestFile(collection, file, { chunkSize: 40, chunkOverlap: 0 });
+  assert.strictEqual(first.status, 'indexed');
+  assert.strictEqual(first.added, first.chunks);
+
+  const second = await ingestFile(collection, file, { chunkSize: 40, chunkOverlap: 0 });
+  assert.strictEqual(second.status, 'unchanged');
+});
+
+test('changed caller metadata is applied to the existing chunks', async () => {
+  const file = path.join(directory, 'notes.md');
+  fs.writeFileSync(file, '# Notes\n\nFirst paragraph.\n\nSecond paragraph.\n');
+  const collection = await hashCollection();
+
+  await ingestFile(collection, file, { metadata: { team: 'a', draft: true } });
+  const result = await ingestFile(collection, file, { metadata: { team: 'b' } });
+  assert.strictEqual(result.status, 'indexed');
+  assert.strictEqual(result.added, 0);
+  assert.strictEqual(result.updated, result.chunks);
+
+  const { metadatas } = await collection.get({ include: ['metadatas'] });
+  assert.ok(metadatas.every(metadata => metadata.team === 'b' && !('draft' in metadata)));
+
+  const again = await ingestFile(collection, file, { metadata: { team: 'b' } });
+  assert.strictEqual(again.status, 'unchanged');
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, createKeywordIndex, withKeywordIndex } = require('../lib/keyword-index');
+const { createLocalStore } = require('../lib/vector-stores/local');
+const { chromaStore } = require('../lib/vector-stores/chroma');
+
+test('tokenize keeps identifiers whole as well as split', () => {
+  assert.deepStrictEqual(tokenize('Call db.connect() on ERR-42'), ['call', 'db.connect', 'db', 'connect', 'on', 'err-42', 'err', '42']);
+  assert.deepStrictEqual(tokenize(null), []);
+});
+
+test('search ranks by BM25 and honours allowedIds', () => {
+  const index = createKeywordIndex();
+  index.set('a', 'timeout error in the connection pool');
+  index.set('b', 'error error error');
+  index.set('c', 'the pool of workers');
+  index.set('d', null);
+
+  assert.strictEqual(index.size, 3);
+  const results = index.search('pool timeout');
+  assert.deepStrictEqual(results.map(result => result.id), ['a', 'c']);
+  assert.ok(results[0].score > results[1].score);
+
+  assert.deepStrictEqual(index.search('pool', { allowedIds: new Set(['c']) }).map(result => result.id), ['c']);
+  assert.deepStrictEqual(index.search('missing'), []);
+});
+
+test('set replaces and remove drops a document', () => {
+  const index = createKeywordIndex();
+  index.set('a', 'alpha');
+  index.set('a', 'beta');
+  assert.deepStrictEqual(index.search('alpha'), []);
+  assert.deepStrictEqual(index.search('beta').map(result => result.id), ['a']);
+  index.remove('a');
+  assert.strictEqual(index.size, 0);
+  assert.deepStrictEqual(index.search('beta'), []);
+});
+
+test('withKeywordIndex builds the index and follows writes', async () => {
+  const store = createLocalStore();
+  const collection = withKeywordIndex(await store.getOrCreateCollection({ name: 'docs' }));
+  await collection.add({ ids: ['1', '2'], embeddings: [[1, 0], [0, 1]], documents: ['alpha beta', 'gamma'] });
+
+  const index = await collection.keywordIndex();
+  assert.strictEqual(index.size, 2);
+
+  await collection.upsert({ ids: ['2'], embeddings: [[0, 1]], documents: ['alpha delta'] });
+  assert.deepStrictEqual(index.search('delta').map(result => result.id), ['2']);
+
+  await collection.delete({ ids: ['1'] });
+  assert.deepStrictEqual(index.search('beta'), []);
+});
+
+test('deletes on Chroma collections keep the index in sync', async () => {
+  // A Chroma collection over a local one, whose delete() returns nothing as in chromadb 1.10
+  const local = await createLocalStore().getOrCreateCollection({ name: 'docs' });
+  const raw = Object.create(local);
+  raw.delete = async filter => {
+    await local.delete(filter);
+  };
+  const store = chromaStore({ getOrCreateCollection: async () => raw });
+  const collection = withKeywordIndex(await store.getOrCreateCollection({ name: 'docs' }));
+  await collection.add({ ids: ['1', '2'], embeddings: [[1, 0], [0, 1]], documents: ['alpha beta', 'beta gamma'] });
+  const index = await collection.keywordIndex();
+
+  assert.deepStrictEqual(await collection.delete({ ids: ['1'] }), ['1']);
+  assert.deepStrictEqual(index.search('beta').map(result => result.id), ['2']);
+});
+
+test('the index is rebuilt after a delete that does not report its ids', async () => {
+  const local = await createLocalStore().getOrCreateCollection({ name: 'docs' });
+  const raw = Object.create(local);
+  raw.delete = async filter => {
+    await local.delete(filter);
+  };
+  const collection = withKeywordIndex(raw);
+  await collection.add({ ids: ['1', '2'], embeddings: [[1, 0], [0, 1]], documents: ['alpha beta', 'beta gamma'] });
+  await collection.keywordIndex();
+
+  await collection.delete({ ids: ['1'] });
+  const rebuilt = await collection.keywordIndex();
+  assert.strictEqual(rebuilt.size, 1);
+  assert.deepStrictEqual(rebuilt.search('alpha'), []);
+});
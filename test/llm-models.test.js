@@ -0,0 +1,10 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createModel } = require('../lib/llm-models');
+
+test('createModel keeps an explicit temperature of 0', () => {
+  const options = { provider: 'anthropic', modelName: 'claude', apiKey: 'key', isChatModel: true };
+  assert.strictEqual(createModel({ ...options, temperature: 0 }).temperature, 0);
+  assert.strictEqual(createModel(options).temperature, 0.7);
+  assert.throws(() => createModel({ ...options, provider: 'other' }), /Unsupported provider: other/);
+});
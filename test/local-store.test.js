@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createLocalStore } = require('../lib/vector-stores/local');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metis-local-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+for (const format of ['json', 'binary']) {
+  test(`collections persist to ${format} files and load back`, async () => {
+    const filePath = path.join(directory, `store.${format}`);
+    const store = createLocalStore({ path: filePath, format });
+    const collection = await store.getOrCreateCollection({ name: 'docs', metadata: { 'hnsw:space': 'l2' } });
+    await collection.add({
+      ids: ['1', '2'],
+      embeddings: [[0.5, -1.25, 2], [0, 0, 1]],
+      documents: ['alpha', null],
+      metadatas: [{ source: 'a.md', page: 1 }, {}],
+    });
+    await store.getOrCreateCollection({ name: 'empty' });
+    await store.close();
+
+    if (format === 'binary') {
+      assert.strictEqual(fs.readFileSync(filePath).toString('ascii', 0, 4), 'MVS1');
+    }
+    const reloaded = createLocalStore({ path: filePath, format });
+    assert.deepStrictEqual(await reloaded.listCollections(), [
+      { name: 'docs', metadata: { 'hnsw:space': 'l2' } },
+      { name: 'empty', metadata: {} },
+    ]);
+    const records = await (await reloaded.getCollection({ name: 'docs' })).get({
+      include: ['documents', 'metadatas', 'embeddings'],
+    });
+    assert.deepStrictEqual(records, {
+      ids: ['1', '2'],
+      documents: ['alpha', null],
+      metadatas: [{ source: 'a.md', page: 1 }, {}],
+      embeddings: [[0.5, -1.25, 2], [0, 0, 1]],
+    });
+  });
+}
+
+test('a file of another format is rejected', async () => {
+  const filePath = path.join(directory, 'other.json');
+  fs.writeFileSync(filePath, JSON.stringify({ collections: [] }));
+  await assert.rejects(createLocalStore({ path: filePath, format: 'binary' }).heartbeat(), /Not a local vector store file/);
+  assert.throws(() => createLocalStore({ format: 'csv' }), /Unsupported local store format: csv/);
+});
+
+test('query orders by each distance function as Chroma does', async () => {
+  const store = createLocalStore();
+  const embeddings = [[1, 0], [3, 3], [0, 0.5]];
+  const ranked = async (space) => {
+    const collection = await store.getOrCreateCollection({ name: space, metadata: { 'hnsw:space': space } });
+    await collection.add({ ids: ['x', 'diagonal', 'y'], embeddings });
+    const results = await collection.query({ queryEmbeddings: [[2, 0]], nResults: 3, include: ['distances'] });
+    return { ids: results.ids[0], distances: results.distances[0].map(distance => Math.round(distance * 1000) / 1000) };
+  };
+
+  assert.deepStrictEqual(await ranked('cosine'), { ids: ['x', 'diagonal', 'y'], distances: [0, 0.293, 1] });
+  assert.deepStrictEqual(await ranked('l2'), { ids: ['x', 'y', 'diagonal'], distances: [1, 4.25, 10] });
+  assert.deepStrictEqual(await ranked('ip'), { ids: ['diagonal', 'x', 'y'], distances: [-5, -1, 1] });
+  await assert.rejects(store.getOrCreateCollection({ name: 'bad', metadata: { 'hnsw:space': 'manhattan' } }), /Unsupported distance function/);
+});
+
+test('writes of no records are no-ops', async () => {
+  const store = createLocalStore();
+  const collection = await store.getOrCreateCollection({ name: 'docs' });
+  await collection.add({ ids: [], embeddings: [] });
+  await collection.upsert({ ids: [], documents: [] });
+  await collection.update({ ids: [], metadatas: [] });
+  assert.strictEqual(await collection.count(), 0);
+  assert.deepStrictEqual(await collection.delete({ ids: [] }), []);
+});
+
+test('upsert keeps the metadata of existing records when none is given', async () => {
+  const store = createLocalStore();
+  const collection = await store.getOrCreateCollection({ name: 'docs' });
+
+  await collection.add({
+    ids: ['1', '2'],
+    embeddings: [[1, 0], [0, 1]],
+    documents: ['alpha', 'beta'],
+    metadatas: [{ source: 'a.md' }, { source: 'b.md' }],
+  });
+  await collection.upsert({ ids: ['1', '3'], embeddings: [[1, 1], [0, 1]], documents: ['alpha 2', 'gamma'] });
+  await collection.upsert({ ids: ['2'], embeddings: [[0, 1]], documents: ['beta'], metadatas: [{ source: 'c.md' }] });
+
+  const result = await collection.get({ include: ['documents', 'metadatas'] });
+  assert.deepStrictEqual(result.ids, ['1', '2', '3']);
+  assert.deepStrictEqual(result.documents, ['alpha 2', 'beta', 'gamma']);
+  assert.deepStrictEqual(result.metadatas, [{ source: 'a.md' }, { source: 'c.md' }, {}]);
+});
+
+test('update merges metadata and removes keys set to null', async () => {
+  const store = createLocalStore();
+  const collection = await store.getOrCreateCollection({ name: 'docs' });
+  await collection.add({ ids: ['1'], embeddings: [[1, 0]], metadatas: [{ source: 'a.md', draft: true }] });
+
+  await collection.update({ ids: ['1'], metadatas: [{ draft: null, tag: 'x' }] });
+
+  const result = await collection.get({ ids: ['1'], include: ['metadatas'] });
+  assert.deepStrictEqual(result.metadatas, [{ source: 'a.md', tag: 'x' }]);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseInfoString, findCodeBlocks } = require('../lib/markdown-blocks');
+
+/**
+ * The fields of the blocks a test checks
+ */
+function summarize(blocks) {
+  return blocks.map(({ type, language, code, startLine, endLine, containers, closed }) => (
+    { type, language, code, startLine, endLine, containers, closed }
+  ));
+}
+
+test('parseInfoString reads the language, meta and attributes', () => {
+  assert.deepStrictEqual(parseInfoString('js title="app.js" {1,3}'), {
+    language: 'js',
+    meta: 'title="app.js" {1,3}',
+    attributes: { title: 'app.js' },
+  });
+  assert.deepStrictEqual(parseInfoString('{.python #example linenos=true}'), {
+    language: 'python',
+    meta: '{.python #example linenos=true}',
+    attributes: { linenos: 'true', id: 'example' },
+  });
+  assert.deepStrictEqual(parseInfoString('  '), { language: null, meta: '', attributes: {} });
+});
+
+test('a longer fence contains shorter ones', () => {
+  const text = '````md\n```js\nx\n```\n````\n';
+  const [block] = findCodeBlocks(text);
+  assert.deepStrictEqual(summarize([block]), [
+    { type: 'fenced', language: 'md', code: '```js\nx\n```', startLine: 1, endLine: 5, containers: [], closed: true },
+  ]);
+  assert.strictEqual(block.fence, '````');
+  assert.strictEqual(text.slice(block.start, block.end), text.trimEnd());
+});
+
+test('code nested in blockquotes and list items is found', () => {
+  const text = '> ```sh\n> ls\n> ```\n\n- item\n\n      code in item\n\n  text\n';
+  assert.deepStrictEqual(summarize(findCodeBlocks(text)), [
+    { type: 'fenced', language: 'sh', code: 'ls', startLine: 1, endLine: 3, containers: ['blockquote'], closed: true },
+    { type: 'indented', language: null, code: 'code in item', startLine: 7, endLine: 7, containers: ['list'], closed: true },
+  ]);
+});
+
+test('list content and paragraph continuations are not indented code', () => {
+  assert.deepStrictEqual(findCodeBlocks('- a\n  b\n\n  paragraph\n'), []);
+  assert.deepStrictEqual(summarize(findCodeBlocks('para\n    not code\n\n    code\n\n\n    more\n\nafter\n')), [
+    { type: 'indented', language: null, code: 'code\n\n\nmore', startLine: 4, endLine: 7, containers: [], closed: true },
+  ]);
+});
+
+test('unclosed fences run to the end of their container or of the text', () => {
+  assert.deepStrictEqual(summarize(findCodeBlocks('> ```\n> open\nout\n\n~~~\nnever closed')), [
+    { type: 'fenced', language: null, code: 'open', startLine: 1, endLine: 2, containers: ['blockquote'], closed: false },
+    { type: 'fenced', language: null, code: 'never closed', startLine: 5, endLine: 6, containers: [], closed: false },
+  ]);
+});
+
+test('a backtick fence with backticks in its info string is not a fence', () => {
+  assert.deepStrictEqual(findCodeBlocks('```a`b\n'), []);
+});
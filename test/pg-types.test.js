@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { resultTypes, applyTypeHints, prepareQuery } = require('../lib/pg-types');
+const { loadQueryPolicy, checkQuery } = require('../lib/query-policy');
+
+test('applyTypeHints casts placeholders outside literals and comments', () => {
+  const query = "SELECT $1, '$2', \"$3\", $$ $4 $$ -- $5\nFROM t WHERE a = $2";
+  assert.strictEqual(
+    applyTypeHints(query, ['uuid', 'int[]']),
+    "SELECT $1::uuid, '$2', \"$3\", $$ $4 $$ -- $5\nFROM t WHERE a = $2::int[]"
+  );
+  assert.strictEqual(applyTypeHints('SELECT $1', [null]), 'SELECT $1');
+});
+
+test('applyTypeHints skips escape strings with backslash-escaped quotes', () => {
+  const query = "SELECT E'it\\'s $1', e'\\\\', $1 WHERE note = E'a''b $2'";
+  assert.strictEqual(
+    applyTypeHints(query, ['int', 'uuid']),
+    "SELECT E'it\\'s $1', e'\\\\', $1::int WHERE note = E'a''b $2'"
+  );
+});
+
+test('applyTypeHints accepts single, optionally qualified type names', () => {
+  for (const type of ['uuid', 'timestamptz', 'numeric(10,2)', 'numeric(10, 2)', 'varchar(20)[]', 'public.mood', 'int[][]']) {
+    assert.doesNotThrow(() => applyTypeHints('SELECT $1', [type]), type);
+  }
+});
+
+test('applyTypeHints rejects hints that could carry SQL', () => {
+  for (const type of [
+    'int from pg_authid',
+    'text union select passwd',
+    'double precision',
+    'int; drop table users',
+    'int)--',
+    'a.b.c',
+  ]) {
+    assert.throws(() => applyTypeHints('SELECT $1', [type]), /Invalid type hint for parameter \$1/, type);
+  }
+});
+
+test('prepared text with qualified casts still parses for the policy check', () => {
+  const policy = loadQueryPolicy({ METIS_DB_ALLOWED_TABLES: 'public.users' });
+  const { text } = prepareQuery('SELECT * FROM users WHERE id = $1', [1], ['public.secrets']);
+  assert.strictEqual(text, 'SELECT * FROM users WHERE id = $1::public.secrets');
+  assert.strictEqual(checkQuery(text, policy).allowed, true);
+});
+
+test('prepareQuery serializes JSON parameters and nulls undefined ones', () => {
+  const { values } = prepareQuery('SELECT $1, $2, $3', [[1, 2], undefined, [3]], ['jsonb', null, 'int[]']);
+  assert.deepStrictEqual(values, ['[1,2]', null, [3]]);
+});
+
+test('int8 and numeric results are always strings', () => {
+  const int8 = resultTypes.getTypeParser(20, 'text');
+  const numeric = resultTypes.getTypeParser(1700, 'text');
+  assert.strictEqual(int8('42'), '42');
+  assert.strictEqual(int8('9007199254740993'), '9007199254740993');
+  assert.strictEqual(numeric('1.50'), '1.50');
+  assert.strictEqual(numeric('NaN'), 'NaN');
+
+  const int8Array = resultTypes.getTypeParser(1016, 'text');
+  assert.deepStrictEqual(int8Array('{1,NULL,9007199254740993}'), ['1', null, '9007199254740993']);
+});
+
+test('other result types map to stable JSON values', () => {
+  assert.strictEqual(resultTypes.getTypeParser(1114, 'text')('2024-01-01 10:00:00'), '2024-01-01T10:00:00');
+  assert.strictEqual(resultTypes.getTypeParser(1184, 'text')('2024-01-01 10:00:00+01'), '2024-01-01T10:00:00+01:00');
+  assert.strictEqual(resultTypes.getTypeParser(1184, 'text')('2024-01-01 10:00:00.5+05:30'), '2024-01-01T10:00:00.5+05:30');
+  assert.strictEqual(resultTypes.getTypeParser(1184, 'text')('2024-01-01 10:00:00+0530'), '2024-01-01T10:00:00+05:30');
+  assert.strictEqual(resultTypes.getTypeParser(1184, 'text')('1850-01-01 10:00:00-03:30:45'), '1850-01-01T10:00:00-03:30:45');
+  assert.strictEqual(resultTypes.getTypeParser(1184, 'text')('infinity'), 'infinity');
+  assert.strictEqual(resultTypes.getTypeParser(1082, 'text')('2024-02-29'), '2024-02-29');
+  assert.strictEqual(resultTypes.getTypeParser(17, 'text')('\\x6869'), 'aGk=');
+  assert.strictEqual(resultTypes.getTypeParser(23, 'text')('7'), 7);
+});
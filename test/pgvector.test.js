@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tableNameFor, indexNameFor, ivfflatLists } = require('../lib/vector-stores/pgvector');
+
+test('table and index names of long collection names fit in an identifier', () => {
+  const table = tableNameFor('Customer Support Knowledge Base – Archived Tickets 2019-2024');
+  assert.match(table, /^metis_vectors_customer_support_knowledge_[0-9a-f]{8}$/);
+  assert.ok(Buffer.byteLength(indexNameFor(table)) <= 63);
+  assert.notStrictEqual(tableNameFor('a'.repeat(60)), tableNameFor('a'.repeat(61)));
+  assert.strictEqual(tableNameFor('docs'), `metis_vectors_docs_${tableNameFor('docs').slice(-8)}`);
+});
+
+test('ivfflatLists follows the pgvector sizing', () => {
+  assert.strictEqual(ivfflatLists(500), 1);
+  assert.strictEqual(ivfflatLists(10000), 10);
+  assert.strictEqual(ivfflatLists(1000000), 1000);
+  assert.strictEqual(ivfflatLists(4000000), 2000);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  resolveLimits,
+  takePage,
+  maxCursors,
+  openCursor,
+  closeCursorsForPool,
+} = require('../lib/query-cursors');
+
+/**
+ * A pool whose clients return rows 1..total from FETCH
+ */
+function fakePool(max, total) {
+  let served = 0;
+  return {
+    options: { max },
+    async connect() {
+      return {
+        async query(sql) {
+          const fetch = sql.match(/^FETCH (\d+)/);
+          if (!fetch) {
+            return { rows: [], fields: [] };
+          }
+          const rows = [];
+          while (rows.length < Number(fetch[1]) && served < total) {
+            rows.push({ id: ++served });
+          }
+          return { rows, fields: [{ name: 'id' }] };
+        },
+        release() {},
+      };
+    },
+  };
+}
+
+test('resolveLimits clamps page size and bytes', () => {
+  assert.deepStrictEqual(resolveLimits(), { pageSize: 100, maxBytes: 256 * 1024 });
+  assert.strictEqual(resolveLimits({ pageSize: 5000 }).pageSize, 1000);
+  assert.strictEqual(resolveLimits({ pageSize: -3 }).pageSize, 1);
+});
+
+test('takePage stops at the byte limit but always takes one row', () => {
+  const rows = [{ text: 'x'.repeat(50) }, { text: 'y'.repeat(50) }];
+  assert.strictEqual(takePage(rows, { pageSize: 10, maxBytes: 10 }).page.length, 1);
+  const { page, rest } = takePage(rows, { pageSize: 1, maxBytes: 1000 });
+  assert.strictEqual(page.length, 1);
+  assert.strictEqual(rest.length, 1);
+});
+
+test('maxCursors keeps half of the pool for other queries', () => {
+  assert.strictEqual(maxCursors({ options: { max: 10 } }), 5);
+  assert.strictEqual(maxCursors({ options: { max: 1 } }), 1);
+  assert.strictEqual(maxCursors({ options: {} }), 5);
+});
+
+test('openCursor rejects cursors over the per-pool cap', async () => {
+  const pool = fakePool(2, 50);
+
+  const first = await openCursor(pool, 'SELECT id FROM items', [], { pageSize: 10 });
+  assert.strictEqual(first.rowCount, 10);
+  assert.ok(first.cursor);
+
+  await assert.rejects(
+    openCursor(pool, 'SELECT id FROM items', [], { pageSize: 10 }),
+    /Too many open cursors/
+  );
+
+  assert.strictEqual(await closeCursorsForPool(pool), 1);
+  const reopened = await openCursor(pool, 'SELECT id FROM items', [], { pageSize: 100 });
+  assert.strictEqual(reopened.cursor, null);
+});
+
+test('concurrent openCursor calls cannot exceed the cap', async () => {
+  const pool = fakePool(4, 100);
+
+  const results = await Promise.allSettled(
+    [1, 2, 3, 4].map(() => openCursor(pool, 'SELECT id FROM items', [], { pageSize: 10 }))
+  );
+  assert.deepStrictEqual(results.map(result => result.status), ['fulfilled', 'fulfilled', 'rejected', 'rejected']);
+  assert.match(results[2].reason.message, /Too many open cursors on this connection \(2\)/);
+  assert.strictEqual(await closeCursorsForPool(pool), 2);
+});
+
+test('a failed open releases its slot', async () => {
+  const pool = fakePool(2, 50);
+  const connect = pool.connect;
+  pool.connect = async () => {
+    throw new Error('timeout exceeded when trying to connect');
+  };
+  await assert.rejects(openCursor(pool, 'SELECT id FROM items', []), /timeout exceeded/);
+
+  pool.connect = connect;
+  const opened = await openCursor(pool, 'SELECT id FROM items', [], { pageSize: 10 });
+  assert.ok(opened.cursor);
+  assert.strictEqual(await closeCursorsForPool(pool), 1);
+});
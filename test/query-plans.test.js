@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { summarizePlan } = require('../lib/query-plans');
+
+/**
+ * EXPLAIN (FORMAT JSON) output of a hash join, with ANALYZE figures when analyzed
+ */
+function explainOutput(analyzed) {
+  const actual = (rows, loops, time) => (analyzed ? { 'Actual Rows': rows, 'Actual Loops': loops, 'Actual Total Time': time } : {});
+  return [{
+    'Plan': {
+      'Node Type': 'Hash Join',
+      'Join Type': 'Inner',
+      'Hash Cond': '(o.customer_id = c.id)',
+      'Startup Cost': 1,
+      'Total Cost': 100,
+      'Plan Rows': 10,
+      ...actual(500, 1, 20),
+      'Plans': [
+        {
+          'Node Type': 'Seq Scan',
+          'Schema': 'public',
+          'Relation Name': 'orders',
+          'Filter': '(total > 10)',
+          'Startup Cost': 0,
+          'Total Cost': 60,
+          'Plan Rows': 1000,
+          ...actual(1000, 1, 12),
+        },
+        {
+          'Node Type': 'Hash',
+          'Startup Cost': 25,
+          'Total Cost': 30,
+          'Plan Rows': 10,
+          ...actual(10, 1, 3),
+          'Plans': [{
+            'Node Type': 'Index Scan',
+            'Relation Name': 'customers',
+            'Index Name': 'customers_pkey',
+            'Index Cond': '(id = 1)',
+            'Startup Cost': 0,
+            'Total Cost': 25,
+            'Plan Rows': 1,
+            ...actual(2, 5, 0.5),
+          }],
+        },
+      ],
+    },
+    ...(analyzed ? { 'Planning Time': 0.2, 'Execution Time': 20.5 } : {}),
+  }];
+}
+
+test('summarizePlan ranks estimated plans by exclusive cost', () => {
+  const { plan, summary } = summarizePlan(explainOutput(false));
+
+  assert.strictEqual(plan.children[0].relation, 'public.orders');
+  assert.strictEqual(plan.children[1].children[0].index, 'customers_pkey');
+  assert.strictEqual(plan.filter, '(o.customer_id = c.id)');
+  assert.strictEqual(plan.exclusiveCost, 10);
+  assert.strictEqual(summary.nodeCount, 4);
+  assert.strictEqual(summary.actualRows, undefined);
+  assert.deepStrictEqual(summary.sequentialScans, [
+    { relation: 'public.orders', filter: '(total > 10)', planRows: 1000, actualRows: undefined },
+  ]);
+  assert.deepStrictEqual(summary.misestimates, []);
+  assert.deepStrictEqual(summary.mostExpensive.map(node => [node.nodeType, node.exclusiveCost]), [
+    ['Seq Scan', 60],
+    ['Index Scan', 25],
+    ['Hash Join', 10],
+  ]);
+});
+
+test('summarizePlan reports misestimates and ranks analyzed plans by exclusive time', () => {
+  const { plan, summary } = summarizePlan(explainOutput(true));
+
+  // Actual rows and time of a node are per loop
+  const indexScan = plan.children[1].children[0];
+  assert.strictEqual(indexScan.actualRows, 10);
+  assert.strictEqual(indexScan.actualTime, 2.5);
+  assert.strictEqual(summary.executionTime, 20.5);
+  assert.deepStrictEqual(summary.misestimates, [
+    { nodeType: 'Hash Join', relation: undefined, estimatedRows: 10, actualRows: 500 },
+  ]);
+  assert.deepStrictEqual(summary.mostExpensive.map(node => [node.nodeType, node.exclusiveTime]), [
+    ['Seq Scan', 12],
+    ['Hash Join', 5],
+    ['Index Scan', 2.5],
+  ]);
+});
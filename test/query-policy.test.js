@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse } = require('pgsql-ast-parser');
+const {
+  loadQueryPolicy,
+  classifyStatement,
+  collectRelations,
+  checkQuery,
+  resolveStatementTimeout,
+  isRelationAllowed,
+  isQueryTextVisible,
+} = require('../lib/query-policy');
+
+const readOnly = loadQueryPolicy({});
+
+test('loadQueryPolicy defaults to read-only', () => {
+  assert.strictEqual(readOnly.readOnly, true);
+  assert.strictEqual(readOnly.allowDml, false);
+  assert.strictEqual(readOnly.allowDdl, false);
+  assert.deepStrictEqual(readOnly.allowedSchemas, []);
+  assert.deepStrictEqual(readOnly.allowedFunctions, []);
+});
+
+test('loadQueryPolicy reads lists and switches from the environment', () => {
+  const policy = loadQueryPolicy({
+    METIS_DB_ALLOW_DML: 'true',
+    METIS_DB_ALLOWED_SCHEMAS: 'Public, sales',
+    METIS_DB_ALLOWED_TABLES: 'public.Users',
+    METIS_DB_ALLOWED_FUNCTIONS: 'app.score',
+  });
+  assert.strictEqual(policy.readOnly, false);
+  assert.strictEqual(policy.allowDml, true);
+  assert.deepStrictEqual(policy.allowedSchemas, ['public', 'sales']);
+  assert.deepStrictEqual(policy.allowedTables, ['public.users']);
+  assert.deepStrictEqual(policy.allowedFunctions, ['app.score']);
+});
+
+test('classifyStatement sorts statements into read, dml, ddl and utility', () => {
+  const kinds = parse('SELECT 1; INSERT INTO t VALUES (1); CREATE TABLE t (a int); SET x = 1')
+    .map(classifyStatement);
+  assert.deepStrictEqual(kinds, ['read', 'dml', 'ddl', 'utility']);
+});
+
+test('collectRelations resolves pg_* names to pg_catalog and skips CTEs', () => {
+  const [statement] = parse(
+    'WITH recent AS (SELECT * FROM orders) SELECT * FROM recent JOIN pg_authid ON true JOIN sales.items ON true'
+  );
+  assert.deepStrictEqual(collectRelations(statement), [
+    { schema: 'public', name: 'orders' },
+    { schema: 'pg_catalog', name: 'pg_authid' },
+    { schema: 'sales', name: 'items' },
+  ]);
+});
+
+test('checkQuery allows plain reads', () => {
+  const result = checkQuery('SELECT count(*), lower(name) FROM users GROUP BY 2', readOnly);
+  assert.strictEqual(result.allowed, true);
+  assert.deepStrictEqual(result.statements[0].relations, [{ schema: 'public', name: 'users' }]);
+});
+
+test('checkQuery rejects writes in read-only mode', () => {
+  const dml = checkQuery('SELECT 1; DELETE FROM users', readOnly);
+  assert.strictEqual(dml.allowed, false);
+  assert.strictEqual(dml.rejection.code, 'DML_NOT_ALLOWED');
+  assert.strictEqual(dml.rejection.statementIndex, 1);
+  assert.strictEqual(checkQuery('DROP TABLE users', readOnly).rejection.code, 'DDL_NOT_ALLOWED');
+  assert.strictEqual(checkQuery('SET search_path = secrets', readOnly).rejection.code, 'STATEMENT_NOT_ALLOWED');
+});
+
+test('checkQuery reports parse errors', () => {
+  const result = checkQuery('SELEC 1', readOnly);
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.rejection.code, 'PARSE_ERROR');
+});
+
+test('checkQuery enforces the schema and table allowlists', () => {
+  const policy = loadQueryPolicy({ METIS_DB_ALLOWED_TABLES: 'public.users' });
+  assert.strictEqual(checkQuery('SELECT * FROM users', policy).allowed, true);
+  const rejected = checkQuery('SELECT * FROM users JOIN secrets ON true', policy);
+  assert.strictEqual(rejected.rejection.code, 'TABLE_NOT_ALLOWED');
+  assert.strictEqual(rejected.rejection.relation, 'public.secrets');
+
+  const schemas = loadQueryPolicy({ METIS_DB_ALLOWED_SCHEMAS: 'public' });
+  assert.strictEqual(checkQuery('SELECT * FROM hr.salaries', schemas).rejection.code, 'SCHEMA_NOT_ALLOWED');
+});
+
+test('checkQuery denies catalog relations unless they are listed', () => {
+  const policy = loadQueryPolicy({ METIS_DB_ALLOWED_SCHEMAS: 'public' });
+  for (const sql of [
+    'SELECT * FROM pg_authid',
+    'SELECT * FROM pg_shadow',
+    'SELECT * FROM pg_stat_activity',
+    'SELECT * FROM information_schema.tables',
+  ]) {
+    assert.strictEqual(checkQuery(sql, policy).rejection.code, 'CATALOG_NOT_ALLOWED', sql);
+  }
+  assert.strictEqual(checkQuery('SELECT * FROM pg_class', readOnly).rejection.code, 'CATALOG_NOT_ALLOWED');
+
+  const listed = loadQueryPolicy({ METIS_DB_ALLOWED_TABLES: 'pg_catalog.pg_class' });
+  assert.strictEqual(checkQuery('SELECT relname FROM pg_class', listed).allowed, true);
+});
+
+test('checkQuery only allows allowlisted functions in read-only mode', () => {
+  for (const sql of [
+    "SELECT query_to_xml('SELECT * FROM secrets', true, true, '')",
+    "SELECT set_config('statement_timeout', '0', false)",
+    'SELECT pg_terminate_backend(42)',
+    'SELECT id FROM users WHERE id = pg_sleep(10)::text::int',
+  ]) {
+    assert.strictEqual(checkQuery(sql, readOnly).rejection.code, 'FUNCTION_NOT_ALLOWED', sql);
+  }
+  const rejected = checkQuery('SELECT app.score(id) FROM users', readOnly);
+  assert.strictEqual(rejected.rejection.function, 'app.score');
+
+  assert.strictEqual(checkQuery('SELECT pg_catalog.upper(name), now() FROM users', readOnly).allowed, true);
+  const extended = loadQueryPolicy({ METIS_DB_ALLOWED_FUNCTIONS: 'app.score' });
+  assert.strictEqual(checkQuery('SELECT app.score(id) FROM users', extended).allowed, true);
+
+  const writable = loadQueryPolicy({ METIS_DB_ALLOW_DML: 'true' });
+  assert.strictEqual(checkQuery("SELECT set_config('a.b', 'c', false)", writable).allowed, true);
+});
+
+test('resolveStatementTimeout caps requested timeouts at the policy limit', () => {
+  assert.strictEqual(resolveStatementTimeout(readOnly), 30000);
+  assert.strictEqual(resolveStatementTimeout(readOnly, 5000), 5000);
+  assert.strictEqual(resolveStatementTimeout(readOnly, 60000), 30000);
+});
+
+test('isRelationAllowed applies the allowlists to schemas and tables', () => {
+  const policy = loadQueryPolicy({ METIS_DB_ALLOWED_SCHEMAS: 'public', METIS_DB_ALLOWED_TABLES: 'public.users' });
+  assert.strictEqual(isRelationAllowed(policy, 'public'), true);
+  assert.strictEqual(isRelationAllowed(policy, 'Public', 'Users'), true);
+  assert.strictEqual(isRelationAllowed(policy, 'public', 'orders'), false);
+  assert.strictEqual(isRelationAllowed(policy, 'hr'), false);
+});
+
+test('isQueryTextVisible hides recorded queries on denied relations', () => {
+  const policy = loadQueryPolicy({ METIS_DB_ALLOWED_TABLES: 'public.users' });
+  assert.strictEqual(isQueryTextVisible('SELECT * FROM users WHERE id = $1', policy), true);
+  assert.strictEqual(isQueryTextVisible('UPDATE users SET name = $1 WHERE id = $2', policy), true);
+  assert.strictEqual(isQueryTextVisible('SELECT * FROM salaries WHERE id = $1', policy), false);
+  assert.strictEqual(isQueryTextVisible('SELECT * FROM pg_authid', policy), false);
+  assert.strictEqual(isQueryTextVisible('VACUUM (VERBOSE) salaries', policy), false);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  lexicalScores,
+  createLlmReranker,
+  createReranker,
+  limitPerGroup,
+  maximalMarginalRelevance,
+  postProcess,
+  toCandidates,
+  fromCandidates,
+} = require('../lib/reranking');
+
+const candidates = [
+  { id: 'a', document: 'postgres vector index', metadata: { source: 'a.md' }, distance: 0.1, embedding: [1, 0] },
+  { id: 'a2', document: 'postgres vector index again', metadata: { source: 'a.md' }, distance: 0.12, embedding: [0.99, 0.01] },
+  { id: 'b', document: 'chroma collections', metadata: { source: 'b.md' }, distance: 0.3, embedding: [0, 1] },
+];
+
+test('lexicalScores is the share of query terms a candidate contains', async () => {
+  assert.deepStrictEqual(await lexicalScores('postgres collections', candidates), [0.5, 0.5, 0.5]);
+  assert.deepStrictEqual(await lexicalScores('vector index', candidates), [1, 1, 0]);
+  assert.deepStrictEqual(await lexicalScores('', candidates), [0, 0, 0]);
+});
+
+test('the LLM re-ranker rates passages in batches and rejects malformed ratings', async () => {
+  const prompts = [];
+  const many = Array.from({ length: 12 }, (_, index) => ({ id: String(index), document: `passage ${index}` }));
+  const reranker = createLlmReranker(async (prompt) => {
+    prompts.push(prompt);
+    const count = (prompt.match(/^\[\d+\]/gm) || []).length;
+    return `Ratings: ${JSON.stringify(Array.from({ length: count }, (_, index) => index))}`;
+  });
+
+  const scores = await reranker('query', many);
+  assert.strictEqual(prompts.length, 2);
+  assert.deepStrictEqual(scores, [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 0, 1]);
+
+  const broken = createLlmReranker(async () => '[1, "high"]');
+  await assert.rejects(broken('query', candidates.slice(0, 2)), /one numeric rating per passage/);
+  assert.throws(() => createReranker('cross-encoder'), /Unsupported re-ranker: cross-encoder/);
+});
+
+test('limitPerGroup keeps the best candidates of each group and those without the key', () => {
+  const withoutSource = { id: 'c', metadata: {} };
+  assert.deepStrictEqual(limitPerGroup([...candidates, withoutSource], 'source').map(candidate => candidate.id), ['a', 'b', 'c']);
+  assert.strictEqual(limitPerGroup(candidates, 'source', 2).length, 3);
+});
+
+test('MMR trades relevance for diversity by lambda', () => {
+  const diverse = maximalMarginalRelevance(candidates, { k: 2, lambda: 0.5 });
+  assert.deepStrictEqual(diverse.map(candidate => candidate.id), ['a', 'b']);
+  assert.strictEqual(diverse[0].mmrScore, 0.5);
+
+  assert.deepStrictEqual(maximalMarginalRelevance(candidates, { k: 2, lambda: 1 }).map(candidate => candidate.id), ['a', 'a2']);
+  assert.deepStrictEqual(maximalMarginalRelevance([], { k: 2 }), []);
+});
+
+test('postProcess re-ranks before grouping and cuts to nResults', async () => {
+  const results = await postProcess('chroma', candidates, {
+    nResults: 2,
+    reranker: createReranker('lexical'),
+    groupBy: 'source',
+    maxPerGroup: 1,
+  });
+  assert.deepStrictEqual(results.map(candidate => [candidate.id, candidate.rerankScore]), [['b', 1], ['a', 0]]);
+});
+
+test('candidates convert from and back to a Chroma query response', () => {
+  const response = {
+    ids: [['a', 'b']],
+    documents: [['doc a', 'doc b']],
+    metadatas: [[{ n: 1 }, { n: 2 }]],
+    distances: [[0.1, 0.2]],
+    embeddings: null,
+  };
+  const list = toCandidates(response, 0);
+  assert.deepStrictEqual(list[1], { id: 'b', document: 'doc b', metadata: { n: 2 }, distance: 0.2, embedding: null });
+
+  assert.deepStrictEqual(fromCandidates([[{ ...list[0], rerankScore: 3 }]], ['documents']), {
+    ids: [['a']],
+    documents: [['doc a']],
+    metadatas: null,
+    distances: null,
+    embeddings: null,
+    rerankScores: [[3]],
+    mmrScores: undefined,
+  });
+});
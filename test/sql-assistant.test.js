@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { selectRelevantRelations, extractSql, askDatabase } = require('../lib/sql-assistant');
+
+const relations = [
+  { name: 'public.customers', columns: [{ name: 'id' }, { name: 'name' }], comment: null },
+  { name: 'public.orders', columns: [{ name: 'id' }, { name: 'customer_id' }, { name: 'total' }], comment: null },
+  { name: 'public.invoices', columns: [{ name: 'id' }, { name: 'amount' }], comment: 'Billing documents' },
+  { name: 'public.audit_log', columns: [{ name: 'event' }], comment: null },
+];
+const foreignKeys = [{ from: 'public.orders(customer_id)', to: 'public.customers(id)' }];
+
+/**
+ * Options for askDatabase with a scripted model and a recording database
+ */
+function stubbedOptions(responses, validate) {
+  const prompts = [];
+  const executed = [];
+  return {
+    prompts,
+    executed,
+    options: {
+      question: 'What is the total of all orders?',
+      maxTables: 1,
+      generate: async (prompt) => {
+        prompts.push(prompt);
+        return responses.shift();
+      },
+      describe: async () => ({ relations, foreignKeys }),
+      formatSchema: selected => selected.map(relation => relation.name).join('\n'),
+      validate,
+      execute: async (sql) => {
+        executed.push(sql);
+        return { data: [{ sum: '42.50' }], rowCount: 1 };
+      },
+    },
+  };
+}
+
+test('selectRelevantRelations scores names and follows foreign keys', () => {
+  const selected = selectRelevantRelations('total of orders', relations, foreignKeys, 2);
+  assert.deepStrictEqual(selected.map(relation => relation.name), ['public.customers', 'public.orders']);
+  assert.strictEqual(selectRelevantRelations('anything', relations, foreignKeys, 10).length, 4);
+});
+
+test('extractSql takes the fenced query and drops the semicolon', () => {
+  assert.strictEqual(extractSql('Here:\n```sql\nSELECT 1;\n```'), 'SELECT 1');
+  assert.strictEqual(extractSql('SELECT 2;  '), 'SELECT 2');
+});
+
+test('askDatabase shows the model only the selected tables and answers from the result', async () => {
+  const { options, prompts, executed } = stubbedOptions(
+    ['```sql\nSELECT sum(total) FROM orders;\n```', ' The orders total 42.50. '],
+    async () => {}
+  );
+
+  const outcome = await askDatabase(options);
+
+  assert.strictEqual(outcome.answered, true);
+  assert.deepStrictEqual(outcome.tables, ['public.orders']);
+  assert.strictEqual(outcome.sql, 'SELECT sum(total) FROM orders');
+  assert.strictEqual(outcome.answer, 'The orders total 42.50.');
+  assert.deepStrictEqual(executed, ['SELECT sum(total) FROM orders']);
+  assert.match(prompts[0], /public\.orders/);
+  assert.doesNotMatch(prompts[0], /public\.invoices/);
+  assert.match(prompts[1], /"sum":"42\.50"/);
+});
+
+test('askDatabase retries with the EXPLAIN error of a failed attempt', async () => {
+  const { options, prompts, executed } = stubbedOptions(
+    ['SELECT sum(totl) FROM orders', 'SELECT sum(total) FROM orders', 'The total is 42.50.'],
+    async (sql) => {
+      if (sql.includes('totl')) {
+        throw new Error('column "totl" does not exist');
+      }
+    }
+  );
+
+  const outcome = await askDatabase(options);
+
+  assert.strictEqual(outcome.answered, true);
+  assert.deepStrictEqual(outcome.attempts, [
+    { sql: 'SELECT sum(totl) FROM orders', error: 'column "totl" does not exist' },
+  ]);
+  assert.match(prompts[1], /Previous attempts failed:\nSQL: SELECT sum\(totl\) FROM orders\nError: column "totl" does not exist/);
+  assert.deepStrictEqual(executed, ['SELECT sum(total) FROM orders']);
+});
+
+test('askDatabase gives up after maxAttempts', async () => {
+  const { options, executed } = stubbedOptions(
+    ['DELETE FROM orders', 'DROP TABLE orders'],
+    async () => {
+      throw new Error('Only a single read-only query is allowed');
+    }
+  );
+
+  const outcome = await askDatabase({ ...options, maxAttempts: 2 });
+
+  assert.strictEqual(outcome.answered, false);
+  assert.strictEqual(outcome.attempts.length, 2);
+  assert.deepStrictEqual(executed, []);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { toIdentifier, columnNames, inferColumnType, tableImportStatements } = require('../lib/table-import');
+const { findMarkdownTables } = require('../lib/table-extraction');
+
+test('toIdentifier makes labels SQL-safe', () => {
+  assert.strictEqual(toIdentifier('Unit Price (€)'), 'unit_price');
+  assert.strictEqual(toIdentifier('Été'), 'ete');
+  assert.strictEqual(toIdentifier('2024 total'), 'c_2024_total');
+  assert.strictEqual(toIdentifier('x'.repeat(80)).length, 63);
+  assert.strictEqual(toIdentifier('---'), null);
+});
+
+test('columnNames are unique and never empty', () => {
+  assert.deepStrictEqual(columnNames(['Price', 'price', '', 'Price']), ['price', 'price_2', 'column_3', 'price_3']);
+});
+
+test('inferColumnType picks the narrowest type of the non-empty values', () => {
+  assert.strictEqual(inferColumnType(['1', ' -2 ', '']), 'integer');
+  assert.strictEqual(inferColumnType(['1', '3000000000']), 'bigint');
+  assert.strictEqual(inferColumnType(['9007199254740993']), 'numeric');
+  assert.strictEqual(inferColumnType(['1.5', '1,234,567.89', '2e3']), 'numeric');
+  assert.strictEqual(inferColumnType(['true', 'FALSE']), 'boolean');
+  assert.strictEqual(inferColumnType(['2024-02-29', '2023-12-31']), 'date');
+  assert.strictEqual(inferColumnType(['2023-02-29']), 'text');
+  assert.strictEqual(inferColumnType(['', ' ']), 'text');
+  assert.strictEqual(inferColumnType(['1', 'n/a']), 'text');
+});
+
+test('tableImportStatements creates the table and inserts parameterized rows', () => {
+  const table = { headers: ['Name', 'Price'], rows: [['Tea', '1,200.50'], [' Cake ', '']] };
+  const { table: name, columns, statements } = tableImportStatements(table, { tableName: 'My Prices', ifExists: 'replace' });
+
+  assert.strictEqual(name, 'public.my_prices');
+  assert.deepStrictEqual(columns.map(column => column.type), ['text', 'numeric']);
+  assert.deepStrictEqual(statements, [
+    { query: 'DROP TABLE IF EXISTS "public"."my_prices"', params: [] },
+    { query: 'CREATE TABLE "public"."my_prices" ("name" text, "price" numeric)', params: [] },
+    {
+      query: 'INSERT INTO "public"."my_prices" ("name", "price") VALUES ($1, $2), ($3, $4)',
+      params: ['Tea', '1200.50', ' Cake ', null],
+    },
+  ]);
+});
+
+test('tableImportStatements appends to existing tables and batches large inserts', () => {
+  const rows = Array.from({ length: 3500 }, (_, index) => [String(index), 'a', 'b']);
+  const { statements } = tableImportStatements({ headers: ['id', 'x', 'y'], rows }, {
+    schema: 'staging',
+    tableName: 'items',
+    ifExists: 'append',
+  });
+
+  assert.strictEqual(statements[0].query, 'CREATE TABLE IF NOT EXISTS "staging"."items" ("id" integer, "x" text, "y" text)');
+  assert.deepStrictEqual(statements.slice(1).map(statement => statement.params.length), [9999, 501]);
+});
+
+test('tableImportStatements rejects unknown modes and empty table names', () => {
+  const table = { headers: ['a'], rows: [] };
+  assert.throws(() => tableImportStatements(table, { tableName: 't', ifExists: 'merge' }), /Unsupported ifExists mode: merge/);
+  assert.throws(() => tableImportStatements(table, { tableName: '!!' }), /Invalid table name/);
+});
+
+test('findMarkdownTables reads pipe tables outside code blocks', () => {
+  const text = '# Prices\n\n| Name | Price \\| € |\n|:--|--:|\n| Tea | 1.50 |\n| Cake |\n\n```\n| a | b |\n|---|---|\n```\n';
+  assert.deepStrictEqual(findMarkdownTables(text), [{
+    format: 'markdown',
+    startLine: 3,
+    endLine: 6,
+    headingPath: ['Prices'],
+    headers: ['Name', 'Price | €'],
+    rows: [['Tea', '1.50'], ['Cake', '']],
+  }]);
+});
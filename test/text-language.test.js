@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectLanguage } = require('../lib/text-language');
+
+test('short English sentences with articles are English', () => {
+  assert.strictEqual(detectLanguage('Install a package, then run a script to build a release.').language, 'en');
+  assert.strictEqual(detectLanguage('Add an index to the table when the queries are slow.').language, 'en');
+});
+
+test('Latin-script languages are told by their function words', () => {
+  const samples = {
+    fr: 'Le chat est sur la table et les enfants sont dans le jardin avec leur mère.',
+    de: 'Der Hund ist nicht im Haus, und die Katze schläft auf dem Sofa.',
+    es: 'El perro come la comida de la casa y se va con su amigo al parque.',
+    it: 'Il gatto è sulla tavola e i bambini sono nel giardino con la madre.',
+    pt: 'O gato está na mesa e as crianças estão no jardim com a mãe.',
+    nl: 'De kat zit op de tafel en de kinderen zijn in de tuin met hun moeder.',
+  };
+  for (const [language, text] of Object.entries(samples)) {
+    assert.strictEqual(detectLanguage(text).language, language, text);
+  }
+});
+
+test('only prose is scored', () => {
+  const text = [
+    '---',
+    'title: Le guide de la configuration',
+    '---',
+    '',
+    'This guide explains how to configure the server.',
+    '',
+    '```js',
+    'const de = la.que(el, os, um, una, para, con);',
+    '```',
+    '',
+    'Run `de la que el` from the root of the project, see https://example.com/de/la/que/el/los.',
+  ].join('\n');
+  assert.strictEqual(detectLanguage(text).language, 'en');
+  assert.strictEqual(detectLanguage('```\nthe and of to is in that it\n```\n'), null);
+});
+
+test('ambiguous and short texts have no language', () => {
+  assert.strictEqual(detectLanguage('de la que en un'), null);
+  assert.strictEqual(detectLanguage('Hello world'), null);
+  assert.strictEqual(detectLanguage('1234 5678'), null);
+});
+
+test('non-Latin scripts decide the language', () => {
+  assert.deepStrictEqual(detectLanguage('Привет, как дела?'), { language: 'ru', confidence: 1 });
+  assert.strictEqual(detectLanguage('Привіт, як справи?').language, 'uk');
+  assert.strictEqual(detectLanguage('東京は日本の首都です。').language, 'ja');
+  assert.strictEqual(detectLanguage('北京是中国的首都。').language, 'zh');
+});
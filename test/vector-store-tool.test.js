@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { registerVectorStoreTools } = require('../tools/vector-store-tool');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metis-tools-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// Tool handlers by name, registered on a stand-in server
+const tools = {};
+registerVectorStoreTools({ addTool: tool => { tools[tool.name] = tool.handler; } });
+
+/**
+ * Call a tool and fail the test when it reports an error
+ */
+async function call(name, params) {
+  const result = await tools[name](params);
+  assert.strictEqual(result.success, true, `${name}: ${result.error}`);
+  return result;
+}
+
+test('documents are added, queried and deleted through the tools on the local backend', async () => {
+  const storePath = path.join(directory, 'store.bin');
+  await call('init_vector_store', { backend: 'local', path: storePath, format: 'binary' });
+  await call('get_or_create_collection', { name: 'notes', embeddingFunction: { type: 'hash', dimension: 64 } });
+
+  const added = await call('add_documents', {
+    ids: ['pg', 'chroma', 'cooking'],
+    documents: [
+      'postgres stores vectors with the pgvector extension',
+      'chroma is an embedding database',
+      'slow cooking recipes for winter stews',
+    ],
+    metadatas: [{ topic: 'db' }, { topic: 'db' }, { topic: 'food' }],
+  });
+  assert.strictEqual(added.count, 3);
+
+  const { results } = await call('query_collection', { queryTexts: ['pgvector extension for postgres'], nResults: 2 });
+  assert.strictEqual(results.ids[0][0], 'pg');
+  assert.strictEqual(results.documents[0].length, 2);
+
+  const filtered = await call('query_collection', { queryTexts: ['winter recipes'], filter: { topic: 'db' } });
+  assert.deepStrictEqual(filtered.results.ids[0].sort(), ['chroma', 'pg']);
+
+  const deleted = await call('delete_documents', { where: { topic: 'db' } });
+  assert.strictEqual(deleted.count, 2);
+  const rejected = await tools.delete_documents({ where: {} });
+  assert.match(rejected.error, /non-empty where filter/);
+
+  // The store was persisted and reloads with the remaining document
+  await call('init_vector_store', { backend: 'local', path: storePath, format: 'binary' });
+  const remaining = await call('get_documents', { collection: 'notes' });
+  assert.deepStrictEqual(remaining.results.ids, ['cooking']);
+});
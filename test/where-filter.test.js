@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  whereToSql,
+  whereDocumentToSql,
+  matchesWhere,
+  matchesWhereDocument,
+} = require('../lib/vector-stores/where-filter');
+
+/**
+ * Collect query parameters the way the pgvector backend does
+ */
+function params() {
+  const values = [];
+  return { values, addParam: value => `$${values.push(value)}` };
+}
+
+test('whereToSql builds parameterized jsonb conditions', () => {
+  const { values, addParam } = params();
+  const sql = whereToSql({ source: 'a.md', page: { $gte: 2 } }, 'metadata', addParam);
+  assert.strictEqual(
+    sql,
+    "(metadata -> $1 = $2::jsonb AND (CASE WHEN jsonb_typeof(metadata -> $3) = 'number' " +
+      'THEN (metadata ->> $3)::numeric >= $4 ELSE FALSE END))'
+  );
+  assert.deepStrictEqual(values, ['source', '"a.md"', 'page', 2]);
+});
+
+test('whereToSql nests $and and $or and treats empty filters as TRUE', () => {
+  const { addParam } = params();
+  const sql = whereToSql({ $or: [{ a: 1 }, { b: { $in: [1, 2] } }] }, 'm', addParam);
+  assert.strictEqual(sql, '(m -> $1 = $2::jsonb OR $4::jsonb @> jsonb_build_array(m -> $3))');
+  assert.strictEqual(whereToSql({}, 'm', addParam), 'TRUE');
+  assert.strictEqual(whereToSql(undefined, 'm', addParam), 'TRUE');
+});
+
+test('whereToSql rejects unknown operators and non-numeric comparisons', () => {
+  const { addParam } = params();
+  assert.throws(() => whereToSql({ a: { $like: 'x' } }, 'm', addParam), /Unsupported where operator: \$like/);
+  assert.throws(() => whereToSql({ a: { $gt: '1' } }, 'm', addParam), /requires a number/);
+  assert.throws(() => whereToSql({ $and: { a: 1 } }, 'm', addParam), /requires an array/);
+});
+
+test('whereDocumentToSql uses strpos for text conditions', () => {
+  const { values, addParam } = params();
+  const sql = whereDocumentToSql({ $or: [{ $contains: 'foo' }, { $not_contains: 'bar' }] }, 'document', addParam);
+  assert.strictEqual(sql, '(strpos(document, $1) > 0 OR strpos(document, $2) = 0)');
+  assert.deepStrictEqual(values, ['foo', 'bar']);
+});
+
+test('matchesWhere evaluates filters like the SQL translation', () => {
+  const metadata = { source: 'a.md', page: 3, tags: ['x'] };
+  assert.strictEqual(matchesWhere({ source: 'a.md' }, metadata), true);
+  assert.strictEqual(matchesWhere({ tags: ['x'] }, metadata), true);
+  assert.strictEqual(matchesWhere({ page: { $gt: 2, $lte: 3 } }, metadata), true);
+  assert.strictEqual(matchesWhere({ page: { $in: [1, 2] } }, metadata), false);
+  assert.strictEqual(matchesWhere({ $or: [{ source: 'b.md' }, { page: 3 }] }, metadata), true);
+  assert.strictEqual(matchesWhere({ source: { $gt: 1 } }, metadata), false);
+  assert.strictEqual(matchesWhere({}, metadata), true);
+});
+
+test('conditions on a field only match records that have it', () => {
+  assert.strictEqual(matchesWhere({ author: { $ne: 'x' } }, { source: 'a.md' }), false);
+  assert.strictEqual(matchesWhere({ author: { $nin: ['x'] } }, { source: 'a.md' }), false);
+  assert.strictEqual(matchesWhere({ author: { $ne: 'x' } }, null), false);
+});
+
+test('matchesWhereDocument needs document text', () => {
+  assert.strictEqual(matchesWhereDocument({ $contains: 'foo' }, 'a foo b'), true);
+  assert.strictEqual(matchesWhereDocument({ $not_contains: 'foo' }, 'bar'), true);
+  assert.strictEqual(matchesWhereDocument({ $not_contains: 'foo' }, null), false);
+  assert.strictEqual(matchesWhereDocument({ $and: [{ $contains: 'a' }, { $contains: 'z' }] }, 'abc'), false);
+  assert.throws(() => matchesWhereDocument({ $regex: 'a' }, 'a'), /Unsupported document filter operator/);
+});
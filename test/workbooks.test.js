@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { readWorkbook } = require('../lib/workbooks');
+const { loadDocument } = require('../lib/document-loaders');
+const { extractTables } = require('../lib/table-extraction');
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'metis-workbooks-'));
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+/**
+ * A workbook with a table starting at B2, a blank row inside it, and an empty sheet
+ */
+async function workbookBuffer() {
+  const workbook = new ExcelJS.Workbook();
+  const people = workbook.addWorksheet('People');
+  people.getCell('B2').value = 'name';
+  people.getCell('C2').value = 'born';
+  people.getCell('D2').value = 'score';
+  people.getCell('B3').value = 'Ada';
+  people.getCell('C3').value = new Date(Date.UTC(1815, 11, 10));
+  people.getCell('D3').value = { formula: '2*21', result: 42 };
+  people.getCell('B5').value = 'Grace';
+  people.getCell('D5').value = 7.5;
+  workbook.addWorksheet('Empty');
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+test('readWorkbook returns the non-blank rows of each sheet from the first used column', async () => {
+  const sheets = await readWorkbook(await workbookBuffer());
+  assert.deepStrictEqual(sheets, [
+    {
+      sheet: 'People',
+      rows: [
+        { line: 2, fields: ['name', 'born', 'score'] },
+        { line: 3, fields: ['Ada', '1815-12-10', '42'] },
+        { line: 5, fields: ['Grace', '', '7.5'] },
+      ],
+    },
+    { sheet: 'Empty', rows: [] },
+  ]);
+});
+
+test('readWorkbook rejects workbooks over the size limit before parsing them', async () => {
+  await assert.rejects(readWorkbook(Buffer.alloc(2048), { maxBytes: 1024 }), /Workbook too large: 2048 bytes, the limit is 1024/);
+});
+
+test('workbooks load as row segments and extract as one table per sheet', async () => {
+  const filePath = path.join(directory, 'people.xlsx');
+  fs.writeFileSync(filePath, await workbookBuffer());
+
+  const document = await loadDocument(filePath);
+  assert.strictEqual(document.fileType, 'xlsx');
+  assert.deepStrictEqual(document.segments.map(segment => [segment.text, segment.metadata.row]), [
+    ['# People', undefined],
+    ['name: Ada\nborn: 1815-12-10\nscore: 42', 3],
+    ['name: Grace\nscore: 7.5', 5],
+  ]);
+
+  assert.deepStrictEqual(await extractTables({ filePath }), [{
+    index: 0,
+    format: 'xlsx',
+    sheet: 'People',
+    headers: ['name', 'born', 'score'],
+    rows: [['Ada', '1815-12-10', '42'], ['Grace', '', '7.5']],
+  }]);
+});
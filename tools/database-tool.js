@@ -6,162 +6,910 @@
  */
 
 const { McpServer } = require('@modelcontextprotocol/server');
-const { Pool } = require('pg'); // PostgreSQL client
-
-// Database connection configuration
-let pool;
-
-// Initialize the MCP server
-const server = new McpServer({
-  name: 'database-tool',
-  description: 'Tool for managing and accessing databases in the Metis application',
-});
-
-// Tool to initialize database connection
-server.addTool({
-  name: 'init_database_connection',
-  description: 'Initialize the database connection with the provided configuration',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      host: { type: 'string', description: 'Database host' },
-      port: { type: 'number', description: 'Database port' },
-      database: { type: 'string', description: 'Database name' },
-      user: { type: 'string', description: 'Database user' },
-      password: { type: 'string', description: 'Database password' },
-    },
-    required: ['host', 'database', 'user', 'password'],
-  },
-  handler: async (params) => {
-    try {
-      // Create a new pool with the provided configuration
-      pool = new Pool({
-        host: params.host,
-        port: params.port || 5432,
-        database: params.database,
-        user: params.user,
-        password: params.password,
-      });
-      
-      // Test the connection
-      const client = await pool.connect();
-      client.release();
-      
-      return { success: true, message: 'Database connection initialized successfully' };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
-});
-
-// Tool to execute a query
-server.addTool({
-  name: 'execute_query',
-  description: 'Execute a SQL query on the database',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      query: { type: 'string', description: 'SQL query to execute' },
-      params: { 
-        type: 'array', 
-        description: 'Query parameters', 
-        items: { type: 'string' } 
+const {
+  loadQueryPolicy,
+  checkQuery,
+  resolveStatementTimeout,
+  isRelationAllowed,
+  isQueryTextVisible,
+} = require('../lib/query-policy');
+const {
+  resolveLimits,
+  takePage,
+  openCursor,
+  fetchNextPage,
+  closeCursor,
+  closeCursorsForPool,
+} = require('../lib/query-cursors');
+const {
+  DEFAULT_CONNECTION_ID,
+  openConnection,
+  getConnection,
+  removeConnection,
+  listConnections,
+} = require('../lib/db-connections');
+const { describeTable, describeDatabase, formatDatabase } = require('../lib/db-introspection');
+const {
+  beginTransaction,
+  getTransaction,
+  commitTransaction,
+  rollbackTransaction,
+  rollbackTransactionsForPool,
+  runBatch,
+} = require('../lib/db-transactions');
+const { summarizePlan } = require('../lib/query-plans');
+const { prepareQuery, describeColumns } = require('../lib/pg-types');
+const { askDatabase } = require('../lib/sql-assistant');
+
+// Query policy, configured through METIS_DB_* environment variables
+const queryPolicy = loadQueryPolicy();
+
+// Schema for the connectionId argument shared by all tools
+const connectionIdProperty = {
+  type: 'string',
+  description: `ID of the database connection to use (default: ${DEFAULT_CONNECTION_ID})`,
+};
+
+// Schemas for typed query parameters
+const paramsProperty = {
+  type: 'array',
+  description: 'Query parameters: any JSON value (string, number, boolean, null, array or object)',
+  items: {},
+};
+const paramTypesProperty = {
+  type: 'array',
+  description: 'Optional type hints per parameter, e.g. ["uuid", null, "jsonb"]; hinted placeholders are cast ($1::uuid)',
+  items: { type: ['string', 'null'] },
+};
+
+/**
+ * Error returned when a tool names a connection that is not registered
+ */
+function connectionNotFound(connectionId) {
+  return {
+    success: false,
+    error: `Database connection '${connectionId || DEFAULT_CONNECTION_ID}' not initialized`,
+  };
+}
+
+/**
+ * Close the cursors and transactions of a connection and wait for its pool to drain
+ */
+async function drainConnection(connection) {
+  await closeCursorsForPool(connection.pool);
+  await rollbackTransactionsForPool(connection.pool);
+  await connection.pool.end();
+}
+
+/**
+ * Build a response page from a complete query result
+ * (the last result when several statements were run)
+ */
+function pageResult(result, limits) {
+  if (Array.isArray(result)) {
+    result = result[result.length - 1];
+  }
+  
+  const { page, rest, bytes } = takePage(result.rows || [], resolveLimits(limits));
+  return {
+    data: page,
+    rowCount: result.rowCount,
+    bytes,
+    truncated: rest.length > 0,
+    cursor: null,
+    fields: result.fields,
+  };
+}
+
+/**
+ * Replace the raw result fields of a page with column metadata
+ */
+async function withColumns(pool, page) {
+  const { fields, ...rest } = page;
+  return { ...rest, columns: await describeColumns(pool, fields) };
+}
+
+/**
+ * Check that a query is a single statement that can be declared as a cursor
+ */
+function isCursorQuery(check) {
+  return check.statements.length === 1 &&
+    check.statements[0].kind === 'read' &&
+    check.statements[0].type !== 'show';
+}
+
+/**
+ * Run a query in a transaction with a statement timeout,
+ * read-only when read-only mode is on
+ */
+async function runQuery(pool, query, values, timeout = queryPolicy.statementTimeout) {
+  const client = await pool.connect();
+  try {
+    await client.query(queryPolicy.readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+    await client.query(`SET LOCAL statement_timeout = ${timeout}`);
+    const result = await client.query(query, values);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Register the database tools on an MCP server
+ */
+function registerDatabaseTools(server) {
+  // Tool to initialize database connection
+  server.addTool({
+    name: 'init_database_connection',
+    description: 'Initialize a named database connection. An existing connection with the same ID is replaced and drained.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connectionId: connectionIdProperty,
+        host: { type: 'string', description: 'Database host' },
+        port: { type: 'number', description: 'Database port' },
+        database: { type: 'string', description: 'Database name' },
+        user: { type: 'string', description: 'Database user' },
+        password: { type: 'string', description: 'Database password' },
+        connectionString: { type: 'string', description: 'PostgreSQL connection string' },
+        profile: { type: 'string', description: 'Server-side connection profile, configured through METIS_DB_PROFILE_<NAME>_* environment variables' },
+      },
+    },
+    handler: async (params) => {
+      try {
+        const connectionId = params.connectionId || DEFAULT_CONNECTION_ID;
+        
+        // Create and test a new pool, then drain the one it replaces
+        const { connection, previous } = await openConnection(connectionId, params);
+        if (previous) {
+          await drainConnection(previous);
+        }
+        
+        return {
+          success: true,
+          message: `Database connection '${connectionId}' initialized successfully`,
+          connectionId,
+          database: connection.database,
+          replaced: Boolean(previous),
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to list database connections
+  server.addTool({
+    name: 'list_connections',
+    description: 'List the initialized database connections',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    handler: async () => {
+      return { success: true, connections: listConnections() };
+    },
+  });
+
+  // Tool to close a database connection
+  server.addTool({
+    name: 'close_connection',
+    description: 'Close a database connection, its open cursors and its pool',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connectionId: connectionIdProperty,
+      },
+    },
+    handler: async (params) => {
+      try {
+        const connection = removeConnection(params.connectionId || DEFAULT_CONNECTION_ID);
+        if (!connection) {
+          return connectionNotFound(params.connectionId);
+        }
+        
+        await drainConnection(connection);
+        
+        return { success: true, message: `Database connection '${connection.id}' closed successfully` };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to execute a query
+  server.addTool({
+    name: 'execute_query',
+    description: 'Execute a SQL query on the database, subject to the configured query policy',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connectionId: connectionIdProperty,
+        transactionId: { type: 'string', description: 'Run the query inside a transaction started with begin_transaction' },
+        query: { type: 'string', description: 'SQL query to execute' },
+        params: paramsProperty,
+        paramTypes: paramTypesProperty,
+        pageSize: { type: 'number', description: 'Maximum number of rows to return per page', default: 100 },
+        maxBytes: { type: 'number', description: 'Maximum size of a page in bytes (JSON-encoded)', default: 262144 },
+        timeoutMs: { type: 'number', description: 'Statement timeout in milliseconds, capped by the server limit' },
+      },
+      required: ['query'],
+    },
+    handler: async (params) => {
+      try {
+        // Reject statements the policy does not allow before they reach the
+        // database; the check runs on the text that is sent, type casts included
+        const { text, values } = prepareQuery(params.query, params.params, params.paramTypes);
+        const check = checkQuery(text, queryPolicy);
+        if (!check.allowed) {
+          return {
+            success: false,
+            error: `Query rejected by policy: ${check.rejection.message}`,
+            rejection: check.rejection,
+          };
+        }
+        
+        const timeout = resolveStatementTimeout(queryPolicy, params.timeoutMs);
+        
+        // Inside a transaction the query runs on the transaction's own client
+        if (params.transactionId) {
+          const transaction = getTransaction(params.transactionId);
+          await transaction.client.query(`SET LOCAL statement_timeout = ${timeout}`);
+          const result = await transaction.client.query(text, values);
+          const page = await withColumns(transaction.pool, pageResult(result, params));
+          return { success: true, ...page, transactionId: transaction.id };
+        }
+        
+        const connection = getConnection(params.connectionId);
+        if (!connection) {
+          return connectionNotFound(params.connectionId);
+        }
+        
+        // A single read statement is paged through a server-side cursor
+        if (isCursorQuery(check)) {
+          const page = await openCursor(connection.pool, text, values, {
+            readOnly: queryPolicy.readOnly,
+            timeout,
+            pageSize: params.pageSize,
+            maxBytes: params.maxBytes,
+          });
+          return { success: true, ...(await withColumns(connection.pool, page)) };
+        }
+        
+        const result = await runQuery(connection.pool, text, values, timeout);
+        return { success: true, ...(await withColumns(connection.pool, pageResult(result, params))) };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to run several statements in one transaction
+  server.addTool({
+    name: 'execute_batch',
+    description: 'Execute an ordered list of SQL statements in a single transaction and return the result of each',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connectionId: connectionIdProperty,
+        statements: {
+          type: 'array',
+          description: 'Statements to execute, in order',
+          items: {
+            type: 'object',
+            properties: {
+              query: { type: 'string', description: 'SQL statement to execute' },
+              params: paramsProperty,
+              paramTypes: paramTypesProperty,
+            },
+            required: ['query'],
+          },
+        },
+        pageSize: { type: 'number', description: 'Maximum number of rows to return per statement', default: 100 },
+        maxBytes: { type: 'number', description: 'Maximum size of each statement result in bytes (JSON-encoded)', default: 262144 },
       },
+      required: ['statements'],
     },
-    required: ['query'],
-  },
-  handler: async (params) => {
-    try {
-      if (!pool) {
-        return { success: false, error: 'Database connection not initialized' };
+    handler: async (params) => {
+      try {
+        const connection = getConnection(params.connectionId);
+        if (!connection) {
+          return connectionNotFound(params.connectionId);
+        }
+        
+        const statements = params.statements.map(statement => {
+          const { text, values } = prepareQuery(statement.query, statement.params, statement.paramTypes);
+          return { query: text, params: values };
+        });
+        
+        // Check every statement, as it will be sent, before any of them runs
+        for (let index = 0; index < statements.length; index++) {
+          const check = checkQuery(statements[index].query, queryPolicy);
+          if (!check.allowed) {
+            return {
+              success: false,
+              error: `Statement ${index} rejected by policy: ${check.rejection.message}`,
+              rejection: { ...check.rejection, batchIndex: index },
+            };
+          }
+        }
+        const toPages = results => Promise.all(
+          results.map(result => withColumns(connection.pool, pageResult(result, params)))
+        );
+        
+        try {
+          const results = await runBatch(connection.pool, statements, {
+            readOnly: queryPolicy.readOnly,
+            timeout: queryPolicy.statementTimeout,
+          });
+          return {
+            success: true,
+            results: await toPages(results),
+            count: results.length,
+          };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message,
+            failedStatementIndex: error.statementIndex,
+            results: await toPages(error.results || []),
+            rolledBack: true,
+          };
+        }
+      } catch (error) {
+        return { success: false, error: error.message };
       }
-      
-      const result = await pool.query(params.query, params.params || []);
-      return { success: true, data: result.rows, rowCount: result.rowCount };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
-});
-
-// Tool to get table schema
-server.addTool({
-  name: 'get_table_schema',
-  description: 'Get the schema of a database table',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      table: { type: 'string', description: 'Table name' },
-      schema: { type: 'string', description: 'Schema name (default: public)' },
-    },
-    required: ['table'],
-  },
-  handler: async (params) => {
-    try {
-      if (!pool) {
-        return { success: false, error: 'Database connection not initialized' };
+    },
+  });
+
+  // Tool to begin a transaction
+  server.addTool({
+    name: 'begin_transaction',
+    description: 'Begin a transaction on a dedicated connection. Pass the returned transactionId to execute_query, then commit or rollback.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connectionId: connectionIdProperty,
+        idleTimeoutMs: { type: 'number', description: 'Roll back automatically after this many milliseconds without activity', default: 60000 },
+      },
+    },
+    handler: async (params) => {
+      try {
+        const connection = getConnection(params.connectionId);
+        if (!connection) {
+          return connectionNotFound(params.connectionId);
+        }
+        
+        const transaction = await beginTransaction(connection.pool, {
+          readOnly: queryPolicy.readOnly,
+          idleTimeout: params.idleTimeoutMs,
+        });
+        
+        return {
+          success: true,
+          message: 'Transaction started',
+          transactionId: transaction.id,
+          readOnly: transaction.readOnly,
+          idleTimeoutMs: transaction.idleTimeout,
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
       }
-      
-      const schema = params.schema || 'public';
-      const query = `
-        SELECT 
-          column_name, 
-          data_type, 
-          is_nullable, 
-          column_default
-        FROM 
-          information_schema.columns
-        WHERE 
-          table_schema = $1 AND table_name = $2
-        ORDER BY 
-          ordinal_position;
-      `;
-      
-      const result = await pool.query(query, [schema, params.table]);
-      return { success: true, schema: result.rows };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
-});
-
-// Tool to list tables
-server.addTool({
-  name: 'list_tables',
-  description: 'List all tables in the database',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      schema: { type: 'string', description: 'Schema name (default: public)' },
-    },
-  },
-  handler: async (params) => {
-    try {
-      if (!pool) {
-        return { success: false, error: 'Database connection not initialized' };
+    },
+  });
+
+  // Tool to commit a transaction
+  server.addTool({
+    name: 'commit',
+    description: 'Commit a transaction started with begin_transaction',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        transactionId: { type: 'string', description: 'ID of the transaction to commit' },
+      },
+      required: ['transactionId'],
+    },
+    handler: async (params) => {
+      try {
+        const outcome = await commitTransaction(params.transactionId);
+        
+        // Postgres rolls back a COMMIT of a transaction that had an error
+        if (outcome === 'ROLLBACK') {
+          return { success: false, error: 'Transaction had failed and was rolled back', rolledBack: true };
+        }
+        
+        return { success: true, message: 'Transaction committed' };
+      } catch (error) {
+        return { success: false, error: error.message };
       }
-      
-      const schema = params.schema || 'public';
-      const query = `
-        SELECT 
-          table_name
-        FROM 
-          information_schema.tables
-        WHERE 
-          table_schema = $1
-        ORDER BY 
-          table_name;
-      `;
-      
-      const result = await pool.query(query, [schema]);
-      return { success: true, tables: result.rows.map(row => row.table_name) };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
-});
-
-// Start the server
-server.start();
-
-console.log('Database MCP server started');
+    },
+  });
+
+  // Tool to roll back a transaction
+  server.addTool({
+    name: 'rollback',
+    description: 'Roll back a transaction started with begin_transaction',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        transactionId: { type: 'string', description: 'ID of the transaction to roll back' },
+      },
+      required: ['transactionId'],
+    },
+    handler: async (params) => {
+      try {
+        await rollbackTransaction(params.transactionId);
+        return { success: true, message: 'Transaction rolled back' };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to explain a query
+  server.addTool({
+    name: 'explain_query',
+    description: 'Show the execution plan of a query as a JSON plan tree with a summary of sequential scans, row estimates and the most expensive nodes',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connectionId: connectionIdProperty,
+        query: { type: 'string', description: 'SQL query to explain' },
+        params: paramsProperty,
+        paramTypes: paramTypesProperty,
+        analyze: { 
+          type: 'boolean', 
+          description: 'Run the query to collect actual rows and timings (inside a transaction that is rolled back)', 
+          default: false 
+        },
+        timeoutMs: { type: 'number', description: 'Statement timeout in milliseconds, capped by the server limit' },
+      },
+      required: ['query'],
+    },
+    handler: async (params) => {
+      try {
+        const connection = getConnection(params.connectionId);
+        if (!connection) {
+          return connectionNotFound(params.connectionId);
+        }
+        
+        // EXPLAIN ANALYZE runs the query, so it is subject to the same policy
+        const { text, values } = prepareQuery(params.query, params.params, params.paramTypes);
+        const check = checkQuery(text, queryPolicy);
+        if (!check.allowed) {
+          return {
+            success: false,
+            error: `Query rejected by policy: ${check.rejection.message}`,
+            rejection: check.rejection,
+          };
+        }
+        if (check.statements.length !== 1) {
+          return { success: false, error: 'Only a single statement can be explained' };
+        }
+        
+        const options = params.analyze ? 'FORMAT JSON, ANALYZE, BUFFERS' : 'FORMAT JSON';
+        const client = await connection.pool.connect();
+        
+        try {
+          // Always roll back, so EXPLAIN ANALYZE of a data-modifying statement leaves no trace
+          await client.query(queryPolicy.readOnly ? 'BEGIN READ ONLY' : 'BEGIN');
+          await client.query(`SET LOCAL statement_timeout = ${resolveStatementTimeout(queryPolicy, params.timeoutMs)}`);
+          const result = await client.query(`EXPLAIN (${options}) ${text}`, values);
+          
+          const { plan, summary } = summarizePlan(result.rows[0]['QUERY PLAN']);
+          return { success: true, analyzed: Boolean(params.analyze), summary, plan };
+        } finally {
+          await client.query('ROLLBACK').catch(() => {});
+          client.release();
+        }
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to list slow queries
+  server.addTool({
+    name: 'slow_queries',
+    description: 'List the slowest queries recorded by pg_stat_statements for the current database',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connectionId: connectionIdProperty,
+        orderBy: { 
+          type: 'string', 
+          description: 'Sort by total time, mean time or number of calls', 
+          enum: ['total_time', 'mean_time', 'calls'], 
+          default: 'total_time' 
+        },
+        limit: { type: 'number', description: 'Number of queries to return', default: 10 },
+      },
+    },
+    handler: async (params) => {
+      try {
+        const connection = getConnection(params.connectionId);
+        if (!connection) {
+          return connectionNotFound(params.connectionId);
+        }
+        
+        const extension = await connection.pool.query(
+          "SELECT 1 FROM pg_extension WHERE extname = 'pg_stat_statements'"
+        );
+        if (extension.rows.length === 0) {
+          return { success: false, error: 'pg_stat_statements is not installed in this database' };
+        }
+        
+        // The timing columns were renamed in PostgreSQL 13
+        const versionResult = await connection.pool.query('SHOW server_version_num');
+        const prefix = Number(versionResult.rows[0].server_version_num) >= 130000 ? '_exec' : '';
+        
+        const orderColumns = {
+          total_time: 'total_time_ms',
+          mean_time: 'mean_time_ms',
+          calls: 'calls',
+        };
+        const orderColumn = orderColumns[params.orderBy] || orderColumns.total_time;
+        
+        const query = `
+          SELECT 
+            queryid::text AS query_id, 
+            query, 
+            calls, 
+            total${prefix}_time AS total_time_ms, 
+            mean${prefix}_time AS mean_time_ms, 
+            rows, 
+            shared_blks_hit, 
+            shared_blks_read
+          FROM 
+            pg_stat_statements
+          WHERE 
+            dbid = (SELECT oid FROM pg_database WHERE datname = current_database())
+          ORDER BY 
+            ${orderColumn} DESC
+          LIMIT $1;
+        `;
+        
+        const result = await connection.pool.query(query, [Math.min(params.limit || 10, 100)]);
+        
+        // Hide the text of queries on relations outside the allowlists
+        const queries = result.rows.map(row => (isQueryTextVisible(row.query, queryPolicy)
+          ? row
+          : { ...row, query: null, redacted: true }));
+        
+        return { success: true, queries, count: queries.length };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to fetch the next page of a query result
+  server.addTool({
+    name: 'fetch_next_page',
+    description: 'Fetch the next page of a query result using the cursor returned by execute_query',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cursor: { type: 'string', description: 'Cursor token returned by execute_query or fetch_next_page' },
+        pageSize: { type: 'number', description: 'Maximum number of rows to return', default: 100 },
+        maxBytes: { type: 'number', description: 'Maximum size of the page in bytes (JSON-encoded)', default: 262144 },
+      },
+      required: ['cursor'],
+    },
+    handler: async (params) => {
+      try {
+        const page = await fetchNextPage(params.cursor, params);
+        return { success: true, ...page };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to close a cursor
+  server.addTool({
+    name: 'close_cursor',
+    description: 'Close a cursor returned by execute_query before all pages have been fetched',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        cursor: { type: 'string', description: 'Cursor token to close' },
+      },
+      required: ['cursor'],
+    },
+    handler: async (params) => {
+      try {
+        const closed = await closeCursor(params.cursor);
+        if (!closed) {
+          return { success: false, error: 'Cursor not found or expired' };
+        }
+        
+        return { success: true, message: 'Cursor closed successfully' };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to get table schema
+  server.addTool({
+    name: 'get_table_schema',
+    description: 'Get the schema of a database table or view: columns, keys, indexes, foreign keys, comments and row estimate',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connectionId: connectionIdProperty,
+        table: { type: 'string', description: 'Table name' },
+        schema: { type: 'string', description: 'Schema name (default: public)' },
+      },
+      required: ['table'],
+    },
+    handler: async (params) => {
+      try {
+        const connection = getConnection(params.connectionId);
+        if (!connection) {
+          return connectionNotFound(params.connectionId);
+        }
+        
+        const schema = params.schema || 'public';
+        if (!isRelationAllowed(queryPolicy, schema, params.table)) {
+          return {
+            success: false,
+            error: `Table '${schema}.${params.table}' is not in the allowlist`,
+            rejection: { code: 'TABLE_NOT_ALLOWED', relation: `${schema}.${params.table}` },
+          };
+        }
+        
+        const description = await describeTable(connection.pool, schema, params.table);
+        if (!description) {
+          return { success: false, error: `Table '${schema}.${params.table}' not found` };
+        }
+        
+        return {
+          success: true,
+          schema: description.columns,
+          tableType: description.tableType,
+          comment: description.comment,
+          rowEstimate: description.rowEstimate,
+          definition: description.definition,
+          primaryKey: description.primaryKey,
+          uniqueConstraints: description.uniqueConstraints,
+          foreignKeys: description.foreignKeys,
+          indexes: description.indexes,
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to list tables
+  server.addTool({
+    name: 'list_tables',
+    description: 'List all tables in the database',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connectionId: connectionIdProperty,
+        schema: { type: 'string', description: 'Schema name (default: public)' },
+      },
+    },
+    handler: async (params) => {
+      try {
+        const connection = getConnection(params.connectionId);
+        if (!connection) {
+          return connectionNotFound(params.connectionId);
+        }
+        
+        const schema = params.schema || 'public';
+        if (!isRelationAllowed(queryPolicy, schema)) {
+          return {
+            success: false,
+            error: `Schema '${schema}' is not in the allowlist`,
+            rejection: { code: 'SCHEMA_NOT_ALLOWED', schema },
+          };
+        }
+        
+        const query = `
+          SELECT 
+            table_name
+          FROM 
+            information_schema.tables
+          WHERE 
+            table_schema = $1
+          ORDER BY 
+            table_name;
+        `;
+        
+        // information_schema.tables does not include materialized views
+        const materializedViewsQuery = `
+          SELECT 
+            matviewname
+          FROM 
+            pg_matviews
+          WHERE 
+            schemaname = $1
+          ORDER BY 
+            matviewname;
+        `;
+        
+        const [result, materializedViewsResult] = await Promise.all([
+          connection.pool.query(query, [schema]),
+          connection.pool.query(materializedViewsQuery, [schema]),
+        ]);
+        
+        const tables = result.rows
+          .map(row => row.table_name)
+          .filter(table => isRelationAllowed(queryPolicy, schema, table));
+        const materializedViews = materializedViewsResult.rows
+          .map(row => row.matviewname)
+          .filter(view => isRelationAllowed(queryPolicy, schema, view));
+        
+        return { success: true, tables, materializedViews };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to describe the whole database
+  server.addTool({
+    name: 'describe_database',
+    description: 'Describe all tables and views with their columns and the foreign-key graph, in a compact form suitable for prompts',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connectionId: connectionIdProperty,
+        schemas: { 
+          type: 'array', 
+          description: 'Schemas to describe (default: public)', 
+          items: { type: 'string' } 
+        },
+      },
+    },
+    handler: async (params) => {
+      try {
+        const connection = getConnection(params.connectionId);
+        if (!connection) {
+          return connectionNotFound(params.connectionId);
+        }
+        
+        const schemas = (params.schemas && params.schemas.length > 0 ? params.schemas : ['public'])
+          .filter(schema => isRelationAllowed(queryPolicy, schema));
+        
+        const description = await describeDatabase(
+          connection.pool,
+          schemas,
+          (schema, table) => isRelationAllowed(queryPolicy, schema, table)
+        );
+        
+        return { success: true, schemas, ...description };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to answer a natural-language question with SQL
+  server.addTool({
+    name: 'ask_database',
+    description: 'Answer a natural-language question by generating SQL with an LLM model, validating it with EXPLAIN and running it',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        connectionId: connectionIdProperty,
+        modelId: { type: 'string', description: 'ID of a model initialized with init_llm_model' },
+        question: { type: 'string', description: 'Question to answer' },
+        schemas: { 
+          type: 'array', 
+          description: 'Schemas to consider (default: public)', 
+          items: { type: 'string' } 
+        },
+        maxAttempts: { type: 'number', description: 'Number of attempts at generating valid SQL', default: 3 },
+        maxTables: { type: 'number', description: 'Maximum number of tables shown to the model', default: 8 },
+        pageSize: { type: 'number', description: 'Maximum number of rows to return', default: 100 },
+      },
+      required: ['modelId', 'question'],
+    },
+    handler: async (params) => {
+      try {
+        const connection = getConnection(params.connectionId);
+        if (!connection) {
+          return connectionNotFound(params.connectionId);
+        }
+        
+        // Models live in the process that ran init_llm_model; the model
+        // registry is loaded on demand so the other tools load without langchain
+        const { getModel, generateText } = require('../lib/llm-models');
+        const modelInfo = getModel(params.modelId);
+        if (!modelInfo) {
+          return { success: false, error: `Model '${params.modelId}' not found` };
+        }
+        
+        const schemas = (params.schemas && params.schemas.length > 0 ? params.schemas : ['public'])
+          .filter(schema => isRelationAllowed(queryPolicy, schema));
+        
+        const outcome = await askDatabase({
+          question: params.question,
+          maxAttempts: params.maxAttempts,
+          maxTables: params.maxTables,
+          generate: prompt => generateText(modelInfo, prompt),
+          describe: () => describeDatabase(
+            connection.pool,
+            schemas,
+            (schema, table) => isRelationAllowed(queryPolicy, schema, table)
+          ),
+          formatSchema: formatDatabase,
+          validate: async (sql) => {
+            const check = checkQuery(sql, queryPolicy);
+            if (!check.allowed) {
+              throw new Error(`Query rejected by policy: ${check.rejection.message}`);
+            }
+            if (check.statements.length !== 1 || check.statements[0].kind !== 'read') {
+              throw new Error('Only a single read-only query is allowed');
+            }
+            await runQuery(connection.pool, `EXPLAIN ${sql}`, []);
+          },
+          execute: sql => openCursor(connection.pool, sql, [], {
+            readOnly: queryPolicy.readOnly,
+            timeout: queryPolicy.statementTimeout,
+            pageSize: params.pageSize,
+          }),
+        });
+        
+        if (!outcome.answered) {
+          return {
+            success: false,
+            error: `No valid query could be generated after ${outcome.attempts.length} attempts`,
+            tables: outcome.tables,
+            attempts: outcome.attempts,
+          };
+        }
+        
+        return {
+          success: true,
+          answer: outcome.answer,
+          sql: outcome.sql,
+          ...(await withColumns(connection.pool, outcome.result)),
+          tables: outcome.tables,
+          attempts: outcome.attempts,
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to inspect the query policy
+  server.addTool({
+    name: 'get_query_policy',
+    description: 'Get the query policy that execute_query enforces',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    handler: async () => {
+      return { success: true, policy: queryPolicy };
+    },
+  });
+}
+
+// Start the server when run directly
+if (require.main === module) {
+  // Initialize the MCP server
+  const server = new McpServer({
+    name: 'database-tool',
+    description: 'Tool for managing and accessing databases in the Metis application',
+  });
+
+  registerDatabaseTools(server);
+  server.start();
+
+  console.log('Database MCP server started');
+}
+
+module.exports = { registerDatabaseTools };
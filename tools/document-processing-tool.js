@@ -5,238 +5,360 @@
  * in the Metis application.
  */
 
-const { McpServer } = require('@modelcontextprotocol/server');
-const fs = require('fs');
 const path = require('path');
-const { PDFLoader } = require('langchain/document_loaders/fs/pdf');
-const { DocxLoader } = require('langchain/document_loaders/fs/docx');
-const { TextLoader } = require('langchain/document_loaders/fs/text');
-const { RecursiveCharacterTextSplitter } = require('langchain/text_splitter');
+const { McpServer } = require('@modelcontextprotocol/server');
+const { SEGMENTATIONS, isHtml, loadDocument, documentSegments } = require('../lib/document-loaders');
+const { CHUNKING_STRATEGIES, defaultChunkOverlap, lineRange, chunkDocument } = require('../lib/chunking');
+const { findHeadings, headingPathAt } = require('../lib/document-structure');
+const { findCodeBlocks } = require('../lib/markdown-blocks');
+const { normalizeLanguage, guessLanguage } = require('../lib/code-languages');
+const { extractTables } = require('../lib/table-extraction');
+const { htmlStructure, loadStructuredText, buildOutline, findSection, analyzeStructure } = require('../lib/document-outline');
+const { IF_EXISTS_MODES, toIdentifier, tableImportStatements } = require('../lib/table-import');
+const { DEFAULT_CONNECTION_ID, getConnection } = require('../lib/db-connections');
+const { loadQueryPolicy, checkQuery } = require('../lib/query-policy');
+const { runBatch } = require('../lib/db-transactions');
+
+// Query policy of the database tool, which also governs table imports
+const queryPolicy = loadQueryPolicy();
 
-// Initialize the MCP server
-const server = new McpServer({
-  name: 'document-processing-tool',
-  description: 'Tool for loading, processing, and chunking documents in the Metis application',
-});
+/**
+ * Import extracted tables into Postgres in a single transaction, after
+ * checking every statement against the query policy
+ */
+async function importTables(tables, options, source) {
+  const connectionId = options.connectionId || DEFAULT_CONNECTION_ID;
+  const connection = getConnection(connectionId);
+  if (!connection) {
+    throw new Error(`Database connection '${connectionId}' not initialized`);
+  }
+  
+  const prefix = options.tablePrefix || `${(source && toIdentifier(source)) || 'extracted'}_table`;
+  const imports = tables.map(table => tableImportStatements(table, {
+    schema: options.schema || 'public',
+    tableName: `${prefix}_${table.index + 1}`,
+    ifExists: options.ifExists || 'fail',
+  }));
+  
+  const statements = imports.flatMap(entry => entry.statements);
+  for (const statement of statements) {
+    const check = checkQuery(statement.query, queryPolicy);
+    if (!check.allowed) {
+      throw new Error(`Table import rejected by policy: ${check.rejection.message}`);
+    }
+  }
+  await runBatch(connection.pool, statements, { timeout: queryPolicy.statementTimeout });
+  
+  return imports.map((entry, index) => ({
+    index: tables[index].index,
+    table: entry.table,
+    columns: entry.columns,
+    rowCount: tables[index].rows.length,
+  }));
+}
 
-// Tool to load a document
-server.addTool({
-  name: 'load_document',
-  description: 'Load a document from a file path',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      filePath: { type: 'string', description: 'Path to the document file' },
+/**
+ * Register the document processing tools on an MCP server
+ */
+function registerDocumentProcessingTools(server) {
+  // Tool to load a document
+  server.addTool({
+    name: 'load_document',
+    description: 'Load a document from a file path: PDF, DOCX, TXT, MD, HTML, CSV/TSV, XLSX, JSON, EPUB or PPTX, detected from the content',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        filePath: { type: 'string', description: 'Path to the document file' },
+        segmentBy: { 
+          type: 'string', 
+          description: 'Also return the document as segments with their own metadata: "page" for the units of the format (PDF pages, slides, sheet rows, JSON records, HTML sections, EPUB chapters), "section" for markdown sections', 
+          enum: SEGMENTATIONS 
+        },
+      },
+      required: ['filePath'],
     },
-    required: ['filePath'],
-  },
-  handler: async (params) => {
-    try {
-      const filePath = params.filePath;
-      const fileExtension = path.extname(filePath).toLowerCase();
-      
-      // Check if file exists
-      if (!fs.existsSync(filePath)) {
-        return { success: false, error: `File not found: ${filePath}` };
-      }
-      
-      let loader;
-      let docs = [];
-      
-      // Select the appropriate loader based on file extension
-      switch (fileExtension) {
-        case '.pdf':
-          loader = new PDFLoader(filePath);
-          docs = await loader.load();
-          break;
-        case '.docx':
-          loader = new DocxLoader(filePath);
-          docs = await loader.load();
-          break;
-        case '.txt':
-        case '.md':
-          loader = new TextLoader(filePath);
-          docs = await loader.load();
-          break;
-        default:
-          return { success: false, error: `Unsupported file type: ${fileExtension}` };
-      }
-      
-      return { 
-        success: true, 
-        document: {
-          pageContent: docs.map(doc => doc.pageContent).join('\n\n'),
-          metadata: docs.length > 0 ? docs[0].metadata : {},
-          fileName: path.basename(filePath),
-          fileType: fileExtension.substring(1),
+    handler: async (params) => {
+      try {
+        const document = await loadDocument(params.filePath);
+        
+        const result = {
+          pageContent: document.pageContent,
+          metadata: document.metadata,
+          fileName: document.fileName,
+          fileType: document.fileType,
+        };
+        
+        // Segments carry their offsets in pageContent, for chunk_document
+        if (params.segmentBy) {
+          result.segments = documentSegments(document, params.segmentBy);
         }
-      };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
-});
+        
+        return { 
+          success: true, 
+          document: result
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
 
-// Tool to chunk a document
-server.addTool({
-  name: 'chunk_document',
-  description: 'Split a document into chunks',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      text: { type: 'string', description: 'Document text to chunk' },
-      chunkSize: { type: 'number', description: 'Size of each chunk', default: 1000 },
-      chunkOverlap: { type: 'number', description: 'Overlap between chunks', default: 200 },
-      metadata: { 
-        type: 'object', 
-        description: 'Metadata to attach to each chunk',
-        additionalProperties: true
+  // Tool to chunk a document
+  server.addTool({
+    name: 'chunk_document',
+    description: 'Split a document into chunks, with a chunking strategy: recursive (paragraphs, lines, words), markdown (never crosses a heading), sentence (whole sentences), code (keeps fenced code blocks whole) or token (sized in tokens)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Document text to chunk' },
+        strategy: { 
+          type: 'string', 
+          description: 'Chunking strategy', 
+          enum: CHUNKING_STRATEGIES, 
+          default: 'recursive' 
+        },
+        chunkSize: { type: 'number', description: 'Size of each chunk (in tokens with the token strategy)', default: 1000 },
+        chunkOverlap: { type: 'number', description: 'Overlap between chunks (default: a fifth of chunkSize, at most 200)' },
+        encoding: { type: 'string', description: 'Tiktoken encoding of the token strategy', default: 'cl100k_base' },
+        metadata: { 
+          type: 'object', 
+          description: 'Metadata to attach to each chunk',
+          additionalProperties: true
+        },
+        segments: { 
+          type: 'array', 
+          description: 'Segments of the text from load_document (segmentBy: "page"), to record the page of each chunk', 
+          items: { 
+            type: 'object',
+            properties: {
+              page: { type: 'number' },
+              startOffset: { type: 'number' },
+              endOffset: { type: 'number' },
+            },
+            additionalProperties: true
+          } 
+        },
       },
+      required: ['text'],
     },
-    required: ['text'],
-  },
-  handler: async (params) => {
-    try {
-      const text = params.text;
-      const chunkSize = params.chunkSize || 1000;
-      const chunkOverlap = params.chunkOverlap || 200;
-      const metadata = params.metadata || {};
-      
-      // Create a text splitter
-      const splitter = new RecursiveCharacterTextSplitter({
-        chunkSize,
-        chunkOverlap,
-      });
-      
-      // Split the text into chunks
-      const chunks = await splitter.createDocuments(
-        [text],
-        [metadata]
-      );
-      
-      return { 
-        success: true, 
-        chunks: chunks.map(chunk => ({
-          text: chunk.pageContent,
-          metadata: chunk.metadata,
-        })),
-        count: chunks.length,
-      };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
-});
+    handler: async (params) => {
+      try {
+        const text = params.text;
+        const chunkSize = params.chunkSize ?? 1000;
+        const chunkOverlap = params.chunkOverlap ?? defaultChunkOverlap(chunkSize);
+        const metadata = params.metadata || {};
+        
+        // Split the text into chunks that record their offsets, headings and pages
+        const { chunks, statistics } = await chunkDocument(text, {
+          strategy: params.strategy,
+          chunkSize,
+          chunkOverlap,
+          encoding: params.encoding,
+          metadata,
+          segments: params.segments || [],
+        });
+        
+        return { 
+          success: true, 
+          chunks: chunks.map(chunk => ({
+            text: chunk.text,
+            metadata: {
+              ...chunk.metadata,
+              loc: { lines: lineRange(text, chunk.metadata.startOffset, chunk.metadata.endOffset) },
+            },
+          })),
+          count: chunks.length,
+          statistics,
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
 
-// Tool to extract code from a document
-server.addTool({
-  name: 'extract_code',
-  description: 'Extract code blocks from a document',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      text: { type: 'string', description: 'Document text to extract code from' },
-      language: { type: 'string', description: 'Programming language to extract (optional)' },
+  // Tool to extract code from a document
+  server.addTool({
+    name: 'extract_code',
+    description: 'Extract the code blocks of a markdown document: fenced blocks (``` or ~~~, with info strings such as "c++" or \'js title="x"\') and indented blocks, including those nested in lists and blockquotes. Each block comes with its line range, heading context and, when untagged, a guessed language.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Document text to extract code from' },
+        language: { type: 'string', description: 'Programming language to extract (optional); aliases such as js or c++ are accepted, and untagged blocks match on their guessed language' },
+        includeIndented: { type: 'boolean', description: 'Include indented code blocks', default: true },
+      },
+      required: ['text'],
     },
-    required: ['text'],
-  },
-  handler: async (params) => {
-    try {
-      const text = params.text;
-      const language = params.language ? params.language.toLowerCase() : null;
-      
-      // Regular expression to match code blocks
-      // This matches both markdown-style code blocks and indented code blocks
-      const codeBlockRegex = /```(?:([a-zA-Z0-9]+)\n)?([\s\S]*?)```|(?:^[ \t]*\n)?(?:(?:[ \t]+[^\n]*\n)+)/gm;
-      
-      const codeBlocks = [];
-      let match;
-      
-      while ((match = codeBlockRegex.exec(text)) !== null) {
-        const blockLanguage = match[1] ? match[1].toLowerCase() : 'unknown';
-        const code = match[2] ? match[2].trim() : match[0].trim();
+    handler: async (params) => {
+      try {
+        const text = params.text;
+        const language = normalizeLanguage(params.language);
+        const headings = findHeadings(text);
         
-        // If a specific language is requested, filter for it
-        if (!language || blockLanguage === language) {
-          codeBlocks.push({
-            language: blockLanguage,
-            code: code,
-          });
-        }
+        const codeBlocks = findCodeBlocks(text)
+          .filter(block => block.type === 'fenced' || params.includeIndented !== false)
+          .map(block => {
+            const tag = block.language ? block.language.toLowerCase() : null;
+            const guess = tag ? null : guessLanguage(block.code);
+            return {
+              type: block.type,
+              language: normalizeLanguage(tag) || (guess ? guess.language : 'unknown'),
+              tag,
+              ...(guess ? { languageGuess: guess } : {}),
+              info: block.info,
+              attributes: block.attributes,
+              code: block.code,
+              startLine: block.startLine,
+              endLine: block.endLine,
+              startOffset: block.start,
+              endOffset: block.end,
+              headingPath: headingPathAt(headings, block.start),
+              containers: block.containers,
+              closed: block.closed,
+            };
+          })
+          // If a specific language is requested, filter for it
+          .filter(block => !language || block.language === language);
+        
+        return { 
+          success: true, 
+          codeBlocks: codeBlocks,
+          count: codeBlocks.length,
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
       }
-      
-      return { 
-        success: true, 
-        codeBlocks: codeBlocks,
-        count: codeBlocks.length,
-      };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
-});
+    },
+  });
 
-// Tool to analyze document structure
-server.addTool({
-  name: 'analyze_document_structure',
-  description: 'Analyze the structure of a document',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      text: { type: 'string', description: 'Document text to analyze' },
+  // Tool to analyze document structure
+  server.addTool({
+    name: 'analyze_document_structure',
+    description: 'Analyze the structure of a document: an outline tree of its sections with their character ranges and word counts, its front matter, links, images and language. Understands markdown (ATX and setext headings), HTML and DOCX headings. Pass a sectionId from the outline to read one section.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Document text to analyze' },
+        filePath: { type: 'string', description: 'Path to a document file, used when no text is given (HTML and DOCX headings are kept)' },
+        format: { 
+          type: 'string', 
+          description: 'Format of the text (default: html when it starts like an HTML document, else markdown)', 
+          enum: ['markdown', 'html'] 
+        },
+        maxDepth: { type: 'number', description: 'Maximum depth of the outline tree (optional)' },
+        sectionId: { type: 'string', description: 'ID of an outline section (e.g. "2.1") whose text to return' },
+      },
     },
-    required: ['text'],
-  },
-  handler: async (params) => {
-    try {
-      const text = params.text;
-      
-      // Extract headings
-      const headingRegex = /^(#{1,6})\s+(.+)$/gm;
-      const headings = [];
-      let headingMatch;
-      
-      while ((headingMatch = headingRegex.exec(text)) !== null) {
-        headings.push({
-          level: headingMatch[1].length,
-          text: headingMatch[2].trim(),
-          position: headingMatch.index,
+    handler: async (params) => {
+      try {
+        let source;
+        if (typeof params.text === 'string') {
+          const html = params.format ? params.format === 'html' : isHtml(params.text);
+          source = html ? { format: 'html', ...htmlStructure(params.text) } : { format: 'markdown', text: params.text };
+        } else if (params.filePath) {
+          source = await loadStructuredText(params.filePath);
+        } else {
+          return { success: false, error: 'Either text or filePath is required' };
+        }
+        
+        const structure = analyzeStructure(source.text, {
+          title: source.title,
+          links: source.links,
+          images: source.images,
+          maxDepth: params.maxDepth,
         });
+        
+        const result = { 
+          success: true, 
+          format: source.format,
+          structure,
+        };
+        
+        // Offsets refer to the analyzed text, which differs from HTML and DOCX sources
+        if (params.sectionId) {
+          const found = findSection(buildOutline(source.text, findHeadings(source.text)), params.sectionId);
+          if (!found) {
+            return { success: false, error: `Section '${params.sectionId}' not found` };
+          }
+          result.section = {
+            id: found.node.id,
+            title: found.node.title,
+            headingPath: found.headingPath,
+            startOffset: found.node.startOffset,
+            endOffset: found.node.endOffset,
+            text: source.text.slice(found.node.startOffset, found.node.endOffset),
+          };
+        }
+        
+        return result;
+      } catch (error) {
+        return { success: false, error: error.message };
       }
-      
-      // Count paragraphs (text blocks separated by blank lines)
-      const paragraphs = text.split(/\n\s*\n/).filter(p => p.trim().length > 0);
-      
-      // Detect lists
-      const bulletListRegex = /^\s*[-*+]\s+.+/gm;
-      const bulletListItems = text.match(bulletListRegex) || [];
-      
-      const numberedListRegex = /^\s*\d+\.\s+.+/gm;
-      const numberedListItems = text.match(numberedListRegex) || [];
-      
-      // Detect tables (markdown tables)
-      const tableRegex = /^\|(.+)\|\s*$/gm;
-      const tableRows = text.match(tableRegex) || [];
-      
-      return { 
-        success: true, 
-        structure: {
-          headings: headings,
-          paragraphCount: paragraphs.length,
-          bulletListItemCount: bulletListItems.length,
-          numberedListItemCount: numberedListItems.length,
-          tableRowCount: tableRows.length,
-          totalLength: text.length,
-          wordCount: text.split(/\s+/).filter(w => w.length > 0).length,
+    },
+  });
+
+  // Tool to extract the tables of a document
+  server.addTool({
+    name: 'extract_tables',
+    description: 'Extract the tables of a document as headers plus rows: markdown pipe tables, HTML <table> elements, DOCX tables, CSV/TSV files and XLSX sheets. Optionally import them into Postgres to query them with SQL.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Markdown or HTML text to extract tables from' },
+        filePath: { type: 'string', description: 'Path to a document file (MD, TXT, HTML, DOCX, CSV, TSV or XLSX), used when no text is given' },
+        database: { 
+          type: 'object', 
+          description: 'Import the tables into Postgres through a database tool connection, one table each with typed columns. Subject to the database query policy (DDL and DML must be enabled).', 
+          properties: {
+            connectionId: { type: 'string', description: `ID of the database connection to use (default: ${DEFAULT_CONNECTION_ID})` },
+            schema: { type: 'string', description: 'Schema to create the tables in', default: 'public' },
+            tablePrefix: { type: 'string', description: 'Prefix of the table names, numbered from 1 (default: "<file name>_table" or "extracted_table")' },
+            ifExists: { 
+              type: 'string', 
+              description: 'When a table exists: fail, replace it or append the rows to it', 
+              enum: IF_EXISTS_MODES, 
+              default: 'fail' 
+            },
+          },
+        },
+      },
+    },
+    handler: async (params) => {
+      try {
+        const tables = await extractTables({ text: params.text, filePath: params.filePath });
+        
+        const result = { 
+          success: true, 
+          tables,
+          count: tables.length,
+        };
+        
+        // All tables are imported in one transaction, or none is
+        if (params.database && tables.length > 0) {
+          const source = typeof params.text === 'string' ? null : path.parse(params.filePath).name;
+          result.imported = await importTables(tables, params.database, source);
         }
-      };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
-});
+        
+        return result;
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+}
+
+// Start the server when run directly
+if (require.main === module) {
+  // Initialize the MCP server
+  const server = new McpServer({
+    name: 'document-processing-tool',
+    description: 'Tool for loading, processing, and chunking documents in the Metis application',
+  });
+
+  registerDocumentProcessingTools(server);
+  server.start();
 
-// Start the server
-server.start();
+  console.log('Document Processing MCP server started');
+}
 
-console.log('Document Processing MCP server started');
+module.exports = { registerDocumentProcessingTools };
@@ -2,239 +2,1196 @@
  * MCP Vector Store Tool
  * 
  * This tool provides functionality for interacting with vector databases
- * like Chroma in the Metis application.
+ * like Chroma or PostgreSQL with pgvector in the Metis application, or with
+ * an embedded local store.
  */
 
-const { McpServer } = require('@modelcontextprotocol/server');
-const { ChromaClient } = require('chromadb');
-
-// Vector store client
-let client;
-let collection;
-
-// Initialize the MCP server
-const server = new McpServer({
-  name: 'vector-store-tool',
-  description: 'Tool for interacting with vector databases in the Metis application',
-});
-
-// Tool to initialize vector store connection
-server.addTool({
-  name: 'init_vector_store',
-  description: 'Initialize the vector store connection',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      host: { type: 'string', description: 'Vector store host' },
-      port: { type: 'number', description: 'Vector store port' },
-    },
-    required: ['host'],
+const { backends, createVectorStore, copyCollection } = require('../lib/vector-stores');
+const {
+  createEmbeddingFunction,
+  recordedEmbeddingFunction,
+  resolveDimension,
+  embedderMetadata,
+  recordedEmbedder,
+  checkEmbedder,
+  checkEmbeddings,
+} = require('../lib/embeddings');
+const { withKeywordIndex } = require('../lib/keyword-index');
+const { FUSION_METHODS, hybridSearch } = require('../lib/hybrid-search');
+const { createReranker, postProcess, toCandidates, fromCandidates } = require('../lib/reranking');
+const { exportCollection, importCollection } = require('../lib/collection-archive');
+const { ingestFile, ingestDirectory } = require('../lib/ingestion');
+const { syncDirectory } = require('../lib/directory-sync');
+const { CHUNKING_STRATEGIES } = require('../lib/chunking');
+
+// Vector store
+let store;
+
+// Collections opened on the store, by name
+const collections = new Map();
+
+// Collection used when a tool call does not name one
+let currentCollection = null;
+
+// Schema for the collection argument of the tools
+const collectionProperty = {
+  type: 'string',
+  description: 'Name of the collection to use (default: the collection last opened with get_or_create_collection)',
+};
+
+// Schema for metadata filters
+const whereProperty = {
+  type: 'object',
+  description: 'Metadata filter (Chroma where syntax), e.g. { "source": "guide.pdf" }',
+  additionalProperties: true,
+};
+
+// Schema for precomputed embeddings
+const embeddingsProperty = {
+  type: 'array',
+  description: 'Precomputed embeddings, one per document (e.g. from generate_embeddings); documents are then stored but not embedded',
+  items: { type: 'array', items: { type: 'number' } },
+};
+
+// Schema for the fields returned by queries and gets
+const includeProperty = {
+  type: 'array',
+  description: 'Fields to return',
+  items: { type: 'string', enum: ['documents', 'metadatas', 'distances', 'embeddings'] },
+};
+
+// Schema for the chunking and provenance options of the ingestion tools
+const ingestProperties = {
+  strategy: { 
+    type: 'string', 
+    description: 'Chunking strategy (see chunk_document)', 
+    enum: CHUNKING_STRATEGIES, 
+    default: 'recursive' 
   },
-  handler: async (params) => {
-    try {
-      // Create a new client with the provided configuration
-      client = new ChromaClient({
-        path: `http://${params.host}:${params.port || 8000}`,
-      });
-      
-      // Test the connection
-      await client.heartbeat();
-      
-      return { success: true, message: 'Vector store connection initialized successfully' };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+  chunkSize: { type: 'number', description: 'Size of each chunk (in tokens with the token strategy)', default: 1000 },
+  chunkOverlap: { type: 'number', description: 'Overlap between chunks (default: a fifth of chunkSize, at most 200)' },
+  encoding: { type: 'string', description: 'Tiktoken encoding of the token strategy', default: 'cl100k_base' },
+  metadata: { 
+    type: 'object', 
+    description: 'Metadata to attach to every chunk',
+    additionalProperties: true
   },
-});
-
-// Tool to get or create a collection
-server.addTool({
-  name: 'get_or_create_collection',
-  description: 'Get or create a collection in the vector store',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      name: { type: 'string', description: 'Collection name' },
-      metadata: { 
-        type: 'object', 
-        description: 'Collection metadata',
-        additionalProperties: true
-      },
-      embeddingFunction: { 
-        type: 'object', 
-        description: 'Embedding function configuration',
-        properties: {
-          type: { type: 'string', description: 'Type of embedding function' },
-          apiKey: { type: 'string', description: 'API key for the embedding function' },
-          modelName: { type: 'string', description: 'Model name for the embedding function' },
-        },
-        required: ['type'],
-      },
-    },
-    required: ['name'],
+  force: { type: 'boolean', description: 'Re-chunk files even when they are unchanged', default: false },
+};
+
+// Schema for selecting the files of a directory
+const fileSelectionProperties = {
+  recursive: { type: 'boolean', description: 'Include subdirectories', default: true },
+  extensions: { 
+    type: 'array', 
+    description: 'File extensions to ingest (default: all supported, e.g. [".md", ".pdf"])', 
+    items: { type: 'string' } 
   },
-  handler: async (params) => {
-    try {
-      if (!client) {
-        return { success: false, error: 'Vector store connection not initialized' };
-      }
-      
-      // Get or create the collection
-      collection = await client.getOrCreateCollection({
-        name: params.name,
-        metadata: params.metadata || {},
-        // In a real implementation, you would create an embedding function based on the params
-      });
-      
-      return { 
-        success: true, 
-        message: `Collection '${params.name}' retrieved or created successfully`,
-        collectionName: params.name
-      };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
+  include: { 
+    type: 'array', 
+    description: 'Glob patterns of the paths to include, relative to the directory (e.g. "docs/**", "*.md")', 
+    items: { type: 'string' } 
   },
-});
-
-// Tool to add documents to the collection
-server.addTool({
-  name: 'add_documents',
-  description: 'Add documents to the vector store collection',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      documents: { 
-        type: 'array', 
-        description: 'Array of document texts', 
-        items: { type: 'string' } 
-      },
-      metadatas: { 
-        type: 'array', 
-        description: 'Array of document metadata', 
-        items: { 
-          type: 'object',
+  exclude: { 
+    type: 'array', 
+    description: 'Glob patterns of the paths to exclude (e.g. "**/drafts/**")', 
+    items: { type: 'string' } 
+  },
+};
+
+/**
+ * Open a collection with its embedding function. Without an embedding
+ * function configuration, the embedder recorded in the collection metadata
+ * is reattached; it is only created once text has to be embedded. With
+ * create, a missing collection is created.
+ */
+async function openCollection({ name, metadata = {}, embeddingFunction: config, indexType, create }) {
+  // Create the embedding function and record it in the collection metadata
+  let embeddingFunction;
+  let collectionMetadata = metadata;
+  if (config) {
+    embeddingFunction = createEmbeddingFunction(config);
+    await resolveDimension(embeddingFunction);
+    collectionMetadata = { ...metadata, ...embedderMetadata(embeddingFunction) };
+  }
+
+  const open = options => (create
+    ? store.getOrCreateCollection({ name, metadata: collectionMetadata, indexType, ...options })
+    : store.getCollection({ name, ...options }));
+
+  let collection = await open({ embeddingFunction });
+
+  if (embeddingFunction) {
+    // An existing collection must keep its embedder
+    checkEmbedder(collection.metadata, embeddingFunction);
+  } else if (recordedEmbedder(collection.metadata)) {
+    // Reattach the embedder recorded when the collection was created
+    embeddingFunction = recordedEmbeddingFunction(recordedEmbedder(collection.metadata));
+    collection = await open({ embeddingFunction, metadata: collection.metadata });
+  }
+
+  // Keep a keyword index up to date alongside the collection
+  const indexed = withKeywordIndex(collection);
+  collections.set(name, indexed);
+  return indexed;
+}
+
+/**
+ * Get a collection by name, or the current collection when no name is given
+ */
+async function getCollection(name) {
+  if (!store) {
+    throw new Error('Vector store connection not initialized');
+  }
+
+  const collectionName = name || currentCollection;
+  if (!collectionName) {
+    throw new Error('Collection not initialized');
+  }
+
+  return collections.get(collectionName) || openCollection({ name: collectionName });
+}
+
+/**
+ * Dimension recorded for a collection, or null when it is not known
+ */
+function collectionDimension(collection) {
+  const embedder = recordedEmbedder(collection.metadata);
+  return embedder ? embedder.dimension : null;
+}
+
+/**
+ * Build the records to add or upsert from the tool arguments, checking
+ * precomputed embeddings against the collection dimension
+ */
+function documentRecords(collection, params) {
+  const count = params.ids.length;
+  if (!params.documents && !params.embeddings) {
+    throw new Error('Either documents or embeddings are required');
+  }
+  if (params.documents && params.documents.length !== count) {
+    throw new Error(`Expected ${count} documents, got ${params.documents.length}`);
+  }
+  if (params.embeddings) {
+    checkEmbeddings(params.embeddings, count, collectionDimension(collection));
+  }
+
+  return {
+    ids: params.ids,
+    documents: params.documents,
+    embeddings: params.embeddings,
+    // Omitted metadatas let upserts keep the metadata of existing records
+    metadatas: params.metadatas,
+  };
+}
+
+/**
+ * Describe a collection: its name, metadata, embedder and document count
+ */
+async function describeCollection(collection) {
+  return {
+    name: collection.name,
+    count: await collection.count(),
+    metadata: collection.metadata || {},
+    embedder: recordedEmbedder(collection.metadata),
+  };
+}
+
+/**
+ * Ingestion options from the tool arguments
+ */
+function ingestOptions(params) {
+  return {
+    strategy: params.strategy,
+    chunkSize: params.chunkSize,
+    chunkOverlap: params.chunkOverlap,
+    encoding: params.encoding,
+    metadata: params.metadata,
+    force: params.force === true,
+  };
+}
+
+/**
+ * File selection options from the tool arguments
+ */
+function fileSelection(params) {
+  return {
+    recursive: params.recursive !== false,
+    extensions: params.extensions,
+    include: params.include,
+    exclude: params.exclude,
+  };
+}
+
+/**
+ * Register the vector store tools on an MCP server
+ */
+function registerVectorStoreTools(server) {
+  // Tool to initialize vector store connection
+  server.addTool({
+    name: 'init_vector_store',
+    description: 'Initialize the vector store connection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        backend: { 
+          type: 'string', 
+          description: 'Vector store backend', 
+          enum: backends, 
+          default: 'chroma' 
+        },
+        host: { type: 'string', description: 'Vector store host' },
+        port: { type: 'number', description: 'Vector store port' },
+        database: { type: 'string', description: 'Database name (pgvector)' },
+        user: { type: 'string', description: 'Database user (pgvector)' },
+        password: { type: 'string', description: 'Database password (pgvector)' },
+        connectionString: { type: 'string', description: 'PostgreSQL connection string (pgvector)' },
+        profile: { type: 'string', description: 'Server-side connection profile, configured through METIS_DB_PROFILE_<NAME>_* environment variables (pgvector)' },
+        schema: { type: 'string', description: 'Schema for the collection tables (pgvector, default: public)' },
+        path: { type: 'string', description: 'File to persist collections to (local; in memory when omitted)' },
+        format: { 
+          type: 'string', 
+          description: 'Persistence file format (local)', 
+          enum: ['json', 'binary'], 
+          default: 'json' 
+        },
+      },
+    },
+    handler: async (params) => {
+      try {
+        const backend = params.backend || 'chroma';
+        if (backend === 'chroma' && !params.host) {
+          return { success: false, error: 'A host is required for the chroma backend' };
+        }
+        
+        // Create a new store with the provided configuration
+        const newStore = createVectorStore(backend, params);
+        
+        // Test the connection
+        try {
+          await newStore.heartbeat();
+        } catch (error) {
+          await newStore.close().catch(() => {});
+          throw error;
+        }
+        
+        // Replace the previous store
+        if (store) {
+          await store.close().catch(() => {});
+        }
+        store = newStore;
+        collections.clear();
+        currentCollection = null;
+        
+        return { success: true, message: 'Vector store connection initialized successfully', backend };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to get or create a collection
+  server.addTool({
+    name: 'get_or_create_collection',
+    description: 'Get or create a collection in the vector store',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Collection name' },
+        metadata: { 
+          type: 'object', 
+          description: 'Collection metadata',
           additionalProperties: true
-        } 
+        },
+        embeddingFunction: { 
+          type: 'object', 
+          description: 'Embedding function configuration',
+          properties: {
+            type: { type: 'string', description: 'Type of embedding function (openai, cohere, or hash for a local deterministic embedder)' },
+            apiKey: { type: 'string', description: 'API key for the embedding function' },
+            modelName: { type: 'string', description: 'Model name for the embedding function' },
+            dimension: { type: 'number', description: 'Vector dimension (hash embedder, default: 256)' },
+          },
+          required: ['type'],
+        },
+        indexType: { 
+          type: 'string', 
+          description: 'Vector index to create (pgvector only)', 
+          enum: ['hnsw', 'ivfflat', 'none'], 
+          default: 'hnsw' 
+        },
       },
-      ids: { 
-        type: 'array', 
-        description: 'Array of document IDs', 
-        items: { type: 'string' } 
+      required: ['name'],
+    },
+    handler: async (params) => {
+      try {
+        if (!store) {
+          return { success: false, error: 'Vector store connection not initialized' };
+        }
+        
+        // Get or create the collection
+        const collection = await openCollection({
+          name: params.name,
+          metadata: params.metadata,
+          embeddingFunction: params.embeddingFunction,
+          indexType: params.indexType,
+          create: true,
+        });
+        currentCollection = params.name;
+        
+        return { 
+          success: true, 
+          message: `Collection '${params.name}' retrieved or created successfully`,
+          collectionName: params.name,
+          embedder: recordedEmbedder(collection.metadata)
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to add documents to the collection
+  server.addTool({
+    name: 'add_documents',
+    description: 'Add documents to the vector store collection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionProperty,
+        documents: { 
+          type: 'array', 
+          description: 'Array of document texts', 
+          items: { type: 'string' } 
+        },
+        metadatas: { 
+          type: 'array', 
+          description: 'Array of document metadata', 
+          items: { 
+            type: 'object',
+            additionalProperties: true
+          } 
+        },
+        ids: { 
+          type: 'array', 
+          description: 'Array of document IDs', 
+          items: { type: 'string' } 
+        },
+        embeddings: embeddingsProperty,
       },
+      required: ['ids'],
     },
-    required: ['documents', 'ids'],
-  },
-  handler: async (params) => {
-    try {
-      if (!collection) {
-        return { success: false, error: 'Collection not initialized' };
-      }
-      
-      // Add documents to the collection
-      await collection.add({
-        documents: params.documents,
-        metadatas: params.metadatas || Array(params.documents.length).fill({}),
-        ids: params.ids,
-      });
-      
-      return { 
-        success: true, 
-        message: `${params.documents.length} documents added to the collection`,
-        count: params.documents.length
-      };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
-});
-
-// Tool to query the collection
-server.addTool({
-  name: 'query_collection',
-  description: 'Query the vector store collection',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      queryTexts: { 
-        type: 'array', 
-        description: 'Array of query texts', 
-        items: { type: 'string' } 
-      },
-      nResults: { 
-        type: 'number', 
-        description: 'Number of results to return per query',
-        default: 10
-      },
-      filter: { 
-        type: 'object', 
-        description: 'Filter to apply to the query',
-        additionalProperties: true
-      },
-    },
-    required: ['queryTexts'],
-  },
-  handler: async (params) => {
-    try {
-      if (!collection) {
-        return { success: false, error: 'Collection not initialized' };
-      }
-      
-      // Query the collection
-      const results = await collection.query({
-        queryTexts: params.queryTexts,
-        nResults: params.nResults || 10,
-        filter: params.filter,
-      });
-      
-      return { 
-        success: true, 
-        results: results
-      };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
-});
-
-// Tool to delete documents from the collection
-server.addTool({
-  name: 'delete_documents',
-  description: 'Delete documents from the vector store collection',
-  inputSchema: {
-    type: 'object',
-    properties: {
-      ids: { 
-        type: 'array', 
-        description: 'Array of document IDs to delete', 
-        items: { type: 'string' } 
-      },
-    },
-    required: ['ids'],
-  },
-  handler: async (params) => {
-    try {
-      if (!collection) {
-        return { success: false, error: 'Collection not initialized' };
-      }
-      
-      // Delete documents from the collection
-      await collection.delete({
-        ids: params.ids,
-      });
-      
-      return { 
-        success: true, 
-        message: `${params.ids.length} documents deleted from the collection`,
-        count: params.ids.length
-      };
-    } catch (error) {
-      return { success: false, error: error.message };
-    }
-  },
-});
+    handler: async (params) => {
+      try {
+        const collection = await getCollection(params.collection);
+        
+        // Add documents to the collection
+        await collection.add(documentRecords(collection, params));
+        
+        return { 
+          success: true, 
+          message: `${params.ids.length} documents added to the collection`,
+          count: params.ids.length
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to query the collection
+  server.addTool({
+    name: 'query_collection',
+    description: 'Query the vector store collection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionProperty,
+        queryTexts: { 
+          type: 'array', 
+          description: 'Array of query texts', 
+          items: { type: 'string' } 
+        },
+        queryEmbeddings: { 
+          type: 'array', 
+          description: 'Array of query embeddings, instead of query texts', 
+          items: { type: 'array', items: { type: 'number' } } 
+        },
+        nResults: { 
+          type: 'number', 
+          description: 'Number of results to return per query',
+          default: 10
+        },
+        filter: { 
+          type: 'object', 
+          description: 'Metadata filter to apply to the query (Chroma where syntax)',
+          additionalProperties: true
+        },
+        include: { 
+          ...includeProperty, 
+          default: ['documents', 'metadatas', 'distances'] 
+        },
+        rerank: { 
+          type: 'object', 
+          description: 'Re-rank the candidates against the query text',
+          properties: {
+            type: { 
+              type: 'string', 
+              description: 'Re-ranker: lexical (query term overlap) or llm (relevance rated by a model)', 
+              enum: ['lexical', 'llm'] 
+            },
+            modelId: { type: 'string', description: 'ID of a model initialized with init_llm_model (llm re-ranker)' },
+          },
+          required: ['type'],
+        },
+        mmrLambda: { 
+          type: 'number', 
+          description: 'Diversify the results with maximal marginal relevance: 1 ranks by relevance only, 0 by diversity only' 
+        },
+        groupBy: { type: 'string', description: 'Metadata key (e.g. source) to spread the results across' },
+        maxPerGroup: { type: 'number', description: 'Maximum number of results per groupBy value', default: 1 },
+        fetchK: { type: 'number', description: 'Number of candidates to fetch before re-ranking, grouping or MMR (default: 4 x nResults, at least 20)' },
+      },
+    },
+    handler: async (params) => {
+      try {
+        if (!params.queryTexts === !params.queryEmbeddings) {
+          return { success: false, error: 'Exactly one of queryTexts or queryEmbeddings is required' };
+        }
+        if (params.rerank && !params.queryTexts) {
+          return { success: false, error: 'Re-ranking requires queryTexts' };
+        }
+        if (params.mmrLambda !== undefined && (params.mmrLambda < 0 || params.mmrLambda > 1)) {
+          return { success: false, error: 'mmrLambda must be between 0 and 1' };
+        }
+        
+        const collection = await getCollection(params.collection);
+        if (params.queryEmbeddings) {
+          checkEmbeddings(params.queryEmbeddings, params.queryEmbeddings.length, collectionDimension(collection));
+        }
+        
+        const nResults = params.nResults || 10;
+        const include = params.include || ['documents', 'metadatas', 'distances'];
+        const postProcessing = params.rerank || params.mmrLambda !== undefined || params.groupBy;
+        
+        if (!postProcessing) {
+          // Query the collection
+          const results = await collection.query({
+            queryTexts: params.queryTexts,
+            queryEmbeddings: params.queryEmbeddings,
+            nResults,
+            where: params.filter,
+            include: params.include,
+          });
+          
+          return { 
+            success: true, 
+            results: results
+          };
+        }
+        
+        // Create the re-ranker
+        let reranker = null;
+        if (params.rerank) {
+          let generate;
+          if (params.rerank.type === 'llm') {
+            // Loaded on demand so the other tools load without langchain
+            const { getModel, generateText } = require('../lib/llm-models');
+            const modelInfo = getModel(params.rerank.modelId);
+            if (!modelInfo) {
+              return { success: false, error: `Model '${params.rerank.modelId}' not found` };
+            }
+            generate = prompt => generateText(modelInfo, prompt);
+          }
+          reranker = createReranker(params.rerank.type, { generate });
+        }
+        
+        // Fetch more candidates than requested, with everything post-processing needs
+        const candidates = await collection.query({
+          queryTexts: params.queryTexts,
+          queryEmbeddings: params.queryEmbeddings,
+          nResults: params.fetchK || Math.max(nResults * 4, 20),
+          where: params.filter,
+          include: ['documents', 'metadatas', 'distances', 'embeddings'],
+        });
+        
+        const lists = [];
+        for (let index = 0; index < candidates.ids.length; index++) {
+          lists.push(await postProcess(
+            params.queryTexts ? params.queryTexts[index] : null,
+            toCandidates(candidates, index),
+            {
+              nResults,
+              reranker,
+              groupBy: params.groupBy,
+              maxPerGroup: params.maxPerGroup || 1,
+              mmr: params.mmrLambda !== undefined ? { lambda: params.mmrLambda } : null,
+            }
+          ));
+        }
+        
+        return { 
+          success: true, 
+          results: fromCandidates(lists, include)
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to query the collection with keyword and vector search combined
+  server.addTool({
+    name: 'hybrid_query',
+    description: 'Query the vector store collection with BM25 keyword search and vector search combined, ' +
+      'so that exact identifiers, error codes and function names are found as well as similar text',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionProperty,
+        queryText: { type: 'string', description: 'Query text' },
+        queryEmbedding: { 
+          type: 'array', 
+          description: 'Query embedding for the vector search (default: embed the query text)', 
+          items: { type: 'number' } 
+        },
+        nResults: { 
+          type: 'number', 
+          description: 'Number of results to return',
+          default: 10
+        },
+        filter: { 
+          type: 'object', 
+          description: 'Metadata filter to apply to both searches (Chroma where syntax)',
+          additionalProperties: true
+        },
+        fusion: { 
+          type: 'string', 
+          description: 'Fusion method: reciprocal rank fusion, or a weighted sum of normalized scores', 
+          enum: FUSION_METHODS, 
+          default: 'rrf' 
+        },
+        weights: { 
+          type: 'object', 
+          description: 'Weight of each signal in the fused score',
+          properties: {
+            vector: { type: 'number', default: 1 },
+            keyword: { type: 'number', default: 1 },
+          },
+        },
+        rrfK: { type: 'number', description: 'Rank offset for reciprocal rank fusion', default: 60 },
+        candidates: { type: 'number', description: 'Number of candidates taken from each search (default: 5 x nResults, at least 50)' },
+      },
+      required: ['queryText'],
+    },
+    handler: async (params) => {
+      try {
+        const collection = await getCollection(params.collection);
+        if (params.queryEmbedding) {
+          checkEmbeddings([params.queryEmbedding], 1, collectionDimension(collection));
+        }
+        
+        // Fuse the keyword and vector rankings
+        const results = await hybridSearch(collection, {
+          queryText: params.queryText,
+          queryEmbedding: params.queryEmbedding,
+          nResults: params.nResults || 10,
+          where: params.filter,
+          method: params.fusion,
+          weights: params.weights,
+          rrfK: params.rrfK,
+          candidates: params.candidates,
+        });
+        
+        return { 
+          success: true, 
+          fusion: params.fusion || 'rrf',
+          results: results
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to add or replace documents in the collection
+  server.addTool({
+    name: 'upsert_documents',
+    description: 'Add documents to the vector store collection, replacing documents with the same IDs',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionProperty,
+        documents: { 
+          type: 'array', 
+          description: 'Array of document texts', 
+          items: { type: 'string' } 
+        },
+        metadatas: { 
+          type: 'array', 
+          description: 'Array of document metadata', 
+          items: { 
+            type: 'object',
+            additionalProperties: true
+          } 
+        },
+        ids: { 
+          type: 'array', 
+          description: 'Array of document IDs', 
+          items: { type: 'string' } 
+        },
+        embeddings: embeddingsProperty,
+      },
+      required: ['ids'],
+    },
+    handler: async (params) => {
+      try {
+        const collection = await getCollection(params.collection);
+        
+        // Add or replace documents in the collection
+        await collection.upsert(documentRecords(collection, params));
+        
+        return { 
+          success: true, 
+          message: `${params.ids.length} documents upserted into the collection`,
+          count: params.ids.length
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to update the metadata of documents
+  server.addTool({
+    name: 'update_metadata',
+    description: 'Update the metadata of documents selected by ID or metadata filter. The new metadata is merged into the existing metadata; keys set to null are removed.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionProperty,
+        ids: { 
+          type: 'array', 
+          description: 'Array of document IDs to update', 
+          items: { type: 'string' } 
+        },
+        where: whereProperty,
+        metadata: { 
+          type: 'object', 
+          description: 'Metadata to merge into every selected document',
+          additionalProperties: true
+        },
+        metadatas: { 
+          type: 'array', 
+          description: 'Metadata to merge into each document, in the order of ids',
+          items: { 
+            type: 'object',
+            additionalProperties: true
+          } 
+        },
+      },
+    },
+    handler: async (params) => {
+      try {
+        if (!params.ids && !params.where) {
+          return { success: false, error: 'Either ids or where is required' };
+        }
+        if (!params.metadata === !params.metadatas) {
+          return { success: false, error: 'Exactly one of metadata or metadatas is required' };
+        }
+        if (params.metadatas && (!params.ids || params.metadatas.length !== params.ids.length)) {
+          return { success: false, error: 'metadatas requires ids, with one metadata object per ID' };
+        }
+        
+        const collection = await getCollection(params.collection);
+        
+        // Find the documents to update
+        const found = await collection.get({ ids: params.ids, where: params.where, include: [] });
+        if (found.ids.length === 0) {
+          return { success: true, message: 'No documents matched', count: 0, ids: [] };
+        }
+        
+        // Metadata by ID, for the documents that exist
+        const metadataById = new Map(
+          (params.ids || found.ids).map((id, index) => [id, params.metadata || params.metadatas[index]])
+        );
+        await collection.update({
+          ids: found.ids,
+          metadatas: found.ids.map(id => metadataById.get(id)),
+        });
+        
+        return { 
+          success: true, 
+          message: `Metadata of ${found.ids.length} documents updated`,
+          count: found.ids.length,
+          ids: found.ids
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to get documents by ID or metadata filter
+  server.addTool({
+    name: 'get_documents',
+    description: 'Get documents from the vector store collection by ID or metadata filter',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionProperty,
+        ids: { 
+          type: 'array', 
+          description: 'Array of document IDs to get', 
+          items: { type: 'string' } 
+        },
+        where: whereProperty,
+        limit: { type: 'number', description: 'Maximum number of documents to return' },
+        offset: { type: 'number', description: 'Number of matching documents to skip', default: 0 },
+        include: { 
+          ...includeProperty, 
+          items: { type: 'string', enum: ['documents', 'metadatas', 'embeddings'] },
+          default: ['documents', 'metadatas'] 
+        },
+      },
+    },
+    handler: async (params) => {
+      try {
+        const collection = await getCollection(params.collection);
+        
+        const results = await collection.get({
+          ids: params.ids,
+          where: params.where,
+          limit: params.limit,
+          offset: params.offset,
+          include: params.include || ['documents', 'metadatas'],
+        });
+        
+        return { 
+          success: true, 
+          count: results.ids.length,
+          results: results
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to delete documents from the collection
+  server.addTool({
+    name: 'delete_documents',
+    description: 'Delete documents from the vector store collection by ID or metadata filter',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionProperty,
+        ids: { 
+          type: 'array', 
+          description: 'Array of document IDs to delete', 
+          items: { type: 'string' } 
+        },
+        where: whereProperty,
+      },
+    },
+    handler: async (params) => {
+      try {
+        // Never delete a whole collection by accident
+        if (!params.ids && (!params.where || Object.keys(params.where).length === 0)) {
+          return { success: false, error: 'Either ids or a non-empty where filter is required' };
+        }
+        
+        const collection = await getCollection(params.collection);
+        
+        // Delete documents from the collection
+        const deleted = await collection.delete({
+          ids: params.ids,
+          where: params.where,
+        });
+        const count = deleted.length;
+        
+        return { 
+          success: true, 
+          message: `${count} documents deleted from the collection`,
+          count
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to list the collections
+  server.addTool({
+    name: 'list_collections',
+    description: 'List the collections in the vector store',
+    inputSchema: {
+      type: 'object',
+      properties: {},
+    },
+    handler: async () => {
+      try {
+        if (!store) {
+          return { success: false, error: 'Vector store connection not initialized' };
+        }
+        
+        const list = await store.listCollections();
+        
+        return { 
+          success: true, 
+          collections: list.map(item => ({
+            name: item.name,
+            metadata: item.metadata,
+            embedder: recordedEmbedder(item.metadata),
+          })),
+          currentCollection
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to describe a collection
+  server.addTool({
+    name: 'get_collection_info',
+    description: 'Get the document count, metadata and embedder of a collection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionProperty,
+      },
+    },
+    handler: async (params) => {
+      try {
+        const collection = await getCollection(params.collection);
+        
+        return { 
+          success: true, 
+          ...(await describeCollection(collection))
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to delete a collection
+  server.addTool({
+    name: 'delete_collection',
+    description: 'Delete a collection and all of its documents',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: { type: 'string', description: 'Name of the collection to delete' },
+      },
+      required: ['collection'],
+    },
+    handler: async (params) => {
+      try {
+        if (!store) {
+          return { success: false, error: 'Vector store connection not initialized' };
+        }
+        
+        await store.deleteCollection(params.collection);
+        collections.delete(params.collection);
+        if (currentCollection === params.collection) {
+          currentCollection = null;
+        }
+        
+        return { 
+          success: true, 
+          message: `Collection '${params.collection}' deleted`
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to rename a collection
+  server.addTool({
+    name: 'rename_collection',
+    description: 'Rename a collection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: { type: 'string', description: 'Current name of the collection' },
+        newName: { type: 'string', description: 'New name of the collection' },
+      },
+      required: ['collection', 'newName'],
+    },
+    handler: async (params) => {
+      try {
+        if (!store) {
+          return { success: false, error: 'Vector store connection not initialized' };
+        }
+        
+        await store.renameCollection(params.collection, params.newName);
+        collections.delete(params.collection);
+        if (currentCollection === params.collection) {
+          currentCollection = params.newName;
+        }
+        
+        return { 
+          success: true, 
+          message: `Collection '${params.collection}' renamed to '${params.newName}'`
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to copy a collection
+  server.addTool({
+    name: 'copy_collection',
+    description: 'Copy a collection, with its metadata, embedder and embeddings, into a new collection',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: { type: 'string', description: 'Name of the collection to copy' },
+        target: { type: 'string', description: 'Name of the new collection' },
+      },
+      required: ['collection', 'target'],
+    },
+    handler: async (params) => {
+      try {
+        if (!store) {
+          return { success: false, error: 'Vector store connection not initialized' };
+        }
+        
+        const existing = await store.listCollections();
+        if (existing.some(item => item.name === params.target)) {
+          return { success: false, error: `Collection '${params.target}' already exists` };
+        }
+        
+        // The copy keeps the metadata, and with it the recorded embedder
+        const source = await getCollection(params.collection);
+        const target = await openCollection({
+          name: params.target,
+          metadata: source.metadata || {},
+          create: true,
+        });
+        const count = await copyCollection(source, target);
+        
+        return { 
+          success: true, 
+          message: `${count} documents copied from '${params.collection}' to '${params.target}'`,
+          count
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to export a collection to an archive
+  server.addTool({
+    name: 'export_collection',
+    description: 'Export a collection, with its embeddings, to a portable archive directory (manifest.json and records.jsonl)',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionProperty,
+        path: { type: 'string', description: 'Directory to write the archive to' },
+        batchSize: { type: 'number', description: 'Number of documents read per batch', default: 100 },
+      },
+      required: ['path'],
+    },
+    handler: async (params) => {
+      try {
+        const collection = await getCollection(params.collection);
+        
+        const manifest = await exportCollection(collection, params.path, {
+          backend: store.type,
+          batchSize: params.batchSize,
+        });
+        
+        return { 
+          success: true, 
+          message: `${manifest.count} documents exported from '${manifest.collection}' to ${params.path}`,
+          manifest
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to import a collection from an archive
+  server.addTool({
+    name: 'import_collection',
+    description: 'Import a collection archive written by export_collection, in batches. A failed import can be resumed by calling the tool again.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string', description: 'Archive directory' },
+        collection: { type: 'string', description: 'Name of the collection to import into (default: the name in the archive)' },
+        batchSize: { type: 'number', description: 'Number of documents written per batch', default: 100 },
+        resume: { 
+          type: 'boolean', 
+          description: 'Continue after the last batch of a previous failed import into the same collection', 
+          default: true 
+        },
+      },
+      required: ['path'],
+    },
+    handler: async (params) => {
+      try {
+        if (!store) {
+          return { success: false, error: 'Vector store connection not initialized' };
+        }
+        
+        // Documents are upserted, so importing a batch twice is harmless
+        const result = await importCollection(
+          params.path,
+          (name, metadata) => openCollection({ name, metadata, create: true }),
+          {
+            name: params.collection,
+            batchSize: params.batchSize,
+            resume: params.resume !== false,
+          }
+        );
+        
+        return { 
+          success: true, 
+          message: `${result.imported} documents imported into '${result.collection}'`,
+          ...result
+        };
+      } catch (error) {
+        return { success: false, error: error.message, resumeFrom: error.resumeFrom };
+      }
+    },
+  });
+
+  // Tool to ingest a document
+  server.addTool({
+    name: 'ingest_document',
+    description: 'Load, chunk, embed and index a document file. Re-ingesting an unchanged file does nothing; a changed file only has its changed chunks embedded.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionProperty,
+        filePath: { type: 'string', description: 'Path to the document file' },
+        ...ingestProperties,
+      },
+      required: ['filePath'],
+    },
+    handler: async (params) => {
+      try {
+        const collection = await getCollection(params.collection);
+        
+        const result = await ingestFile(collection, params.filePath, ingestOptions(params));
+        
+        return { 
+          success: true, 
+          message: result.status === 'unchanged'
+            ? `${result.file} is unchanged`
+            : `${result.chunks} chunks indexed from ${result.file}`,
+          ...result
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to ingest a directory of documents
+  server.addTool({
+    name: 'ingest_directory',
+    description: 'Ingest every supported document file in a directory, reporting success or failure per file',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionProperty,
+        directory: { type: 'string', description: 'Directory to ingest' },
+        ...fileSelectionProperties,
+        ...ingestProperties,
+      },
+      required: ['directory'],
+    },
+    handler: async (params) => {
+      try {
+        const collection = await getCollection(params.collection);
+        
+        const result = await ingestDirectory(collection, params.directory, {
+          ...fileSelection(params),
+          ...ingestOptions(params),
+        });
+        
+        return { 
+          success: true, 
+          message: `${result.summary.indexed} files indexed, ${result.summary.unchanged} unchanged, ${result.summary.failed} failed`,
+          ...result
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+
+  // Tool to sync a directory into a collection
+  server.addTool({
+    name: 'sync_directory',
+    description: 'Keep a collection current with a directory tree: ingest new and changed files and delete the chunks of removed files, tracked in a manifest of path, modification time and content hash. Use dryRun to only report the differences.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        collection: collectionProperty,
+        directory: { type: 'string', description: 'Directory to sync' },
+        ...fileSelectionProperties,
+        ...ingestProperties,
+        dryRun: { type: 'boolean', description: 'Only report the added, changed, unchanged and removed files', default: false },
+        manifestPath: { 
+          type: 'string', 
+          description: 'Path of the sync manifest (default: .metis-sync/<collection>.json in the directory)' 
+        },
+      },
+      required: ['directory'],
+    },
+    handler: async (params) => {
+      try {
+        const collection = await getCollection(params.collection);
+        
+        const result = await syncDirectory(collection, params.directory, {
+          ...fileSelection(params),
+          ...ingestOptions(params),
+          manifestPath: params.manifestPath,
+          dryRun: params.dryRun === true,
+        });
+        
+        const { added, changed, unchanged, removed } = result.diff;
+        const failed = result.dryRun ? 0 : result.files.filter(file => file.status === 'failed').length;
+        
+        return { 
+          success: true, 
+          message: `${result.dryRun ? 'Dry run: ' : ''}${added.length} added, ${changed.length} changed, ${removed.length} removed, ${unchanged.length} unchanged` +
+            (failed > 0 ? `, ${failed} failed` : ''),
+          ...result
+        };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    },
+  });
+}
+
+// Start the server when run directly
+if (require.main === module) {
+  // The server SDK is only needed here, so the tools can be registered on another server
+  const { McpServer } = require('@modelcontextprotocol/server');
+
+  // Initialize the MCP server
+  const server = new McpServer({
+    name: 'vector-store-tool',
+    description: 'Tool for interacting with vector databases in the Metis application',
+  });
+
+  registerVectorStoreTools(server);
+  server.start();
 
-// Start the server
-server.start();
+  console.log('Vector Store MCP server started');
+}
 
-console.log('Vector Store MCP server started');
+module.exports = { registerVectorStoreTools };